@@ -0,0 +1,29 @@
+/**
+ * Copy MediaPipe FaceMesh runtime assets into public/
+ * Runs before `npm start` and `npm run build` so the WASM and model files are
+ * served by the app itself and FreeGaze works without internet access.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_DIR = path.dirname(require.resolve('@mediapipe/face_mesh/package.json'));
+const TARGET_DIR = path.join(__dirname, '..', 'public', 'mediapipe', 'face_mesh');
+const ASSET_PATTERN = /\.(js|wasm|data|binarypb)$/;
+
+function copyAssets() {
+  fs.mkdirSync(TARGET_DIR, { recursive: true });
+
+  const assets = fs.readdirSync(SOURCE_DIR).filter(file => ASSET_PATTERN.test(file));
+  if (assets.length === 0) {
+    throw new Error(`No MediaPipe assets found in ${SOURCE_DIR}`);
+  }
+
+  assets.forEach(file => {
+    fs.copyFileSync(path.join(SOURCE_DIR, file), path.join(TARGET_DIR, file));
+  });
+
+  console.log(`📦 Copied ${assets.length} MediaPipe FaceMesh assets to public/mediapipe/face_mesh`);
+}
+
+copyAssets();
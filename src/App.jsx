@@ -5,45 +5,191 @@
  */
 
 import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { initCamera, stopCamera } from './core/camera';
-import { initFaceMesh, drawFaceLandmarks } from './core/faceDetection';
-import { extractEyeFeatures, areEyeFeaturesValid } from './core/featureExtraction';
+import {
+  initCamera,
+  stopCamera,
+  switchCamera,
+  listCameras,
+  getStreamDeviceId,
+  CameraMonitor,
+  CAMERA_STATUS
+} from './core/camera';
+import { initFaceMesh, drawFaceLandmarks, createResultsHandler } from './core/faceDetection';
+import { sessionRecorder, parseSessionRecording, replaySession } from './core/sessionRecorder';
+import { outlierRejector } from './core/outlierRejection';
+import { extractFeatures, getFeatureExtractor, FeatureExtractorMismatchError } from './core/featureExtractors';
+import {
+  EYE_MODES,
+  getEyeMode,
+  setEyeMode as saveEyeMode,
+  getCalibrationExtractorId,
+  getAcceptedExtractorIds
+} from './core/eyeMode';
+import { getFrameImageData } from './core/eyePatches';
 import { calibrationManager } from './core/calibration';
-import { gazePredictionModel } from './core/prediction';
+import { formatHeadPose } from './core/headPose';
+import { primaryFaceTracker } from './core/faceSelection';
+import { trackingQualityMonitor, TRACKING_STATES, isTrackingFrozen } from './core/trackingQuality';
+import { getDistanceGuidance } from './core/distanceEstimation';
+import { viewportTracker, normalizedToViewport, viewportToNormalized, getVideoTransform } from './core/coordinates';
+import { implicitCalibrator } from './core/implicitCalibration';
+import { VALIDATION_GRADES } from './core/calibrationValidation';
+import { getCalibrationPattern } from './core/calibrationPatterns';
+import { PURSUIT_PATHS } from './core/smoothPursuit';
+import { CONFIG } from './config/config';
+import { gazePredictionModel, createGazePredictionModel, isModelVariantFor } from './core/prediction';
 import { gazeSmoother } from './utils/smoothing';
 import { dwellDetector } from './utils/dwellTimer';
+import {
+  blinkDetector,
+  getBlinkActionsEnabled,
+  setBlinkActionsEnabled as saveBlinkActionsEnabled
+} from './utils/blinkDetector';
 import Calibration from './ui/Calibration';
+import Validation from './ui/Validation';
 import GazeCursor from './ui/GazeCursor';
 import './App.css';
 
+const EYE_MODE_LABELS = {
+  [EYE_MODES.BOTH]: 'Both eyes',
+  [EYE_MODES.LEFT]: 'Left eye only',
+  [EYE_MODES.RIGHT]: 'Right eye only',
+  [EYE_MODES.AUTO]: 'Dominant eye (auto)'
+};
+
+/**
+ * What the calibration overlay opens with (CONFIG.calibration.pattern), for the instructions
+ * @returns {{name: string, seconds: number}} Calibration name and rough duration
+ */
+function describeCalibration() {
+  const { pattern, countdownTime, samplesPerPoint } = CONFIG.calibration;
+  if (PURSUIT_PATHS.includes(pattern)) {
+    return { name: 'moving target', seconds: Math.round(CONFIG.pursuit.duration / 1000) };
+  }
+  // Countdown, then the samples at ~30 FPS, for every point
+  const points = getCalibrationPattern(pattern).length;
+  return {
+    name: `${points}-point`,
+    seconds: Math.round(points * (countdownTime + samplesPerPoint / 30))
+  };
+}
+
+/**
+ * Dispatch a synthetic click on the element under a gaze position
+ * @param {Object} position - {x, y} viewport pixels
+ */
+function dispatchGazeClick(position) {
+  const clickEvent = new MouseEvent('click', {
+    bubbles: true,
+    cancelable: true,
+    clientX: position.x,
+    clientY: position.y
+  });
+  document.elementFromPoint(position.x, position.y)?.dispatchEvent(clickEvent);
+}
+
+// Elements whose center is where the user looked when clicking them
+const CLICK_TARGET_SELECTOR = 'button, a, input, select, textarea, [role="button"]';
+
+/**
+ * Find the element a gaze click is about to land on, for implicit recalibration.
+ * Must run before the click is dispatched - the click may move, hide or replace it.
+ * @param {{x: number, y: number}} position - Click position in viewport pixels
+ * @returns {Object|null} {element, target (screen fractions), elementSize}, or null
+ */
+function getClickTarget(position) {
+  const element = document.elementFromPoint(position.x, position.y)?.closest(CLICK_TARGET_SELECTOR);
+  if (!element) return null;
+
+  const rect = element.getBoundingClientRect();
+  const geometry = viewportTracker.getGeometry();
+  const center = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  return {
+    element,
+    target: viewportToNormalized(center, geometry),
+    elementSize: Math.max(rect.width / geometry.viewport.width, rect.height / geometry.viewport.height)
+  };
+}
+
+/**
+ * Tell implicit recalibration which element a dwell click landed on
+ * @param {Object|null} clickTarget - From getClickTarget
+ * @param {number} timestamp - Time of the frame that completed the dwell (ms)
+ */
+function learnFromGazeClick(clickTarget, timestamp) {
+  if (!clickTarget) return;
+  const discarded = implicitCalibrator.handleClick(clickTarget, timestamp);
+  if (discarded) {
+    console.log(`🎯 Click not used for recalibration: ${discarded}`);
+  }
+}
+
 function App() {
   // References
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
+  const frameLoopRef = useRef(null);
+  const resultsHandlerRef = useRef(null);
+  const cameraMonitorRef = useRef(null);
+  const switchingCameraRef = useRef(false);
+  const replayInputRef = useRef(null);
   const lastFrameTimeRef = useRef(Date.now());
   const frameCountRef = useRef(0);
   const modeRef = useRef('detection');
   const modelTrainedRef = useRef(false);
   const debugModeRef = useRef(false);
+  const eyeModeRef = useRef(getEyeMode());
+  const gazePositionRef = useRef(null);
+  const isPausedRef = useRef(false);
+  // The frame being processed comes from a replayed recording (never act on the page)
+  const replayFrameRef = useRef(false);
+  const blinkActionsEnabledRef = useRef(getBlinkActionsEnabled());
+  // Replaced when a calibration needs another model variant (see handleCalibrationComplete)
+  const gazeModelRef = useRef(gazePredictionModel);
   
   // Core state
   const [isInitialized, setIsInitialized] = useState(false);
+  const [gazeModel, setGazeModel] = useState(gazePredictionModel);
   const [error, setError] = useState(null);
   const [faceDetected, setFaceDetected] = useState(false);
+  const [viewingDistance, setViewingDistance] = useState(null);
+  const [faceCount, setFaceCount] = useState(0);
+  const [trackingState, setTrackingState] = useState(TRACKING_STATES.FACE_LOST);
+  const [trackingReasons, setTrackingReasons] = useState([]);
   const [fps, setFps] = useState(0);
+  const [rejectionStats, setRejectionStats] = useState(null);
   const [debugMode, setDebugMode] = useState(false);
+  const [cameras, setCameras] = useState([]);
+  const [cameraId, setCameraId] = useState(null);
+  const [isSwitchingCamera, setIsSwitchingCamera] = useState(false);
+  const [cameraStatus, setCameraStatus] = useState(CAMERA_STATUS.ACTIVE);
+  const [reconnectAttempt, setReconnectAttempt] = useState(0);
+  const [isRecording, setIsRecording] = useState(false);
+  const [isReplaying, setIsReplaying] = useState(false);
   
   // Mode state
-  const [mode, setMode] = useState('detection'); // 'detection', 'calibrating', 'tracking'
+  const [mode, setMode] = useState('detection'); // 'detection', 'calibrating', 'validating', 'tracking'
   const [isCalibrating, setIsCalibrating] = useState(false);
   
   // Tracking state
   const [eyeFeatures, setEyeFeatures] = useState(null);
+  // Every processed camera frame while calibrating or validating, rejected ones included (features null)
+  const [overlayFrame, setOverlayFrame] = useState(null);
   const [gazePosition, setGazePosition] = useState(null);
   const [isDwelling, setIsDwelling] = useState(false);
   const [dwellProgress, setDwellProgress] = useState(0);
   const [modelTrained, setModelTrained] = useState(false);
+  const [modelNotice, setModelNotice] = useState(null);
+  const [eyeMode, setEyeMode] = useState(getEyeMode);
+  const [trackedEye, setTrackedEye] = useState(null);
+  const [validationReport, setValidationReport] = useState(null);
+  const [isPaused, setIsPaused] = useState(false);
+  const [lastBlinkEvent, setLastBlinkEvent] = useState(null);
+  const [blinkActionsEnabled, setBlinkActionsEnabled] = useState(getBlinkActionsEnabled);
+  // Blinks while calibrating or validating (hands-free start and confirm)
+  const [overlayBlinkEvent, setOverlayBlinkEvent] = useState(null);
+  const [implicitStats, setImplicitStats] = useState(() => implicitCalibrator.getStats());
   
   // Keep refs in sync
   useEffect(() => {
@@ -57,6 +203,27 @@ function App() {
   useEffect(() => {
     debugModeRef.current = debugMode;
   }, [debugMode]);
+  
+  useEffect(() => {
+    eyeModeRef.current = eyeMode;
+  }, [eyeMode]);
+  
+  useEffect(() => {
+    gazePositionRef.current = gazePosition;
+  }, [gazePosition]);
+  
+  useEffect(() => {
+    isPausedRef.current = isPaused;
+    if (isPaused) {
+      setIsDwelling(false);
+      dwellDetector.reset();
+      blinkDetector.reset();
+    }
+  }, [isPaused]);
+  
+  useEffect(() => {
+    blinkActionsEnabledRef.current = blinkActionsEnabled;
+  }, [blinkActionsEnabled]);
 
   // Initialize on mount
   useEffect(() => {
@@ -74,16 +241,64 @@ function App() {
           return;
         }
         
-        await initFaceMesh(videoRef.current, onFaceDetected);
+        // Watch for unplugged/hijacked cameras and reconnect automatically
+        const monitor = new CameraMonitor(videoRef.current);
+        monitor.onStatusChange(handleCameraStatusChange);
+        monitor.onStreamChange(async (newStream) => {
+          streamRef.current = newStream;
+          setCameraId(getStreamDeviceId(newStream));
+          setCameras(await listCameras());
+        });
+        monitor.attach(stream);
+        cameraMonitorRef.current = monitor;
         
-        if (!mounted) return;
+        const { faceMesh, camera, resultsHandler } = await initFaceMesh(videoRef.current, onFaceDetected, {
+          onStall: () => {
+            if (!switchingCameraRef.current) {
+              cameraMonitorRef.current?.handleLost('no frames');
+            }
+          }
+        });
         
-        // Try to load saved model
-        const loaded = await gazePredictionModel.loadModel();
+        if (!mounted) {
+          // Unmounted while FaceMesh was loading: the cleanup has run without
+          // a frame loop, and the monitor may have reconnected in the meantime
+          camera.stop();
+          faceMesh.close().catch(() => {});
+          monitor.dispose();
+          stopCamera(streamRef.current);
+          return;
+        }
+        frameLoopRef.current = camera;
+        resultsHandlerRef.current = resultsHandler;
+        
+        // Device labels are only available once permission has been granted
+        setCameras(await listCameras());
+        setCameraId(getStreamDeviceId(stream));
+        
+        // Try to load saved model (refused if built from other features)
+        let loaded = false;
+        try {
+          loaded = await gazeModelRef.current.loadModel(getAcceptedExtractorIds(eyeModeRef.current));
+        } catch (loadError) {
+          if (!(loadError instanceof FeatureExtractorMismatchError)) throw loadError;
+          setModelNotice(loadError.message);
+        }
+        implicitCalibrator.loadFromStorage();
         if (loaded) {
+          calibrationManager.loadFromStorage(getAcceptedExtractorIds(eyeModeRef.current));
+          setTrackedEye(calibrationManager.trackedEye);
+          setValidationReport(calibrationManager.validation);
+          primaryFaceTracker.setReferenceGeometry(calibrationManager.faceGeometry);
+          outlierRejector.setStatistics(calibrationManager.featureStatistics);
           setModelTrained(true);
           setMode('tracking');
           console.log('✅ Model loaded from storage');
+        } else if (CONFIG.calibration.handsFree.openOnStart &&
+                   !calibrationManager.loadFromStorage(getAcceptedExtractorIds(eyeModeRef.current))) {
+          // First use (no usable calibration for this eye mode): nobody has to
+          // click "Calibrate" first, the overlay starts by itself
+          startCalibration();
         }
         
         setIsInitialized(true);
@@ -99,6 +314,12 @@ function App() {
     
     return () => {
       mounted = false;
+      if (frameLoopRef.current) {
+        frameLoopRef.current.stop();
+      }
+      if (cameraMonitorRef.current) {
+        cameraMonitorRef.current.dispose();
+      }
       if (streamRef.current) {
         stopCamera(streamRef.current);
       }
@@ -113,6 +334,8 @@ function App() {
       const currentFps = Math.round(frameCountRef.current / elapsed);
       
       setFps(currentFps);
+      setRejectionStats(outlierRejector.getStats());
+      setImplicitStats(implicitCalibrator.getStats());
       frameCountRef.current = 0;
       lastFrameTimeRef.current = now;
     }, 1000);
@@ -127,15 +350,95 @@ function App() {
     });
 
     dwellDetector.onClick((event) => {
+      if (replayFrameRef.current) {
+        console.log('▶️ Replayed click at:', event.position);
+        return;
+      }
       console.log('👆 Click at:', event.position);
       // Trigger actual click event
-      const clickEvent = new MouseEvent('click', {
-        bubbles: true,
-        cancelable: true,
-        clientX: event.position.x,
-        clientY: event.position.y
-      });
-      document.elementFromPoint(event.position.x, event.position.y)?.dispatchEvent(clickEvent);
+      const clickTarget = getClickTarget(event.position);
+      dispatchGazeClick(event.position);
+      learnFromGazeClick(clickTarget, event.timestamp);
+    });
+  }, []);
+
+  // Undo, Escape or back navigation right after a dwell click: it was probably a misclick
+  useEffect(() => {
+    function handleKeyDown(event) {
+      // Editing text (typing corrections, undoing a typo) says nothing about clicks
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const isUndo = (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z';
+      if (isUndo || event.key === 'Escape') {
+        implicitCalibrator.undo();
+      }
+    }
+    function handlePopState() {
+      implicitCalibrator.undo();
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('popstate', handlePopState);
+    };
+  }, []);
+
+  // Resize, fullscreen, zoom or window move: predictions land elsewhere in the page
+  useEffect(() => {
+    viewportTracker.start();
+    const unsubscribe = viewportTracker.onChange((geometry) => {
+      console.log(`📐 Viewport changed: ${geometry.viewport.width}x${geometry.viewport.height} at zoom ${geometry.zoom.toFixed(2)}`);
+      // Smoothing and dwell state are in the old viewport's pixels
+      gazeSmoother.reset();
+      dwellDetector.reset();
+      setIsDwelling(false);
+    });
+
+    return () => {
+      unsubscribe();
+      viewportTracker.stop();
+    };
+  }, []);
+
+  // Bind blink/wink events to actions (see CONFIG.blink.actions)
+  useEffect(() => {
+    blinkDetector.onEvent((event) => {
+      if (modeRef.current === 'calibrating' || modeRef.current === 'validating') {
+        setOverlayBlinkEvent(event);
+        return;
+      }
+      if (modeRef.current !== 'tracking' || !blinkActionsEnabledRef.current) return;
+
+      const action = CONFIG.blink.actions[event.type];
+      if (!action) return;
+
+      console.log(`😉 ${event.type} (${Math.round(event.duration)}ms) -> ${action}`);
+      setLastBlinkEvent(event);
+
+      if (action === 'click' && !isPausedRef.current && !replayFrameRef.current && gazePositionRef.current) {
+        dispatchGazeClick(gazePositionRef.current);
+      } else if (action === 'toggle_pause') {
+        setIsPaused(paused => !paused);
+      }
+    });
+  }, []);
+
+  // React to tracking quality changes
+  useEffect(() => {
+    trackingQualityMonitor.onStateChange((event) => {
+      setTrackingState(event.state);
+      setTrackingReasons(event.reasons);
+
+      if (isTrackingFrozen(event.state)) {
+        // Freeze the cursor where it is - never click on a position we can't trust
+        setIsDwelling(false);
+        dwellDetector.reset();
+      }
+      if (event.state === TRACKING_STATES.REACQUIRED) {
+        // Start fresh instead of gliding over from the last known position
+        gazeSmoother.reset();
+      }
     });
   }, []);
 
@@ -148,18 +451,28 @@ function App() {
     
     const ctx = canvas.getContext('2d');
     const videoElement = videoRef.current;
+    // Live frames carry their capture time (see FrameLoop), replayed ones their recording time.
+    // Every time-based stage gets this time, so replays behave like the recorded session.
+    const frameTime = results.timestamp ?? Date.now();
+    replayFrameRef.current = !!results.replay;
     
-    if (canvas.width !== videoElement.videoWidth) {
-      canvas.width = videoElement.videoWidth;
-      canvas.height = videoElement.videoHeight;
+    // Replayed sessions carry the recorded frame size instead of a live video
+    const frameWidth = results.image?.width || videoElement.videoWidth;
+    const frameHeight = results.image?.height || videoElement.videoHeight;
+    if (canvas.width !== frameWidth) {
+      canvas.width = frameWidth;
+      canvas.height = frameHeight;
     }
     
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks[0]) {
-      const landmarks = results.multiFaceLandmarks[0];
+    setFaceCount(results.multiFaceLandmarks ? results.multiFaceLandmarks.length : 0);
+    
+    if (results.primaryLandmarks) {
+      const landmarks = results.primaryLandmarks;
       
       setFaceDetected(true);
+      setViewingDistance(results.viewingDistance ? Math.round(results.viewingDistance) : null);
       frameCountRef.current++;
       
       // Draw landmarks (only in detection/calibration mode, or if debug mode is on)
@@ -167,10 +480,48 @@ function App() {
         drawFaceLandmarks(ctx, landmarks, canvas.width, canvas.height);
       }
       
-      // Extract features
-      const features = extractEyeFeatures(landmarks);
+      // Remember who calibrated, so bystanders can't take over the cursor later
+      if (modeRef.current === 'calibrating') {
+        calibrationManager.recordFaceGeometry(results.faceGeometry);
+      }
+      
+      // Extract features: while calibrating, the eye mode decides; afterwards,
+      // whatever the model was trained on (auto mode may have picked one eye)
+      const featureExtractor = getFeatureExtractor(
+        modeRef.current !== 'calibrating' && gazeModelRef.current.featureExtractor
+          ? gazeModelRef.current.featureExtractor.id
+          : getCalibrationExtractorId(eyeModeRef.current)
+      );
+      const features = extractFeatures(landmarks, {
+        headPose: results.headPose,
+        viewingDistance: results.viewingDistance,
+        // Pixels are only read for image-based extractors (eye patches)
+        imageData: featureExtractor.requiresImage ? getFrameImageData(results.image || videoElement) : null
+      }, featureExtractor.id);
+      
+      // Blink detection needs the frames that validation drops (closed eyes)
+      if (features && CONFIG.blink.enabled) {
+        blinkDetector.update(features, frameTime);
+      }
+      
+      // Single-eye features only need their own eye; auto calibration accepts either eye.
+      // Judged against the user's calibration statistics once they exist.
+      const validationMode = modeRef.current === 'calibrating' ? eyeModeRef.current : features?.eye;
+      const validation = outlierRejector.check(features, validationMode);
+      
+      trackingQualityMonitor.update({
+        landmarks,
+        features,
+        featuresValid: validation.valid,
+        headPose: results.headPose,
+        eyesClosed: CONFIG.blink.enabled && blinkDetector.areEyesClosed()
+      }, frameTime);
       
-      if (features && areEyeFeaturesValid(features)) {
+      if (modeRef.current === 'calibrating' || modeRef.current === 'validating') {
+        setOverlayFrame({ features: validation.valid ? features : null, timestamp: frameTime });
+      }
+      
+      if (validation.valid) {
         setEyeFeatures(features);
         
         // Handle different modes (use refs for current values)
@@ -179,29 +530,25 @@ function App() {
         
         if (currentMode === 'calibrating' && isCalibrating) {
           // Collect calibration data (handled by Calibration component)
-        } else if (currentMode === 'tracking' && isModelTrained) {
+        } else if (currentMode === 'tracking' && isModelTrained && !isPausedRef.current &&
+                   !trackingQualityMonitor.isFrozen()) {
           // Predict gaze
-          const prediction = gazePredictionModel.predict(features.vector);
-          if (prediction) {
-            // Mirror X coordinate (because video is flipped horizontally)
-            const mirroredPrediction = {
-              x: 100 - prediction.x, // Flip horizontally
-              y: prediction.y
-            };
-            
-            // Smooth coordinates (still in percentage)
-            const smoothed = gazeSmoother.smooth(mirroredPrediction.x, mirroredPrediction.y);
-            
-            // Convert percentage to pixels
-            const pixelPosition = {
-              x: (smoothed.x / 100) * window.innerWidth,
-              y: (smoothed.y / 100) * window.innerHeight
-            };
+          const rawPrediction = gazeModelRef.current.predict(features.vector);
+          if (rawPrediction) {
+            // Replayed gaze says nothing about clicks on the live page
+            if (!results.replay) {
+              implicitCalibrator.recordFrame(features.vector, rawPrediction, frameTime);
+            }
+            const prediction = implicitCalibrator.correct(rawPrediction);
+            // Predictions are fractions of the screen (the model learned the camera
+            // mirroring from the calibration targets); windows can move without an event
+            const viewportPosition = normalizedToViewport(prediction, viewportTracker.update());
+            const pixelPosition = gazeSmoother.smooth(viewportPosition.x, viewportPosition.y, frameTime);
             
             setGazePosition(pixelPosition);
             
             // Update dwell detector (use pixel position)
-            const dwellEvent = dwellDetector.update(pixelPosition);
+            const dwellEvent = dwellDetector.update(pixelPosition, frameTime);
             if (dwellEvent && dwellEvent.type === 'click') {
               console.log('👁️ Click event:', dwellEvent);
             }
@@ -212,17 +559,178 @@ function App() {
       
     } else {
       setFaceDetected(false);
+      setViewingDistance(null);
       setEyeFeatures(null);
+      // A closure that started before the face was lost must not complete a blink
+      blinkDetector.reset();
+      if (modeRef.current === 'calibrating' || modeRef.current === 'validating') {
+        setOverlayFrame({ features: null, timestamp: frameTime });
+      }
+      trackingQualityMonitor.update({ landmarks: null }, frameTime);
     }
   }, [isCalibrating]);
 
+  /**
+   * Camera lost/reconnected (FaceMesh, model and calibration are kept)
+   */
+  function handleCameraStatusChange(status, attempt) {
+    setCameraStatus(status);
+    setReconnectAttempt(attempt);
+    
+    if (status !== CAMERA_STATUS.ACTIVE) {
+      // Stop acting on the last frame we saw
+      setFaceDetected(false);
+      setViewingDistance(null);
+      setEyeFeatures(null);
+      setGazePosition(null);
+      setIsDwelling(false);
+      dwellDetector.reset();
+      gazeSmoother.reset();
+      blinkDetector.reset();
+      resultsHandlerRef.current?.reset();
+      trackingQualityMonitor.reset();
+      outlierRejector.reset();
+      setTrackingState(TRACKING_STATES.FACE_LOST);
+      setTrackingReasons([]);
+    }
+  }
+
+  /**
+   * Switch to another camera (FaceMesh, model and calibration are kept)
+   */
+  async function handleCameraChange(event) {
+    const deviceId = event.target.value;
+    if (!deviceId || deviceId === cameraId) return;
+
+    setIsSwitchingCamera(true);
+    switchingCameraRef.current = true;
+    const monitor = cameraMonitorRef.current;
+    try {
+      const stream = await switchCamera(videoRef.current, streamRef.current, deviceId);
+      streamRef.current = stream;
+      monitor.attach(stream);
+      setCameraId(getStreamDeviceId(stream));
+      gazeSmoother.reset();
+      resultsHandlerRef.current?.reset();
+      dwellDetector.reset();
+      // Eye apertures differ between cameras: learn the open-eye baseline again
+      blinkDetector.reset();
+    } catch (err) {
+      console.error('❌ Camera switch failed:', err);
+      const restored = videoRef.current.srcObject;
+      if (restored && restored.active) {
+        streamRef.current = restored;
+        monitor.attach(restored);
+      } else {
+        monitor.handleLost('switch failed');
+      }
+    } finally {
+      switchingCameraRef.current = false;
+      setCameras(await listCameras());
+      setIsSwitchingCamera(false);
+    }
+  }
+
+  /**
+   * Start/stop recording FaceMesh results (downloaded as JSONL on stop)
+   */
+  function toggleRecording() {
+    if (sessionRecorder.isRecording) {
+      sessionRecorder.stop();
+      sessionRecorder.download();
+      setIsRecording(false);
+    } else {
+      sessionRecorder.start({
+        width: videoRef.current.videoWidth,
+        height: videoRef.current.videoHeight
+      });
+      setIsRecording(true);
+    }
+  }
+
+  /**
+   * Forget the time-based state of the tracking stages (smoothing, dwell,
+   * blinks, tracking quality, primary face lock, landmark filter)
+   */
+  function resetTimedStages() {
+    gazeSmoother.reset();
+    dwellDetector.reset();
+    blinkDetector.reset();
+    trackingQualityMonitor.reset();
+    primaryFaceTracker.reset();
+    resultsHandlerRef.current?.reset();
+    setIsDwelling(false);
+  }
+
+  /**
+   * Replay a recorded session instead of the live camera
+   */
+  async function handleReplayFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsReplaying(true);
+    frameLoopRef.current?.stop();
+    // Recorded frames carry the recording's clock: start the replay from a clean state
+    resetTimedStages();
+    try {
+      const recording = parseSessionRecording(await file.text());
+      console.log(`▶️ Replaying ${file.name} (${recording.events.length} events)`);
+      await replaySession(recording, createResultsHandler(onFaceDetected), { realtime: true });
+      console.log('✅ Replay finished');
+    } catch (err) {
+      console.error('❌ Replay failed:', err);
+      setError(`Replay failed: ${err.message}`);
+    } finally {
+      // ...and go back to the live clock from a clean state too
+      resetTimedStages();
+      frameLoopRef.current?.start();
+      setIsReplaying(false);
+    }
+  }
+
+  /**
+   * Opt in or out of learning a gaze correction from dwell clicks
+   */
+  function handleImplicitCalibrationToggle(event) {
+    implicitCalibrator.setEnabled(event.target.checked);
+    setImplicitStats(implicitCalibrator.getStats());
+  }
+
+  /**
+   * Opt in or out of blink actions (CONFIG.blink.actions)
+   */
+  function handleBlinkActionsToggle(event) {
+    saveBlinkActionsEnabled(event.target.checked);
+    setBlinkActionsEnabled(event.target.checked);
+  }
+
+  /**
+   * Change the eye mode (applies from the next calibration)
+   */
+  function handleEyeModeChange(event) {
+    const newMode = event.target.value;
+    saveEyeMode(newMode);
+    setEyeMode(newMode);
+  }
+
   /**
    * Start calibration
    */
   function startCalibration() {
     setMode('calibrating');
     setIsCalibrating(true);
-    calibrationManager.startCalibration();
+    setValidationReport(null);
+    calibrationManager.startCalibration(eyeMode);
+    // Whoever calibrates becomes the primary user (closest face to the camera)
+    primaryFaceTracker.setReferenceGeometry(null);
+    primaryFaceTracker.reset();
+    // Learn the new calibration's feature range from scratch
+    outlierRejector.setStatistics(null);
+    outlierRejector.reset();
+    // Corrections learned from clicks belong to the old calibration
+    implicitCalibrator.reset();
   }
 
   /**
@@ -236,28 +744,50 @@ function App() {
       const data = calibrationManager.getCalibrationData();
       
       // Validate calibration data
-      if (!data || data.length < 9) {
-        throw new Error(`Not enough calibration points. Got ${data?.length || 0}, need 9.`);
+      const minPoints = calibrationManager.getMinPointsRequired();
+      if (!data || data.length < minPoints) {
+        throw new Error(`Not enough calibration points. Got ${data?.length || 0}, need ${minPoints}.`);
       }
       
-      // Train model
-      await gazePredictionModel.train(data, {
-        epochs: 100,
-        batchSize: 8,
-        verbose: 0
+      // Train model: the eye mode may call for another variant than the
+      // current one (eye patches need the CNN), which then replaces it
+      const extractorId = calibrationManager.featureExtractor?.id;
+      const model = isModelVariantFor(gazeModelRef.current, extractorId)
+        ? gazeModelRef.current
+        : createGazePredictionModel(extractorId);
+      await model.train(data, {
+        featureExtractor: extractorId,
+        // Targets are labeled in screen pixels
+        screenSize: viewportTracker.getGeometry().screen,
+        epochs: CONFIG.model.epochs,
+        batchSize: CONFIG.model.batchSize,
+        validationSplit: CONFIG.model.validationSplit,
+        verbose: CONFIG.model.verbose
       });
+      if (model !== gazeModelRef.current) {
+        gazeModelRef.current.dispose();
+        gazeModelRef.current = model;
+        setGazeModel(model);
+      }
       
       // Save model
-      await gazePredictionModel.saveModel();
+      await model.saveModel();
       calibrationManager.saveToStorage();
+      primaryFaceTracker.setReferenceGeometry(calibrationManager.faceGeometry);
+      outlierRejector.setStatistics(calibrationManager.featureStatistics);
       
       setModelTrained(true);
-      setMode('tracking');
-      
-      // Enable dwell detector
-      dwellDetector.setEnabled(true);
+      setModelNotice(null);
+      setTrackedEye(calibrationManager.trackedEye);
       
-      console.log('✅ Calibration complete! Starting tracking...');
+      if (CONFIG.validation.enabled) {
+        // Measure the accuracy on fresh targets before tracking
+        setMode('validating');
+        console.log('✅ Calibration complete! Validating...');
+      } else {
+        startTracking();
+        console.log('✅ Calibration complete! Starting tracking...');
+      }
       
     } catch (error) {
       console.error('❌ Calibration failed:', error);
@@ -266,6 +796,24 @@ function App() {
     }
   }
 
+  /**
+   * Start tracking with the trained model
+   */
+  function startTracking() {
+    setMode('tracking');
+    
+    // Enable dwell detector
+    dwellDetector.setEnabled(true);
+  }
+
+  /**
+   * Validation report accepted (or validation skipped)
+   */
+  function handleValidationAccept() {
+    setValidationReport(calibrationManager.validation);
+    startTracking();
+  }
+
   /**
    * Cancel calibration
    */
@@ -274,6 +822,16 @@ function App() {
     setMode('detection');
   }
 
+  const blinkBindings = Object.entries(CONFIG.blink.actions)
+    .filter(([, action]) => action)
+    .map(([event, action]) => `${event.replace('_', ' ')} → ${action.replace('_', ' ')}`);
+
+  const calibrationInfo = describeCalibration();
+  const distanceGuidance = getDistanceGuidance(viewingDistance, calibrationManager.viewingDistance);
+  // The current model was calibrated for another eye mode
+  const eyeModePending = modelTrained &&
+    !getAcceptedExtractorIds(eyeMode).includes(gazeModel.featureExtractor?.id);
+
   return (
     <div className="App">
       <header className="App-header">
@@ -295,7 +853,7 @@ function App() {
         {!error && (
           <div className="video-container">
             <video ref={videoRef} style={{ display: 'none' }} playsInline />
-            <canvas ref={canvasRef} className="face-canvas" />
+            <canvas ref={canvasRef} className="face-canvas" style={{ transform: getVideoTransform() }} />
             
             {!isInitialized && (
               <div className="video-overlay">
@@ -315,18 +873,126 @@ function App() {
               <span className="status-label">Face:</span>
               <span className="status-value">{faceDetected ? '✅ Detected' : '❌ Not Found'}</span>
             </div>
+            {faceDetected && (
+              <div className={`status-item ${trackingState === TRACKING_STATES.GOOD ? 'success' : 'warning'}`}>
+                <span className="status-label">Tracking:</span>
+                <span className="status-value">
+                  {trackingState}
+                  {trackingReasons.length > 0 && ` (${trackingReasons.join(', ')})`}
+                </span>
+              </div>
+            )}
+            {faceCount > 1 && (
+              <div className="status-item">
+                <span className="status-label">Faces:</span>
+                <span className="status-value">👥 {faceCount} in view - tracking {faceDetected ? 'primary user' : 'nobody'}</span>
+              </div>
+            )}
             <div className={`status-item ${fps >= 20 ? 'success' : fps >= 15 ? 'warning' : ''}`}>
               <span className="status-label">FPS:</span>
               <span className="status-value">{fps}</span>
             </div>
-            <div className="status-item">
+            <div className={`status-item ${isPaused ? 'warning' : ''}`}>
               <span className="status-label">Mode:</span>
-              <span className="status-value">{mode}</span>
+              <span className="status-value">{isPaused ? `${mode} (⏸️ paused)` : mode}</span>
             </div>
-            <div className={`status-item ${modelTrained ? 'success' : ''}`}>
+            <div className={`status-item ${modelTrained ? 'success' : modelNotice ? 'warning' : ''}`}>
               <span className="status-label">Model:</span>
-              <span className="status-value">{modelTrained ? '✅ Trained' : '⏳ Not Trained'}</span>
+              <span className="status-value" title={modelNotice || undefined}>
+                {modelTrained ? '✅ Trained' : modelNotice ? '⚠️ Saved model outdated - please recalibrate' : '⏳ Not Trained'}
+              </span>
             </div>
+            {modelTrained && validationReport && (
+              <div className={`status-item ${validationReport.grade === VALIDATION_GRADES.POOR ? 'warning' : 'success'}`}>
+                <span className="status-label">Accuracy:</span>
+                <span className="status-value">
+                  {validationReport.grade} ({Math.round(validationReport.accuracy)} px)
+                </span>
+              </div>
+            )}
+            {modelTrained && (
+              <div className={`status-item ${implicitStats.corrected ? 'success' : ''}`}>
+                <label className="status-label" htmlFor="implicit-calibration-toggle">Learn from clicks:</label>
+                <input
+                  id="implicit-calibration-toggle"
+                  type="checkbox"
+                  checked={implicitStats.enabled}
+                  onChange={handleImplicitCalibrationToggle}
+                />
+                {implicitStats.enabled && (
+                  <span className="status-value">
+                    {implicitStats.samples} clicks{implicitStats.corrected ? ' (correcting)' : ''}
+                  </span>
+                )}
+              </div>
+            )}
+            {CONFIG.blink.enabled && blinkBindings.length > 0 && (
+              <div className="status-item">
+                <label className="status-label" htmlFor="blink-actions-toggle">Eye gestures:</label>
+                <input
+                  id="blink-actions-toggle"
+                  type="checkbox"
+                  checked={blinkActionsEnabled}
+                  onChange={handleBlinkActionsToggle}
+                />
+              </div>
+            )}
+            <div className={`status-item ${eyeModePending ? 'warning' : ''}`}>
+              <label className="status-label" htmlFor="eye-mode-select">
+                {eyeModePending ? 'Eyes (recalibrate to apply):' : 'Eyes:'}
+              </label>
+              <select
+                id="eye-mode-select"
+                className="camera-select"
+                value={eyeMode}
+                onChange={handleEyeModeChange}
+                disabled={isCalibrating}
+                title={modelTrained && trackedEye ? `Current calibration tracks: ${trackedEye}` : undefined}
+              >
+                {Object.values(EYE_MODES).map(value => (
+                  <option key={value} value={value}>
+                    {EYE_MODE_LABELS[value]}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {faceDetected && viewingDistance && (
+              <div className={`status-item ${distanceGuidance.status === 'ok' ? 'success' : 'warning'}`}>
+                <span className="status-label">Distance:</span>
+                <span className="status-value">
+                  {viewingDistance} cm
+                  {distanceGuidance.status !== 'ok' && ` - ${distanceGuidance.message}`}
+                </span>
+              </div>
+            )}
+            {cameraStatus !== CAMERA_STATUS.ACTIVE && (
+              <div className="status-item warning">
+                <span className="status-label">Camera:</span>
+                <span className="status-value">
+                  {cameraStatus === CAMERA_STATUS.RECONNECTING
+                    ? `🔄 Reconnecting (attempt ${reconnectAttempt})`
+                    : '📷 Lost'}
+                </span>
+              </div>
+            )}
+            {cameras.length > 1 && (
+              <div className="status-item">
+                <label className="status-label" htmlFor="camera-select">Camera:</label>
+                <select
+                  id="camera-select"
+                  className="camera-select"
+                  value={cameraId || ''}
+                  onChange={handleCameraChange}
+                  disabled={isSwitchingCamera || isCalibrating}
+                >
+                  {cameras.map(camera => (
+                    <option key={camera.deviceId} value={camera.deviceId}>
+                      {camera.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
         )}
 
@@ -359,14 +1025,52 @@ function App() {
           </div>
         )}
 
+        {/* Camera Lost */}
+        {isInitialized && cameraStatus !== CAMERA_STATUS.ACTIVE && (
+          <div className="instructions">
+            <h3>📷 Camera disconnected</h3>
+            <ul>
+              <li>Reconnect the webcam or close other apps using it</li>
+              <li>Tracking resumes automatically - your calibration is kept</li>
+            </ul>
+          </div>
+        )}
+
+        {/* Session Record/Replay (for reproducing tracking bugs) */}
+        {isInitialized && !isCalibrating && (
+          <div className="control-buttons session-tools">
+            <button
+              className="toggle-cursor-button"
+              onClick={toggleRecording}
+              disabled={isReplaying}
+            >
+              {isRecording ? '⏹️ Stop & Save Recording' : '⏺️ Record Session'}
+            </button>
+            <button
+              className="toggle-cursor-button"
+              onClick={() => replayInputRef.current?.click()}
+              disabled={isRecording || isReplaying}
+            >
+              {isReplaying ? '▶️ Replaying...' : '📂 Replay Session'}
+            </button>
+            <input
+              ref={replayInputRef}
+              type="file"
+              accept=".jsonl,application/x-ndjson"
+              style={{ display: 'none' }}
+              onChange={handleReplayFile}
+            />
+          </div>
+        )}
+
         {/* Instructions */}
-        {isInitialized && !faceDetected && !isCalibrating && (
+        {isInitialized && cameraStatus === CAMERA_STATUS.ACTIVE && !faceDetected && !isCalibrating && (
           <div className="instructions">
             <h3>👋 Position your face in front of the camera</h3>
             <ul>
               <li>Good lighting required</li>
               <li>Face the camera directly</li>
-              <li>Stay within ~60cm</li>
+              <li>Stay within {CONFIG.distance.minDistance}-{CONFIG.distance.maxDistance}cm</li>
             </ul>
           </div>
         )}
@@ -374,8 +1078,8 @@ function App() {
         {faceDetected && !modelTrained && !isCalibrating && (
           <div className="instructions success-box">
             <h3>✅ Ready for Calibration!</h3>
-            <p>Click "Start Calibration" to begin the 9-point calibration process.</p>
-            <p>This will take about 30 seconds.</p>
+            <p>Click "Start Calibration" to begin the {calibrationInfo.name} calibration process.</p>
+            <p>This will take about {calibrationInfo.seconds} seconds.</p>
           </div>
         )}
 
@@ -383,8 +1087,14 @@ function App() {
           <div className="instructions success-box">
             <h3>🎉 Eye Tracking Active!</h3>
             <p>Look at any point and hold for 0.6 seconds to click.</p>
+            {CONFIG.blink.enabled && blinkActionsEnabled && blinkBindings.length > 0 && (
+              <p>Eye gestures: {blinkBindings.join(', ')}</p>
+            )}
+            {isPaused && <p>⏸️ Tracking paused</p>}
             <p>Green cursor shows your gaze position.</p>
-            <p className="phase-info">🪞 Video is mirrored like looking in a mirror for natural interaction</p>
+            {CONFIG.camera.mirrorVideo && (
+              <p className="phase-info">🪞 Video is mirrored like looking in a mirror for natural interaction</p>
+            )}
             
             {/* Debug Mode Feature Display */}
             {debugMode && eyeFeatures && (
@@ -416,6 +1126,31 @@ function App() {
                     <span className="feature-value">{eyeFeatures.normalized.rightAperture.toFixed(2)}</span>
                   </div>
                 </div>
+                {lastBlinkEvent && (
+                  <div className="feature-tip">
+                    😉 Last eye gesture: {lastBlinkEvent.type} ({Math.round(lastBlinkEvent.duration)}ms)
+                  </div>
+                )}
+                {rejectionStats && rejectionStats.frames > 0 && (
+                  <div className="feature-tip">
+                    🚫 Dropped frames: {Math.round(rejectionStats.rejectRate * 100)}%
+                    {' '}({rejectionStats.adaptive ? 'calibrated statistics' : 'fixed thresholds'})
+                    {Object.keys(rejectionStats.reasons).length > 0 && (
+                      <>
+                        <br />
+                        {Object.entries(rejectionStats.reasons)
+                          .sort((a, b) => b[1] - a[1])
+                          .map(([reason, count]) => `${reason}: ${count}`)
+                          .join(', ')}
+                      </>
+                    )}
+                  </div>
+                )}
+                {eyeFeatures.headPose && (
+                  <div className="feature-tip">
+                    🧭 Head: {formatHeadPose(eyeFeatures.headPose)}
+                  </div>
+                )}
                 <div className="feature-tip">
                   💡 Move your eyes around - these values should change smoothly!
                   <br />
@@ -432,8 +1167,21 @@ function App() {
         <Calibration
           onCalibrationComplete={handleCalibrationComplete}
           onCancel={handleCalibrationCancel}
-          eyeFeatures={eyeFeatures}
+          frame={overlayFrame}
+          blinkEvent={overlayBlinkEvent}
+          calibrationManager={calibrationManager}
+        />
+      )}
+
+      {/* Validation Overlay */}
+      {mode === 'validating' && (
+        <Validation
+          frame={overlayFrame}
+          model={gazeModel}
+          blinkEvent={overlayBlinkEvent}
           calibrationManager={calibrationManager}
+          onAccept={handleValidationAccept}
+          onRecalibrate={startCalibration}
         />
       )}
 
@@ -443,7 +1191,7 @@ function App() {
           position={gazePosition}
           isDwelling={isDwelling}
           dwellProgress={dwellProgress}
-          visible={gazePosition !== null}
+          visible={gazePosition !== null && !isPaused}
         />
       )}
 
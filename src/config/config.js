@@ -9,25 +9,164 @@ export const CONFIG = {
     width: { ideal: 640 },      // Lower resolution for better FPS
     height: { ideal: 480 },     // Lower resolution for better FPS
     frameRate: { ideal: 30, max: 30 },
-    facingMode: "user",
-    mirrorVideo: true           // Mirror horizontally (like a mirror)
+    facingMode: "user",         // Used when no specific camera is selected
+    deviceId: null,             // Default camera (overridden by the saved choice)
+    horizontalFov: 60,          // Typical webcam field of view (degrees), for metric estimates
+    mirrorVideo: true,          // Mirror horizontally (like a mirror)
+    stallTimeout: 3000,         // ms without a new video frame before the camera counts as lost
+    reconnect: {
+      initialDelay: 500,        // First retry after losing the camera (ms)
+      maxDelay: 10000,          // Upper bound for the retry backoff (ms)
+      backoffFactor: 2          // Delay multiplier after each failed attempt
+    }
   },
 
   // MediaPipe FaceMesh Settings
   faceMesh: {
-    maxNumFaces: 1,
+    maxNumFaces: 3,             // Detect bystanders so they can be ignored (see faceSelection)
     refineLandmarks: true,      // CRITICAL: Enables iris detection
     minDetectionConfidence: 0.5,
-    minTrackingConfidence: 0.5
+    minTrackingConfidence: 0.5,
+    // Where the FaceMesh WASM/model files are served from. Defaults to the copies
+    // shipped in public/ (see scripts/copy-mediapipe-assets.js) so no network is needed.
+    assetBaseUrl: `${process.env.PUBLIC_URL || ''}/mediapipe/face_mesh`
+  },
+
+  // Multi-Face Handling
+  faceSelection: {
+    strategy: 'calibrated',     // 'largest', 'central' or 'calibrated' (largest until calibrated)
+    maxJump: 0.15,              // Max face movement per frame to keep the lock (normalized)
+    lostTimeout: 1500,          // ms to hold the lock while the user is out of view
+    geometryTolerance: 0.08     // Max face-proportion difference to the calibrated user
+  },
+
+  // Landmark Filtering (applied to the primary face before any feature is computed)
+  // type: 'off', 'ema' ({smoothing}: higher = more smoothing) or
+  //       'one_euro' ({minCutoff, beta, dCutoff}, in pixels)
+  landmarkFilter: {
+    contour: { type: 'ema', smoothing: 0.6 },                          // Eye corners, lids, face outline
+    iris: { type: 'one_euro', minCutoff: 1.0, beta: 0.05, dCutoff: 1.0 } // Low lag during saccades
+  },
+
+  // Tracking Quality Settings
+  trackingQuality: {
+    faceLostDelay: 200,         // ms without a face before tracking counts as lost
+    reacquireDuration: 500,     // ms to let landmarks settle after the face comes back
+    minLandmarkConfidence: 0.9, // Min share of key landmarks inside the frame
+    validityWindow: 30,         // Frames used for the feature validity rate
+    minValidRate: 0.6,          // Min share of frames passing validation (outlier rejection)
+    maxYaw: 30,                 // Degrees of head turn before tracking degrades
+    maxPitch: 25,               // Degrees of head tilt before tracking degrades
+    minFps: 15                  // Below this the cursor lags noticeably
+  },
+
+  // Outlier Rejection (per-user feature statistics learned during calibration)
+  outlierRejection: {
+    rejectionSigma: 4,          // Reject beyond this normal quantile (4 = ~1 in 30000 good frames)
+    minSamples: 100,            // Calibration frames needed; fewer = fixed thresholds
+    regularization: 0.1,        // Extra variance per feature (fraction), tolerates correlated features
+    statsWindow: 300            // Frames in the reject rate and reasons (~10 s)
+  },
+
+  // Feature Settings
+  features: {
+    // Registered extractor used for calibration and prediction (see featureExtractors.js):
+    // 'v1' (8 eye features), 'v1_head_pose' (v1 + yaw/pitch/roll/position, 14 features)
+    // or 'eye_patch_v1' (eye images for a small CNN, needs live video - not replays).
+    // Changing it requires a recalibration.
+    extractor: 'v1',
+    // Default eye mode: 'both', 'left' / 'right' (user's eye, for strabismus, ptosis or
+    // vision in one eye) or 'auto' (dominant eye chosen during calibration).
+    // Single-eye modes use the geometric single-eye extractors. Users can change it in the UI.
+    eyeMode: 'both'
+  },
+
+  // Viewing Distance Settings
+  distance: {
+    irisDiameterMm: 11.7,       // Average adult iris diameter
+    minDistance: 40,            // cm - closer than this and the face leaves the frame
+    maxDistance: 75,            // cm - further than this and the iris gets too small
+    calibrationTolerance: 0.2   // Warn when distance differs >20% from calibration
   },
 
   // Calibration Settings
   calibration: {
-    pointCount: 9,              // Number of calibration points
-    samplesPerPoint: 60,        // Samples to collect per point (2 seconds at 30 FPS)
-    sampleInterval: 33,         // Milliseconds between samples (~30 Hz)
+    pattern: 9,                 // 5, 9, 13, 16, 25 points or 'custom' (see calibrationPatterns.js)
+    margin: 10,                 // Distance of the outer points from the screen edges (%)
+    customPoints: [],           // [{x, y}] in % of the screen, for pattern 'custom'
+    randomizeOrder: true,       // Shuffle the points so the next one can't be anticipated
+    samplesPerPoint: 60,        // Camera frames to collect per point (2 seconds at 30 FPS)
     countdownTime: 3,           // Seconds to wait before collecting samples
-    minPointsRequired: 9        // Minimum points needed for valid calibration
+    minPointsRequired: 5,       // Minimum points needed for valid calibration
+    minPointsFraction: 0.5,     // ...and at least this share of the pattern's points (pursuit: of its segments)
+    reviewPoints: true,         // Show per-point quality before training, to redo bad points
+    maxRelativeSpread: 2.5,     // Flag points whose feature spread exceeds this x the median
+    minSampleRatio: 0.7,        // Flag points with fewer than this share of samplesPerPoint kept
+    trimStartSamples: 6,        // Drop each point's first samples (eyes still landing, ~200 ms)
+    outlierThreshold: 4,        // Drop samples further than this many robust SDs from the point's median
+    // Only sample while the eyes rest on the target (see fixationDetection.js)
+    fixation: {
+      window: 200,              // ms of frames checked for a fixation
+      minFrames: 4,             // Frames the window needs before it counts
+      maxDispersion: 0.4,       // Max x + y range of the iris offsets in the window (~1/8 of the screen)
+      maxWait: 3000,            // ms to wait for a fixation before sampling anyway
+      maxSamplingTime: 5000     // ms to keep sampling while frames are rejected, then keep what we have
+    },
+    // Operating calibration without a mouse (see handsFree.js)
+    handsFree: {
+      openOnStart: true,        // Open calibration right away when there is no saved calibration
+      autoStartDelay: 10,       // Seconds with a visible face before starting on its own (null = never)
+      faceLostDelay: 1000,      // ms without a usable frame before the auto-start countdown pauses
+      confirmBlink: 'double_blink', // Blink event that starts / confirms (see BLINK_EVENTS, null = none)
+      switchKeys: [' ', 'Enter'] // Keys sent by switch devices to start / confirm (Escape cancels)
+    }
+  },
+
+  // Smooth-pursuit Calibration (a moving target instead of fixed points)
+  pursuit: {
+    path: 'lissajous',          // 'lissajous' or 'spiral' (see smoothPursuit.js)
+    duration: 20000,            // ms the target takes for the whole path
+    margin: 10,                 // Keep the path this far from the screen edges (%)
+    sampleInterval: 33,         // Milliseconds between target moves (~30 Hz; samples come from camera frames)
+    settleTime: 1000,           // ms at the start when the eyes are still catching the target
+    segmentCount: 60,           // Calibration points the path is split into (frames averaged per stretch)
+    lag: 'auto',                // Eye lag behind the target in ms, or 'auto' to estimate it
+    defaultLag: 100,            // Lag used when it can't be estimated
+    maxLag: 300,                // Largest lag tried when estimating (ms)
+    lagStep: 10                 // Lag resolution when estimating (ms)
+  },
+
+  // Post-calibration Validation (fresh targets, accuracy report)
+  validation: {
+    enabled: true,
+    pointCount: 4,              // Random targets shown after training
+    margin: 15,                 // Keep targets this far from the screen edges (%)
+    settleTime: 800,            // ms to let the eyes land on a target before sampling
+    samplesPerPoint: 30,        // Predictions sampled per target, one per camera frame (~1 second)
+    maxSamplingTime: 2000,      // ms before giving up on a target that gets too few frames
+    // Max mean accuracy per grade, as a fraction of the screen diagonal
+    grades: { excellent: 0.03, good: 0.05, fair: 0.08 }
+  },
+
+  // Audio Cues (spoken prompts and tones pacing calibration, see audioCues.js)
+  audioCues: {
+    enabled: true,
+    speech: true,               // Speak the cue phrases (Web Speech API)
+    tones: true,                // Play the cue tones (Web Audio API)
+    volume: 0.5,                // 0 to 1
+    speechRate: 1.1,
+    lang: null,                 // Speech language, e.g. 'en-US' (null = browser default)
+    toneDuration: 120,          // ms per tone
+    // Cue -> tones (Hz, played in order) and phrase (null = tones only)
+    cues: {
+      look: { tones: [660], text: 'Look here' },
+      tick: { tones: [440], text: null },
+      hold: { tones: [880], text: 'Hold' },
+      follow: { tones: [880], text: 'Follow the point' },
+      done: { tones: [660, 990], text: 'Done' },
+      review: { tones: [523], text: 'Review the points. Blink twice or press your switch to continue' },
+      complete: { tones: [523, 659, 784], text: 'Calibration done' }
+    }
   },
 
   // Model Training Settings
@@ -45,6 +184,39 @@ export const CONFIG = {
     enabled: true
   },
 
+  // Blink/Wink Settings
+  blink: {
+    enabled: true,
+    closeRatio: 0.55,           // Eye closed below 55% of the user's open-eye aperture
+    openRatio: 0.75,            // Eye open again above 75% (hysteresis)
+    maxBlinkDuration: 400,      // ms - longer closures are not blinks
+    doubleBlinkWindow: 600,     // ms - max gap between the two blinks of a double blink
+    longCloseDuration: 1000,    // ms - deliberate eye closure
+    actionsEnabled: false,      // Eye gesture actions are off until the user turns them on
+    // Event -> action bindings ('click', 'toggle_pause' or null)
+    actions: {
+      blink: null,              // Natural blinks must never trigger anything
+      double_blink: 'click',
+      long_close: 'toggle_pause',
+      left_wink: null,
+      right_wink: null
+    }
+  },
+
+  // Implicit Recalibration (learn from confirmed dwell clicks, opt-in)
+  implicitCalibration: {
+    enabled: false,             // Default until the user turns it on
+    featureWindow: 500,         // ms of frames before a click that show where the user looked
+    confirmDelay: 2000,         // ms without an undo before a click counts as intended
+    maxOffset: 0.1,             // Ignore clicks this far (screen fraction) from the predicted gaze
+    maxElementSize: 0.25,       // Ignore elements larger than this share of the viewport (no clear center)
+    minSamples: 8,              // Confirmed clicks needed before correcting
+    maxSamples: 50,             // Keep the most recent clicks (drift changes over a session)
+    updateEvery: 3,             // Refit the correction after this many new clicks
+    regularization: 0.5,        // Pull the correction towards no change
+    maxShift: 0.15              // Reject corrections moving the screen center further (screen fraction)
+  },
+
   // Smoothing Settings
   smoothing: {
     enabled: true,
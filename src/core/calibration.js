@@ -1,9 +1,49 @@
 /**
  * Calibration Module for NovaVista FreeGaze
  * Handles calibration data collection and storage
+ *
+ * Each point keeps its cleaned raw samples (the model trains on every frame)
+ * along with their mean and variance.
  */
 
-import { averageFeatures } from './featureExtraction';
+import { averageFeatures, EYE_MODES } from './featureExtraction';
+import {
+  getFeatureExtractor,
+  describeFeatureExtractor,
+  findMatchingFeatureExtractor,
+  inferLegacyFeatureExtractor,
+  FeatureExtractorMismatchError
+} from './featureExtractors';
+import { FeatureStatistics } from './outlierRejection';
+import { chooseDominantEye, v1ToSingleEyeVector, SINGLE_EYE_EXTRACTORS } from './eyeMode';
+import { labelPursuitSamples, PURSUIT_PATHS } from './smoothPursuit';
+import { getCalibrationPattern } from './calibrationPatterns';
+import { selectCalibrationSamples } from './sampleSelection';
+import { CONFIG } from '../config/config';
+
+// Stored calibration format; older formats are migrated when loading
+export const CALIBRATION_STORAGE_VERSION = '2.0';
+
+/**
+ * Bring stored calibration data to the current format
+ * 1.0 kept only the mean of each point; it becomes the point's only sample.
+ * @param {Object} data - Parsed stored calibration
+ * @returns {Object} Data in CALIBRATION_STORAGE_VERSION format
+ */
+export function migrateCalibrationData(data) {
+  if (data.version === CALIBRATION_STORAGE_VERSION) return data;
+
+  if (!data.version || data.version === '1.0') {
+    console.log(`🔄 Migrating calibration from version ${data.version || '1.0'} to ${CALIBRATION_STORAGE_VERSION}`);
+    return {
+      ...data,
+      points: data.points.map(point => ({ ...point, samples: [point.features] })),
+      version: CALIBRATION_STORAGE_VERSION
+    };
+  }
+
+  throw new Error(`Unsupported calibration version ${data.version}`);
+}
 
 /**
  * Calibration data structure
@@ -14,36 +54,182 @@ class CalibrationManager {
     this.isCalibrating = false;
     this.currentPointIndex = 0;
     this.currentSamples = [];
+    this.redoIndex = null;           // Point being collected again (see redoPoint)
+    this.viewingDistance = null;
+    this.faceGeometry = null;        // Calibrated user's face proportions
+    this.geometrySamples = [];
+    this.featureStatistics = new FeatureStatistics(); // User's normal feature range
+    this.featureExtractor = null;    // {id, version, inputSize} of the collected features
+    this.eyeMode = EYE_MODES.BOTH;   // Eye mode the calibration was started in
+    this.trackedEye = EYE_MODES.BOTH; // Eye(s) the calibration ended up using
+    this.pattern = null;             // Pattern name (calibrationPatterns.js) or pursuit path (smoothPursuit.js)
+    this.pursuitLag = null;          // Eye lag (ms) compensated in a pursuit calibration
+    this.validation = null;          // Accuracy report (see calibrationValidation.js)
   }
 
   /**
    * Start calibration process
+   * @param {string} eyeMode - One of EYE_MODES. In auto mode, samples are
+   *   collected with 'v1' features and the dominant eye is kept when finishing.
    */
-  startCalibration() {
+  startCalibration(eyeMode = EYE_MODES.BOTH) {
+    this.eyeMode = eyeMode;
+    this.trackedEye = eyeMode === EYE_MODES.AUTO ? EYE_MODES.BOTH : eyeMode;
     this.points = [];
+    this.viewingDistance = null;
+    this.faceGeometry = null;
+    this.geometrySamples = [];
+    this.featureStatistics = new FeatureStatistics();
+    this.featureExtractor = null;
+    this.validation = null;
+    this.pursuitLag = null;
     this.isCalibrating = true;
     this.currentPointIndex = 0;
     this.currentSamples = [];
+    this.redoIndex = null;
     console.log('🎯 Calibration started');
   }
 
+  /**
+   * Collect a point again before training (blink, glance away): the next
+   * completeCurrentPoint replaces it instead of adding a point.
+   * Frames of the replaced point stay in featureStatistics; they passed the
+   * frame checks, so they only widen the learned feature range a little.
+   * @param {number} index - Index in this.points
+   * @returns {boolean} True if the point can be redone
+   */
+  redoPoint(index) {
+    if (!this.isCalibrating || !this.points[index]) {
+      console.warn(`⚠️ Cannot redo calibration point ${index + 1}`);
+      return false;
+    }
+    this.redoIndex = index;
+    this.currentSamples = [];
+    return true;
+  }
+
+  /**
+   * Replace a point's data before training
+   * @param {number} index - Index in this.points
+   * @param {Object} point - {targetX, targetY, features, featureVariance, sampleCount, viewingDistance}
+   * @returns {boolean} True if replaced
+   */
+  replacePoint(index, point) {
+    if (!this.points[index]) return false;
+    this.points[index] = point;
+    return true;
+  }
+
+  /**
+   * Per-point sample count and feature spread, flagging points worth redoing
+   * Spread is the RMS frame-to-frame standard deviation of the features at a
+   * point; it's judged relative to the median point, as its scale depends on
+   * the feature extractor.
+   * @param {Object} options - {maxRelativeSpread}, {minSamples} (default to CONFIG.calibration)
+   * @returns {Array<{index: number, targetX: number, targetY: number, sampleCount: number,
+   *   spread: number|null, relativeSpread: number|null, isBad: boolean}>}
+   */
+  getPointQuality(options = {}) {
+    const {
+      maxRelativeSpread = CONFIG.calibration.maxRelativeSpread,
+      minSamples = CONFIG.calibration.samplesPerPoint * CONFIG.calibration.minSampleRatio
+    } = options;
+
+    const spreads = this.points.map(point => point.featureVariance
+      ? Math.sqrt(point.featureVariance.reduce((sum, v) => sum + v, 0) / point.featureVariance.length)
+      : null);
+    const known = spreads.filter(s => s !== null).sort((a, b) => a - b);
+    const median = known.length > 0 ? known[Math.floor(known.length / 2)] : null;
+
+    return this.points.map((point, index) => {
+      const spread = spreads[index];
+      const relativeSpread = spread !== null && median > 0 ? spread / median : null;
+      return {
+        index,
+        targetX: point.targetX,
+        targetY: point.targetY,
+        sampleCount: point.sampleCount,
+        spread,
+        relativeSpread,
+        isBad: point.sampleCount < minSamples ||
+          (relativeSpread !== null && relativeSpread > maxRelativeSpread)
+      };
+    });
+  }
+
+  /**
+   * Record which calibration pattern is being shown
+   * @param {number|string} pattern - Pattern name (5, 9, 13, 16, 25 or 'custom')
+   */
+  setPattern(pattern) {
+    this.pattern = pattern;
+  }
+
+  /**
+   * Points this calibration needs at least to be usable
+   * A share of the pattern's points (CONFIG.calibration.minPointsFraction), so a
+   * dense pattern or a pursuit path can't pass with a handful of points
+   * @returns {number}
+   */
+  getMinPointsRequired() {
+    const { minPointsRequired, minPointsFraction } = CONFIG.calibration;
+    const pattern = this.pattern ?? CONFIG.calibration.pattern;
+    const patternPoints = PURSUIT_PATHS.includes(pattern)
+      ? CONFIG.pursuit.segmentCount
+      : getCalibrationPattern(pattern).length;
+    return Math.max(minPointsRequired, Math.ceil(patternPoints * minPointsFraction));
+  }
+
+  /**
+   * Attach the post-calibration validation report
+   * @param {Object|null} report - From createValidationReport
+   */
+  setValidation(report) {
+    this.validation = report;
+  }
+
   /**
    * Add a feature sample for current calibration point
    * @param {Object} features - Eye features from extractEyeFeatures
    * @param {number} targetX - Target X position (screen coordinates)
    * @param {number} targetY - Target Y position (screen coordinates)
+   * @param {number} timestamp - Time the camera frame was captured (ms)
    */
-  addSample(features, targetX, targetY) {
+  addSample(features, targetX, targetY, timestamp = Date.now()) {
     if (!this.isCalibrating) return;
 
+    // All samples of a calibration must come from the same extractor
+    if (features.extractor) {
+      if (!this.featureExtractor) {
+        this.featureExtractor = describeFeatureExtractor(getFeatureExtractor(features.extractor));
+      } else if (features.extractor !== this.featureExtractor.id) {
+        console.warn(`⚠️ Ignoring sample from feature extractor "${features.extractor}"`);
+        return;
+      }
+    }
+
+    if (features.normalized) {
+      this.featureStatistics.add(features);
+    }
+
     this.currentSamples.push({
       features: features.vector,
+      viewingDistance: features.viewingDistance || null,
       targetX,
       targetY,
-      timestamp: Date.now()
+      timestamp
     });
   }
 
+  /**
+   * Record the calibrating user's face proportions for one frame
+   * @param {Array<number>|null} geometry - From computeFaceGeometry
+   */
+  recordFaceGeometry(geometry) {
+    if (!this.isCalibrating || !geometry) return;
+    this.geometrySamples.push(geometry);
+  }
+
   /**
    * Complete current calibration point
    * @returns {boolean} True if point was saved successfully
@@ -57,9 +243,16 @@ class CalibrationManager {
     // Get the target position from first sample
     const { targetX, targetY } = this.currentSamples[0];
 
+    // Drop the samples taken while the eyes were landing, and outliers
+    const { samples, trimmed, outliers } = selectCalibrationSamples(this.currentSamples.map(s => s.features));
+    if (samples.length === 0) {
+      console.warn('⚠️ No usable samples for this point');
+      return false;
+    }
+
     // Extract just the features
-    const featureSamples = this.currentSamples.map(s => ({
-      vector: s.features,
+    const featureSamples = samples.map(vector => ({
+      vector,
       normalized: {} // We'll use vector directly
     }));
 
@@ -71,36 +264,145 @@ class CalibrationManager {
       return false;
     }
 
+    // Frame-to-frame spread of each feature while looking at this point
+    // (landmark noise - used to scale the features for training)
+    const featureVariance = avgFeatures.vector.map((mean, i) =>
+      samples.reduce((sum, vector) => sum + (vector[i] - mean) ** 2, 0) / samples.length
+    );
+
+    // Average eye-to-camera distance while looking at this point
+    const distances = this.currentSamples
+      .map(s => s.viewingDistance)
+      .filter(d => d !== null);
+    const viewingDistance = distances.length > 0
+      ? distances.reduce((sum, d) => sum + d, 0) / distances.length
+      : null;
+
     // Store calibration point data
-    this.points.push({
+    const point = {
       targetX,
       targetY,
       features: avgFeatures.vector,
-      sampleCount: avgFeatures.sampleCount
-    });
+      featureVariance,
+      samples,
+      sampleCount: avgFeatures.sampleCount,
+      viewingDistance
+    };
 
-    console.log(`✅ Point ${this.currentPointIndex + 1} complete: ${avgFeatures.sampleCount} samples`);
+    this.currentSamples = [];
+    if (this.redoIndex !== null) {
+      this.replacePoint(this.redoIndex, point);
+      console.log(`✅ Point ${this.redoIndex + 1} redone: ${avgFeatures.sampleCount} samples ` +
+        `(${trimmed} trimmed, ${outliers} outliers)`);
+      this.redoIndex = null;
+      return true;
+    }
+
+    this.points.push(point);
+
+    console.log(`✅ Point ${this.currentPointIndex + 1} complete: ${avgFeatures.sampleCount} samples ` +
+      `(${trimmed} trimmed, ${outliers} outliers)`);
 
     // Reset for next point
-    this.currentSamples = [];
     this.currentPointIndex++;
 
     return true;
   }
 
+  /**
+   * Complete a smooth-pursuit recording: the samples since the last completed
+   * point become one point per stretch of the path, labeled with where the
+   * target was when the eyes looked at it (see labelPursuitSamples)
+   * @param {Object} options - labelPursuitSamples options (default to CONFIG.pursuit)
+   * @returns {boolean} True if points were added (enough of the path was followed)
+   */
+  completePursuit(options = {}) {
+    const { lag, points } = labelPursuitSamples(this.currentSamples, options);
+    this.currentSamples = [];
+    const minPoints = this.getMinPointsRequired();
+    if (points.length < minPoints) {
+      console.warn(`⚠️ Pursuit covered too little of the path: ${points.length} segments, need ${minPoints}`);
+      return false;
+    }
+
+    this.points.push(...points);
+    this.pursuitLag = lag;
+    this.currentPointIndex += points.length;
+    console.log(`✅ Pursuit complete: ${points.length} samples, eye lag ${lag} ms`);
+    return true;
+  }
+
   /**
    * Finish calibration
    * @returns {Array} Calibration data points
    */
   finishCalibration() {
     this.isCalibrating = false;
+    this.redoIndex = null;
+    this.viewingDistance = this.computeViewingDistance();
+    this.faceGeometry = this.computeFaceGeometry();
+    this.geometrySamples = [];
+    if (!this.featureExtractor && this.points.length > 0) {
+      this.featureExtractor = inferLegacyFeatureExtractor(this.points[0].features.length);
+    }
+    if (this.eyeMode === EYE_MODES.AUTO && this.featureExtractor?.id === 'v1' && this.points.length > 0) {
+      this.keepDominantEye();
+    }
     console.log(`🎉 Calibration complete! ${this.points.length} points collected`);
     return this.points;
   }
 
+  /**
+   * Auto eye mode: switch the points to the dominant eye's features if one
+   * eye follows the targets clearly better than the other
+   */
+  keepDominantEye() {
+    const { eye } = chooseDominantEye(this.points);
+    this.trackedEye = eye;
+    if (eye === EYE_MODES.BOTH) return;
+
+    this.points = this.points.map(point => ({
+      ...point,
+      features: v1ToSingleEyeVector(point.features, eye),
+      featureVariance: point.featureVariance && v1ToSingleEyeVector(point.featureVariance, eye),
+      samples: point.samples && point.samples.map(vector => v1ToSingleEyeVector(vector, eye))
+    }));
+    this.featureExtractor = describeFeatureExtractor(getFeatureExtractor(SINGLE_EYE_EXTRACTORS[eye]));
+  }
+
+  /**
+   * Median eye-to-camera distance over all calibration points
+   * @returns {number|null} Distance in cm, or null if not measured
+   */
+  computeViewingDistance() {
+    const distances = this.points
+      .map(p => p.viewingDistance)
+      .filter(d => d !== null && d !== undefined)
+      .sort((a, b) => a - b);
+
+    if (distances.length === 0) return null;
+    const middle = Math.floor(distances.length / 2);
+    return distances.length % 2
+      ? distances[middle]
+      : (distances[middle - 1] + distances[middle]) / 2;
+  }
+
+  /**
+   * Mean face geometry over all frames recorded during calibration
+   * @returns {Array<number>|null} Face geometry, or null if none was recorded
+   */
+  computeFaceGeometry() {
+    if (this.geometrySamples.length === 0) return null;
+    const sum = this.geometrySamples.reduce(
+      (acc, geometry) => acc.map((value, i) => value + geometry[i]),
+      new Array(this.geometrySamples[0].length).fill(0)
+    );
+    return sum.map(value => value / this.geometrySamples.length);
+  }
+
   /**
    * Get calibration data
-   * @returns {Array} Calibration points
+   * @returns {Array} Calibration points ({features} mean, {samples} raw vectors)
    */
   getCalibrationData() {
     return this.points;
@@ -113,10 +415,27 @@ class CalibrationManager {
     try {
       const data = {
         points: this.points,
+        viewingDistance: this.viewingDistance,
+        faceGeometry: this.faceGeometry,
+        featureStatistics: this.featureStatistics.toJSON(),
+        featureExtractor: this.featureExtractor,
+        eyeMode: this.eyeMode,
+        trackedEye: this.trackedEye,
+        pattern: this.pattern,
+        validation: this.validation,
+        pursuitLag: this.pursuitLag,
         timestamp: Date.now(),
-        version: '1.0'
+        version: CALIBRATION_STORAGE_VERSION
       };
-      localStorage.setItem('novavista_freegaze_calibration', JSON.stringify(data));
+      try {
+        localStorage.setItem('novavista_freegaze_calibration', JSON.stringify(data));
+      } catch (quotaError) {
+        // Raw samples of large feature vectors (eye patches) can exceed the
+        // storage quota; the point means are enough to reuse the calibration
+        console.warn('⚠️ Calibration too large for localStorage - saving without raw samples');
+        data.points = this.points.map(point => ({ ...point, samples: [point.features] }));
+        localStorage.setItem('novavista_freegaze_calibration', JSON.stringify(data));
+      }
       console.log('💾 Calibration saved to localStorage');
       return true;
     } catch (error) {
@@ -127,9 +446,12 @@ class CalibrationManager {
 
   /**
    * Load calibration from localStorage
+   * A calibration collected with a different feature extractor is not loaded.
+   * @param {string|Array<string>} featureExtractorId - Extractor(s) the app accepts
+   *   (defaults to CONFIG.features.extractor; several in auto eye mode)
    * @returns {boolean} True if loaded successfully
    */
-  loadFromStorage() {
+  loadFromStorage(featureExtractorId = CONFIG.features.extractor) {
     try {
       const stored = localStorage.getItem('novavista_freegaze_calibration');
       if (!stored) {
@@ -137,9 +459,37 @@ class CalibrationManager {
         return false;
       }
 
-      const data = JSON.parse(stored);
+      const raw = JSON.parse(stored);
+      const data = migrateCalibrationData(raw);
+      const saved = data.featureExtractor ||
+        inferLegacyFeatureExtractor(data.points[0]?.features.length);
+      if (!findMatchingFeatureExtractor(saved, featureExtractorId)) {
+        const expected = getFeatureExtractor([].concat(featureExtractorId)[0]);
+        const error = new FeatureExtractorMismatchError(
+          'calibration',
+          saved || { id: 'unknown', version: 0, inputSize: data.points[0]?.features.length || 0 },
+          describeFeatureExtractor(expected)
+        );
+        console.warn(`⚠️ ${error.message}`);
+        return false;
+      }
+
       this.points = data.points;
+      this.featureExtractor = saved;
+      this.viewingDistance = data.viewingDistance ?? this.computeViewingDistance();
+      this.faceGeometry = data.faceGeometry || null;
+      this.featureStatistics = data.featureStatistics
+        ? FeatureStatistics.fromJSON(data.featureStatistics)
+        : new FeatureStatistics();
+      this.eyeMode = data.eyeMode || EYE_MODES.BOTH;
+      this.trackedEye = data.trackedEye || EYE_MODES.BOTH;
+      this.pattern = data.pattern ?? null;
+      this.validation = data.validation || null;
+      this.pursuitLag = data.pursuitLag ?? null;
       console.log(`✅ Calibration loaded: ${this.points.length} points`);
+      if (raw.version !== CALIBRATION_STORAGE_VERSION) {
+        this.saveToStorage();
+      }
       return true;
     } catch (error) {
       console.error('❌ Failed to load calibration:', error);
@@ -152,6 +502,13 @@ class CalibrationManager {
    */
   clear() {
     this.points = [];
+    this.viewingDistance = null;
+    this.faceGeometry = null;
+    this.geometrySamples = [];
+    this.featureStatistics = new FeatureStatistics();
+    this.featureExtractor = null;
+    this.validation = null;
+    this.pursuitLag = null;
     this.currentSamples = [];
     this.currentPointIndex = 0;
     localStorage.removeItem('novavista_freegaze_calibration');
@@ -0,0 +1,117 @@
+/**
+ * Calibration Patterns Module for NovaVista FreeGaze
+ * Target layouts for calibration (5, 9, 13, 16 or 25 points, or custom)
+ *
+ * Points are {x, y, id} in percent of the screen. Grid patterns span the
+ * screen between CONFIG.calibration.margin and 100 - margin on both axes.
+ */
+
+import { CONFIG } from '../config/config';
+
+/**
+ * Evenly spaced positions from margin to 100 - margin
+ */
+function axis(count, margin) {
+  return Array.from({ length: count }, (_, i) => margin + (i * (100 - 2 * margin)) / (count - 1));
+}
+
+function grid(size, margin) {
+  const positions = axis(size, margin);
+  return positions.flatMap(y => positions.map(x => ({ x, y })));
+}
+
+// Pattern name -> point generator (margin in percent)
+const PATTERNS = {
+  // Corners and center
+  5: (margin) => [
+    ...grid(2, margin),
+    { x: 50, y: 50 }
+  ],
+  9: (margin) => grid(3, margin),
+  // 3x3 grid plus the centers of the four quadrants
+  13: (margin) => {
+    const [low, , high] = axis(3, margin);
+    const quarter = (a, b) => (a + b) / 2;
+    return [
+      ...grid(3, margin),
+      ...[quarter(low, 50), quarter(50, high)].flatMap(y =>
+        [quarter(low, 50), quarter(50, high)].map(x => ({ x, y }))
+      )
+    ];
+  },
+  16: (margin) => grid(4, margin),
+  25: (margin) => grid(5, margin)
+};
+
+/**
+ * Names of the selectable patterns
+ */
+export const CALIBRATION_PATTERNS = [...Object.keys(PATTERNS).map(Number), 'custom'];
+
+/**
+ * Build the points of a calibration pattern
+ * @param {number|string} pattern - 5, 9, 13, 16, 25 or 'custom' (defaults to CONFIG.calibration.pattern)
+ * @param {Object} options - {margin} in percent, {customPoints} as [{x, y}] in percent
+ *   (default to CONFIG.calibration)
+ * @returns {Array<{x: number, y: number, id: number}>} Points in reading order
+ */
+export function getCalibrationPattern(pattern = CONFIG.calibration.pattern, options = {}) {
+  const { margin = CONFIG.calibration.margin, customPoints = CONFIG.calibration.customPoints } = options;
+
+  let points;
+  if (pattern === 'custom') {
+    if (!Array.isArray(customPoints) || customPoints.length === 0) {
+      throw new Error('Custom calibration pattern needs CONFIG.calibration.customPoints');
+    }
+    const outside = customPoints.find(p => !(p.x >= 0 && p.x <= 100 && p.y >= 0 && p.y <= 100));
+    if (outside) {
+      throw new Error(`Custom calibration point (${outside.x}, ${outside.y}) is off screen (0-100%)`);
+    }
+    if (customPoints.length < CONFIG.calibration.minPointsRequired) {
+      throw new Error(
+        `Custom calibration pattern has ${customPoints.length} points, ` +
+        `need at least ${CONFIG.calibration.minPointsRequired}`
+      );
+    }
+    points = customPoints.map(({ x, y }) => ({ x, y }));
+  } else {
+    const generate = PATTERNS[pattern];
+    if (!generate) {
+      throw new Error(`Unknown calibration pattern "${pattern}". Available: ${CALIBRATION_PATTERNS.join(', ')}`);
+    }
+    if (!(margin >= 0 && margin < 50)) {
+      throw new Error(`Calibration margin must be between 0 and 50%, got ${margin}`);
+    }
+    points = generate(margin);
+  }
+
+  return points.map((point, i) => ({ ...point, id: i + 1 }));
+}
+
+/**
+ * Shuffle calibration points so the next target can't be anticipated
+ * @param {Array} points - Calibration points
+ * @param {Function} random - Uniform [0, 1) generator (Math.random by default)
+ * @returns {Array} New array in random order (Fisher-Yates)
+ */
+export function shuffleCalibrationPoints(points, random = Math.random) {
+  const shuffled = [...points];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Points of a pattern in the order they should be shown
+ * @param {number|string} pattern - See getCalibrationPattern
+ * @param {Object} options - getCalibrationPattern options, plus {randomize}
+ *   (defaults to CONFIG.calibration.randomizeOrder) and {random}
+ * @returns {Array} Calibration points
+ */
+export function getCalibrationSequence(pattern = CONFIG.calibration.pattern, options = {}) {
+  const { randomize = CONFIG.calibration.randomizeOrder, random } = options;
+  const points = getCalibrationPattern(pattern, options);
+  return randomize ? shuffleCalibrationPoints(points, random) : points;
+}
@@ -0,0 +1,117 @@
+/**
+ * Calibration Validation Module for NovaVista FreeGaze
+ * Measures how well a freshly trained model tracks the user, on targets that
+ * were not part of the calibration
+ *
+ * Per target, from the predicted gaze samples while the user looks at it:
+ * - accuracy: distance between the mean gaze position and the target
+ * - precision: RMS of the sample-to-sample distances (jitter)
+ * Both in pixels. The grade comes from the mean accuracy relative to the
+ * screen diagonal, so it means the same on any screen size.
+ */
+
+import { CONFIG } from '../config/config';
+
+/**
+ * Overall quality grades, best first
+ */
+export const VALIDATION_GRADES = {
+  EXCELLENT: 'excellent',
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor'
+};
+
+/**
+ * Random validation targets, spread out over the screen
+ * @param {number} count - Number of targets
+ * @param {Object} options - {margin} in percent (defaults to CONFIG.validation.margin),
+ *   {minSpacing} in percent, {random} uniform [0, 1) generator
+ * @returns {Array<{x: number, y: number, id: number}>} Targets in percent of the screen
+ */
+export function getValidationTargets(count = CONFIG.validation.pointCount, options = {}) {
+  const { margin = CONFIG.validation.margin, minSpacing = 20, random = Math.random } = options;
+  const span = 100 - 2 * margin;
+  const targets = [];
+
+  // Rejection sampling; the spacing requirement is relaxed if the screen is too crowded
+  for (let spacing = minSpacing; targets.length < count; spacing *= 0.8) {
+    for (let attempt = 0; attempt < 100 && targets.length < count; attempt++) {
+      const candidate = { x: margin + random() * span, y: margin + random() * span };
+      if (targets.every(t => Math.hypot(t.x - candidate.x, t.y - candidate.y) >= spacing)) {
+        targets.push(candidate);
+      }
+    }
+  }
+
+  return targets.map((target, i) => ({ ...target, id: i + 1 }));
+}
+
+/**
+ * Accuracy and precision for one target
+ * @param {Array<{x: number, y: number}>} samples - Predicted gaze positions (pixels)
+ * @param {{x: number, y: number}} target - Target position (pixels)
+ * @returns {Object|null} {targetX, targetY, meanX, meanY, accuracy, precision, sampleCount},
+ *   or null without samples
+ */
+export function computePointMetrics(samples, target) {
+  if (samples.length === 0) return null;
+
+  const meanX = samples.reduce((sum, s) => sum + s.x, 0) / samples.length;
+  const meanY = samples.reduce((sum, s) => sum + s.y, 0) / samples.length;
+
+  let squared = 0;
+  for (let i = 1; i < samples.length; i++) {
+    squared += (samples[i].x - samples[i - 1].x) ** 2 + (samples[i].y - samples[i - 1].y) ** 2;
+  }
+
+  return {
+    targetX: target.x,
+    targetY: target.y,
+    meanX,
+    meanY,
+    accuracy: Math.hypot(meanX - target.x, meanY - target.y),
+    precision: samples.length > 1 ? Math.sqrt(squared / (samples.length - 1)) : 0,
+    sampleCount: samples.length
+  };
+}
+
+/**
+ * Grade a mean accuracy
+ * @param {number} accuracy - Mean accuracy in pixels
+ * @param {Object} screenSize - {width, height} in pixels
+ * @param {Object} thresholds - Max accuracy per grade as a fraction of the screen
+ *   diagonal (defaults to CONFIG.validation.grades)
+ * @returns {string} One of VALIDATION_GRADES
+ */
+export function gradeAccuracy(accuracy, screenSize, thresholds = CONFIG.validation.grades) {
+  const fraction = accuracy / Math.hypot(screenSize.width, screenSize.height);
+  if (fraction <= thresholds.excellent) return VALIDATION_GRADES.EXCELLENT;
+  if (fraction <= thresholds.good) return VALIDATION_GRADES.GOOD;
+  if (fraction <= thresholds.fair) return VALIDATION_GRADES.FAIR;
+  return VALIDATION_GRADES.POOR;
+}
+
+/**
+ * Validation report over all targets
+ * @param {Array} pointMetrics - Results of computePointMetrics (null entries are skipped)
+ * @param {Object} screenSize - {width, height} the targets were shown on (pixels)
+ * @returns {Object|null} {points, accuracy, precision, grade, screen, timestamp}, or
+ *   null if no target got samples
+ */
+export function createValidationReport(pointMetrics, screenSize) {
+  const points = pointMetrics.filter(Boolean);
+  if (points.length === 0) return null;
+
+  const accuracy = points.reduce((sum, p) => sum + p.accuracy, 0) / points.length;
+  const precision = points.reduce((sum, p) => sum + p.precision, 0) / points.length;
+
+  return {
+    points,
+    accuracy,
+    precision,
+    grade: gradeAccuracy(accuracy, screenSize),
+    screen: { width: screenSize.width, height: screenSize.height },
+    timestamp: Date.now()
+  };
+}
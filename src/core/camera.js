@@ -1,46 +1,60 @@
 /**
  * Camera Access Module for NovaVista FreeGaze
- * Handles webcam initialization and stream management
+ * Handles webcam initialization, device selection and stream management
  */
 
+import { CONFIG } from '../config/config';
+
+const CAMERA_STORAGE_KEY = 'novavista_freegaze_camera';
+
+/**
+ * Build getUserMedia video constraints from CONFIG.camera
+ * @param {string|null} deviceId - Specific camera to open (null = default camera)
+ * @returns {MediaTrackConstraints} Video constraints
+ */
+export function buildVideoConstraints(deviceId = null) {
+  const { width, height, frameRate, facingMode } = CONFIG.camera;
+  const constraints = { width, height, frameRate };
+
+  if (deviceId) {
+    // An explicit device overrides facingMode (IR cameras often report none)
+    constraints.deviceId = { exact: deviceId };
+  } else {
+    constraints.facingMode = facingMode;
+  }
+
+  return constraints;
+}
+
 /**
  * Initialize camera and setup video stream
  * @param {HTMLVideoElement} videoElement - The video element to stream to
+ * @param {string|null} deviceId - Camera to open (defaults to the remembered choice)
+ * @param {Object} options - {forgetUnavailable}: when the camera is missing and the
+ *   default one is used instead, also forget the remembered choice (default true)
  * @returns {Promise<MediaStream>} The camera stream
  */
-export async function initCamera(videoElement) {
+export async function initCamera(videoElement, deviceId = getPreferredCameraId(), options = {}) {
+  const { forgetUnavailable = true } = options;
+  let stream;
+
   try {
-    // Request camera access with optimal settings for face detection
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: {
-        width: { ideal: 640 },  // Reduced from 1280 for better FPS
-        height: { ideal: 480 }, // Reduced from 720 for better FPS
-        facingMode: "user",     // Front-facing camera
-        frameRate: { ideal: 30, max: 30 } // Lock to 30 FPS
-      }
-    });
-    
-    // Attach stream to video element
-    videoElement.srcObject = stream;
-    
-    // Wait for video metadata to load and start playback
-    return new Promise((resolve, reject) => {
-      videoElement.onloadedmetadata = () => {
-        videoElement.play()
-          .then(() => {
-            console.log('✅ Camera initialized successfully');
-            resolve(stream);
-          })
-          .catch(reject);
-      };
-      
-      videoElement.onerror = () => {
-        reject(new Error('Failed to load video'));
-      };
+    // Request camera access with the configured settings
+    stream = await navigator.mediaDevices.getUserMedia({
+      video: buildVideoConstraints(deviceId)
     });
   } catch (error) {
+    // The remembered camera may have been unplugged - fall back to the default one
+    if (deviceId && (error.name === 'OverconstrainedError' || error.name === 'NotFoundError')) {
+      console.warn('⚠️ Saved camera not available, falling back to default camera');
+      if (forgetUnavailable) {
+        setPreferredCameraId(null);
+      }
+      return initCamera(videoElement, null);
+    }
+
     console.error("❌ Camera access denied or failed:", error);
-    
+
     // Provide helpful error messages
     if (error.name === 'NotAllowedError') {
       throw new Error('Camera permission denied. Please allow camera access in your browser settings.');
@@ -49,7 +63,56 @@ export async function initCamera(videoElement) {
     } else if (error.name === 'NotReadableError') {
       throw new Error('Camera is already in use by another application.');
     }
-    
+
+    throw error;
+  }
+
+  // Attach stream to video element
+  videoElement.srcObject = stream;
+
+  // Wait for video metadata to load and start playback
+  return new Promise((resolve, reject) => {
+    videoElement.onloadedmetadata = () => {
+      videoElement.play()
+        .then(() => {
+          console.log(`✅ Camera initialized successfully (${getStreamLabel(stream)})`);
+          resolve(stream);
+        })
+        .catch(reject);
+    };
+
+    videoElement.onerror = () => {
+      reject(new Error('Failed to load video'));
+    };
+  });
+}
+
+/**
+ * Switch the video element to another camera without restarting the pipeline
+ * If the new camera cannot be opened, the previous one is reopened.
+ * @param {HTMLVideoElement} videoElement - The video element being processed
+ * @param {MediaStream} currentStream - The stream currently attached
+ * @param {string} deviceId - Camera to switch to
+ * @returns {Promise<MediaStream>} The new camera stream
+ */
+export async function switchCamera(videoElement, currentStream, deviceId) {
+  const previousId = getStreamDeviceId(currentStream);
+
+  // Release the old camera first: many USB webcams cannot be opened twice
+  // and some drivers refuse a second stream while the first is live
+  stopCamera(currentStream);
+
+  try {
+    const stream = await initCamera(videoElement, deviceId);
+    setPreferredCameraId(deviceId);
+    return stream;
+  } catch (error) {
+    console.error('❌ Failed to switch camera, restoring previous one:', error);
+    try {
+      await initCamera(videoElement, previousId);
+    } catch (restoreError) {
+      console.error('❌ Failed to restore previous camera:', restoreError);
+    }
     throw error;
   }
 }
@@ -67,16 +130,297 @@ export function stopCamera(stream) {
   }
 }
 
+/**
+ * List available cameras
+ * Labels are only filled in once camera permission has been granted.
+ * @returns {Promise<Array<{deviceId: string, label: string}>>} Video input devices
+ */
+export async function listCameras() {
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter(device => device.kind === 'videoinput')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Camera ${index + 1}`
+      }));
+  } catch (error) {
+    console.error('Failed to enumerate devices:', error);
+    return [];
+  }
+}
+
 /**
  * Check if camera is available
  * @returns {Promise<boolean>} True if camera is available
  */
 export async function isCameraAvailable() {
+  const cameras = await listCameras();
+  return cameras.length > 0;
+}
+
+/**
+ * Get the device ID of the camera behind a stream
+ * @param {MediaStream} stream - Camera stream
+ * @returns {string|null} Device ID or null if unknown
+ */
+export function getStreamDeviceId(stream) {
+  const track = stream?.getVideoTracks()[0];
+  return track?.getSettings?.().deviceId || null;
+}
+
+/**
+ * Get a human-readable name for the camera behind a stream
+ * @param {MediaStream} stream - Camera stream
+ * @returns {string} Camera label
+ */
+function getStreamLabel(stream) {
+  const track = stream.getVideoTracks()[0];
+  return track?.label || 'default camera';
+}
+
+/**
+ * Get the remembered camera choice
+ * @returns {string|null} Device ID, or CONFIG.camera.deviceId if none was saved
+ */
+export function getPreferredCameraId() {
   try {
-    const devices = await navigator.mediaDevices.enumerateDevices();
-    return devices.some(device => device.kind === 'videoinput');
+    return localStorage.getItem(CAMERA_STORAGE_KEY) || CONFIG.camera.deviceId;
   } catch (error) {
-    console.error('Failed to enumerate devices:', error);
-    return false;
+    return CONFIG.camera.deviceId;
+  }
+}
+
+/**
+ * Remember the camera choice for future sessions
+ * @param {string|null} deviceId - Device ID (null to forget)
+ */
+export function setPreferredCameraId(deviceId) {
+  try {
+    if (deviceId) {
+      localStorage.setItem(CAMERA_STORAGE_KEY, deviceId);
+    } else {
+      localStorage.removeItem(CAMERA_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('❌ Failed to save camera choice:', error);
+  }
+}
+
+/**
+ * Camera connection states reported by CameraMonitor
+ */
+export const CAMERA_STATUS = {
+  ACTIVE: 'active',
+  LOST: 'lost',
+  RECONNECTING: 'reconnecting'
+};
+
+/**
+ * CameraMonitor class
+ * Watches the active stream for unplugged or hijacked cameras and reopens a
+ * camera with exponential backoff. Only the video element's stream is
+ * replaced; FaceMesh, the trained model and the calibration are untouched.
+ */
+export class CameraMonitor {
+  constructor(videoElement, options = {}) {
+    const reconnect = { ...CONFIG.camera.reconnect, ...options.reconnect };
+
+    this.videoElement = videoElement;
+    this.initialDelay = reconnect.initialDelay;
+    this.maxDelay = reconnect.maxDelay;
+    this.backoffFactor = reconnect.backoffFactor;
+
+    this.stream = null;
+    this.status = CAMERA_STATUS.ACTIVE;
+    this.attempt = 0;
+    this.retryTimer = null;
+    this.statusCallback = null;
+    this.streamCallback = null;
+    this.disposed = false;
+    this.switching = false;         // Switching back to the remembered camera
+
+    this.handleTrackEnded = () => this.handleLost('track ended');
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    navigator.mediaDevices.addEventListener?.('devicechange', this.handleDeviceChange);
+  }
+
+  /**
+   * Start watching a stream (call again after every camera switch)
+   * @param {MediaStream} stream - The stream attached to the video element
+   */
+  attach(stream) {
+    this.detachTracks();
+    this.stream = stream;
+    stream.getVideoTracks().forEach(track => {
+      track.addEventListener('ended', this.handleTrackEnded);
+    });
+    this.setStatus(CAMERA_STATUS.ACTIVE);
+  }
+
+  /**
+   * Report the camera as lost and start reconnecting
+   * Also used by the frame loop when the video stops producing frames.
+   * @param {string} reason - Why the camera was considered lost
+   */
+  handleLost(reason) {
+    if (this.status !== CAMERA_STATUS.ACTIVE) return;
+
+    console.warn(`📷 Camera lost (${reason}), reconnecting...`);
+    this.detachTracks();
+    stopCamera(this.stream);
+    this.stream = null;
+    this.attempt = 0;
+    this.setStatus(CAMERA_STATUS.LOST);
+    this.scheduleReconnect(this.initialDelay);
+  }
+
+  /**
+   * Devices were plugged in or removed
+   */
+  async handleDeviceChange() {
+    if (this.switching) return;
+    if (this.status === CAMERA_STATUS.ACTIVE) {
+      // Unplugging does not always end the track, so check the device is still there
+      const deviceId = getStreamDeviceId(this.stream);
+      const cameras = await listCameras();
+      if (this.disposed) return;
+      if (deviceId && !cameras.some(camera => camera.deviceId === deviceId)) {
+        this.handleLost('device removed');
+        return;
+      }
+
+      // Running on the default camera because the chosen one was missing: go back to it
+      const preferredId = getPreferredCameraId();
+      if (preferredId && preferredId !== deviceId && cameras.some(camera => camera.deviceId === preferredId)) {
+        await this.switchTo(preferredId);
+      }
+    } else if (this.status === CAMERA_STATUS.LOST) {
+      // A camera may have come back - retry right away instead of waiting
+      this.scheduleReconnect(0);
+    }
+  }
+
+  /**
+   * Schedule the next reconnection attempt
+   * @param {number} delay - Delay in ms
+   */
+  scheduleReconnect(delay) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.reconnect(), delay);
+  }
+
+  /**
+   * Try to reopen a camera (the saved one, or the default as fallback)
+   */
+  async reconnect() {
+    this.retryTimer = null;
+    this.attempt++;
+    this.setStatus(CAMERA_STATUS.RECONNECTING);
+
+    try {
+      // The chosen camera may still be unplugged: use the default one for now,
+      // but keep the choice so the next device change can bring it back
+      const stream = await initCamera(this.videoElement, getPreferredCameraId(), { forgetUnavailable: false });
+      if (this.disposed) {
+        // Disposed while the camera was opening: nobody will use or stop this stream
+        if (this.videoElement.srcObject === stream) {
+          this.videoElement.srcObject = null;
+        }
+        stopCamera(stream);
+        return;
+      }
+      console.log(`✅ Camera reconnected after ${this.attempt} attempt(s)`);
+      this.attach(stream);
+      if (this.streamCallback) {
+        this.streamCallback(stream);
+      }
+    } catch (error) {
+      if (this.disposed) return;
+      const delay = Math.min(
+        this.initialDelay * Math.pow(this.backoffFactor, this.attempt),
+        this.maxDelay
+      );
+      console.warn(`⚠️ Reconnect attempt ${this.attempt} failed, retrying in ${delay}ms`);
+      this.setStatus(CAMERA_STATUS.LOST);
+      this.scheduleReconnect(delay);
+    }
+  }
+
+  /**
+   * Move from the current camera to the remembered one
+   * @param {string} deviceId - Camera to switch to
+   */
+  async switchTo(deviceId) {
+    console.log('📷 Preferred camera is available again, switching back to it');
+    this.detachTracks();
+    this.switching = true;
+    let stream;
+    try {
+      stream = await switchCamera(this.videoElement, this.stream, deviceId);
+    } catch (error) {
+      // switchCamera reopened the previous camera if it could
+      stream = this.videoElement.srcObject;
+      if (!this.disposed && (!stream || !stream.active)) {
+        this.stream = null;
+        this.handleLost('switch back failed');
+        return;
+      }
+    } finally {
+      this.switching = false;
+    }
+    if (this.disposed) {
+      if (this.videoElement.srcObject === stream) {
+        this.videoElement.srcObject = null;
+      }
+      stopCamera(stream);
+      return;
+    }
+    this.attach(stream);
+    if (this.streamCallback) {
+      this.streamCallback(stream);
+    }
+  }
+
+  /**
+   * Set status-change callback
+   * @param {Function} callback - Called with (status, attempt)
+   */
+  onStatusChange(callback) {
+    this.statusCallback = callback;
+  }
+
+  /**
+   * Set stream-change callback
+   * @param {Function} callback - Called with the new stream after a reconnect
+   */
+  onStreamChange(callback) {
+    this.streamCallback = callback;
+  }
+
+  setStatus(status) {
+    this.status = status;
+    if (this.statusCallback) {
+      this.statusCallback(status, this.attempt);
+    }
+  }
+
+  detachTracks() {
+    if (this.stream) {
+      this.stream.getVideoTracks().forEach(track => {
+        track.removeEventListener('ended', this.handleTrackEnded);
+      });
+    }
+  }
+
+  /**
+   * Stop watching and cancel pending reconnects
+   */
+  dispose() {
+    this.disposed = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.detachTracks();
+    navigator.mediaDevices.removeEventListener?.('devicechange', this.handleDeviceChange);
   }
 }
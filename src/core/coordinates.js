@@ -0,0 +1,251 @@
+/**
+ * Coordinate Spaces Module for NovaVista FreeGaze
+ * Owns the conversions between the spaces gaze positions live in:
+ * - normalized: fractions of the physical screen (0-1), what the model predicts
+ * - screen: screen pixels (the units of window.screen and window.screenX/Y)
+ * - viewport: CSS pixels in the page (what the cursor and dwell clicks use)
+ *
+ * Calibration targets are labeled in screen pixels, so a trained model stays
+ * valid when the window is resized, moved, made fullscreen or zoomed; only the
+ * viewport geometry used to draw the gaze changes.
+ *
+ * The window position on the screen is estimated from window.screenX/Y and
+ * the size of the browser frame (outer minus inner size). It is exact in
+ * fullscreen, and off by the toolbar layout at worst when windowed.
+ */
+
+import { CONFIG } from '../config/config';
+
+/**
+ * Names of the coordinate spaces
+ */
+export const COORDINATE_SPACES = {
+  NORMALIZED: 'normalized',
+  SCREEN: 'screen',
+  VIEWPORT: 'viewport'
+};
+
+// Outer/inner size ratios this close to 1 come from window borders, not zoom
+const ZOOM_TOLERANCE = 0.05;
+
+/**
+ * Where the viewport currently is on the screen
+ * @param {Window} win - Browser window (defaults to window)
+ * @returns {{screen: {width: number, height: number}, viewport: {left: number, top: number,
+ *   width: number, height: number}, zoom: number}} screen and viewport position in screen
+ *   pixels, viewport size in CSS pixels, zoom in screen pixels per CSS pixel
+ */
+export function getViewportGeometry(win = window) {
+  const width = win.innerWidth;
+  const height = win.innerHeight;
+
+  // Page zoom scales CSS pixels but not the window frame (Chromium); where the
+  // frame is reported in CSS pixels too (Firefox), the ratio stays 1, which is
+  // also right there because window.screen is then in CSS pixels as well
+  const ratio = win.outerWidth > 0 && width > 0 ? win.outerWidth / width : 1;
+  const zoom = Math.abs(ratio - 1) < ZOOM_TOLERANCE ? 1 : ratio;
+
+  // Side borders are assumed equal; everything else of the frame is at the top
+  const border = Math.max(0, ((win.outerWidth || 0) - width * zoom) / 2);
+  const frameHeight = Math.max(0, (win.outerHeight || 0) - height * zoom - border);
+
+  return {
+    screen: {
+      width: win.screen?.width || width * zoom,
+      height: win.screen?.height || height * zoom
+    },
+    viewport: {
+      left: (win.screenX || 0) + border,
+      top: (win.screenY || 0) + frameHeight,
+      width,
+      height
+    },
+    zoom
+  };
+}
+
+/**
+ * Viewport (CSS pixels) -> screen pixels
+ * @param {{x: number, y: number}} point - Viewport position
+ * @param {Object} geometry - From getViewportGeometry
+ * @returns {{x: number, y: number}} Screen position
+ */
+export function viewportToScreen(point, geometry) {
+  return {
+    x: geometry.viewport.left + point.x * geometry.zoom,
+    y: geometry.viewport.top + point.y * geometry.zoom
+  };
+}
+
+/**
+ * Screen pixels -> viewport (CSS pixels, may be outside the viewport)
+ * @param {{x: number, y: number}} point - Screen position
+ * @param {Object} geometry - From getViewportGeometry
+ * @returns {{x: number, y: number}} Viewport position
+ */
+export function screenToViewport(point, geometry) {
+  return {
+    x: (point.x - geometry.viewport.left) / geometry.zoom,
+    y: (point.y - geometry.viewport.top) / geometry.zoom
+  };
+}
+
+/**
+ * Screen pixels -> fractions of the screen
+ * @param {{x: number, y: number}} point - Screen position
+ * @param {Object} geometry - From getViewportGeometry
+ * @returns {{x: number, y: number}} Normalized position
+ */
+export function screenToNormalized(point, geometry) {
+  return {
+    x: point.x / geometry.screen.width,
+    y: point.y / geometry.screen.height
+  };
+}
+
+/**
+ * Fractions of the screen -> screen pixels
+ * @param {{x: number, y: number}} point - Normalized position
+ * @param {Object} geometry - From getViewportGeometry
+ * @returns {{x: number, y: number}} Screen position
+ */
+export function normalizedToScreen(point, geometry) {
+  return {
+    x: point.x * geometry.screen.width,
+    y: point.y * geometry.screen.height
+  };
+}
+
+/**
+ * Viewport (CSS pixels) -> fractions of the screen
+ * @param {{x: number, y: number}} point - Viewport position
+ * @param {Object} geometry - From getViewportGeometry
+ * @returns {{x: number, y: number}} Normalized position
+ */
+export function viewportToNormalized(point, geometry) {
+  return screenToNormalized(viewportToScreen(point, geometry), geometry);
+}
+
+/**
+ * Fractions of the screen (model predictions) -> viewport (CSS pixels)
+ * @param {{x: number, y: number}} point - Normalized position
+ * @param {Object} geometry - From getViewportGeometry
+ * @returns {{x: number, y: number}} Viewport position
+ */
+export function normalizedToViewport(point, geometry) {
+  return screenToViewport(normalizedToScreen(point, geometry), geometry);
+}
+
+/**
+ * Percent of the viewport (how targets are laid out) -> viewport (CSS pixels)
+ * @param {{x: number, y: number}} point - Position in percent
+ * @param {Object} geometry - From getViewportGeometry
+ * @returns {{x: number, y: number}} Viewport position
+ */
+export function percentToViewport(point, geometry) {
+  return {
+    x: (point.x / 100) * geometry.viewport.width,
+    y: (point.y / 100) * geometry.viewport.height
+  };
+}
+
+/**
+ * Viewport (CSS pixels) -> percent of the viewport
+ * @param {{x: number, y: number}} point - Viewport position
+ * @param {Object} geometry - From getViewportGeometry
+ * @returns {{x: number, y: number}} Position in percent
+ */
+export function viewportToPercent(point, geometry) {
+  return {
+    x: (point.x / geometry.viewport.width) * 100,
+    y: (point.y / geometry.viewport.height) * 100
+  };
+}
+
+/**
+ * CSS transform for the camera image and the landmarks drawn over it
+ * The gaze model learns the camera orientation from the calibration targets,
+ * so mirroring only affects what the user sees.
+ * @param {boolean} mirror - Defaults to CONFIG.camera.mirrorVideo
+ * @returns {string} CSS transform
+ */
+export function getVideoTransform(mirror = CONFIG.camera.mirrorVideo) {
+  return mirror ? 'scaleX(-1)' : 'none';
+}
+
+function sameGeometry(a, b) {
+  const close = (u, v) => Math.abs(u - v) < 0.5;
+  return close(a.zoom * 1000, b.zoom * 1000) &&
+    ['width', 'height'].every(key => close(a.screen[key], b.screen[key])) &&
+    ['left', 'top', 'width', 'height'].every(key => close(a.viewport[key], b.viewport[key]));
+}
+
+/**
+ * Follows the viewport geometry and notifies listeners when it changes
+ * (resize, fullscreen, zoom; window moves are picked up by update(), as
+ * browsers have no event for them)
+ */
+export class ViewportTracker {
+  constructor(win = typeof window !== 'undefined' ? window : null) {
+    this.window = win;
+    this.geometry = null;
+    this.listeners = new Set();
+    this.handleChange = () => this.update();
+  }
+
+  /**
+   * Listen for resize and fullscreen changes
+   */
+  start() {
+    this.window.addEventListener('resize', this.handleChange);
+    this.window.document?.addEventListener('fullscreenchange', this.handleChange);
+    this.update();
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    this.window.removeEventListener('resize', this.handleChange);
+    this.window.document?.removeEventListener('fullscreenchange', this.handleChange);
+  }
+
+  /**
+   * Re-read the geometry (cheap enough to call every frame)
+   * @returns {Object} Current geometry (see getViewportGeometry)
+   */
+  update() {
+    const geometry = getViewportGeometry(this.window);
+    const previous = this.geometry;
+    if (!previous || !sameGeometry(previous, geometry)) {
+      this.geometry = geometry;
+      if (previous) {
+        this.listeners.forEach(listener => listener(geometry, previous));
+      }
+    }
+    return this.geometry;
+  }
+
+  /**
+   * Latest geometry (read now if never read)
+   * @returns {Object} Geometry
+   */
+  getGeometry() {
+    return this.geometry || this.update();
+  }
+
+  /**
+   * Register a callback for geometry changes
+   * @param {Function} callback - Called with (geometry, previousGeometry)
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+// Export singleton instance
+export const viewportTracker = new ViewportTracker();
+
+export default ViewportTracker;
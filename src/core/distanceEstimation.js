@@ -0,0 +1,92 @@
+/**
+ * Viewing Distance Module for NovaVista FreeGaze
+ * Estimates eye-to-camera distance from the apparent iris size
+ *
+ * The human iris is ~11.7 mm across with very little variation between
+ * adults, so its size in pixels gives a metric distance through the pinhole
+ * camera model: distance = focalLength * irisDiameter / irisPixels.
+ */
+
+import { CONFIG } from '../config/config';
+import { LANDMARK_INDICES } from './faceDetection';
+
+/**
+ * Horizontal iris diameter in pixels (left-right boundary points)
+ * The horizontal extent is used because eyelids often cover the top and bottom.
+ */
+function irisDiameterPixels(landmarks, indices, width, height) {
+  // Boundary order: center, right, top, left, bottom
+  const right = landmarks[indices[1]];
+  const left = landmarks[indices[3]];
+  const dx = (right.x - left.x) * width;
+  const dy = (right.y - left.y) * height;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Estimate eye-to-camera distance
+ * @param {Array} landmarks - All 478 face landmarks from MediaPipe
+ * @param {Object} frame - {width, height} of the processed image in pixels
+ * @returns {number|null} Distance in cm, or null without iris landmarks
+ */
+export function estimateViewingDistance(landmarks, frame = {}) {
+  if (!landmarks || landmarks.length < 478) {
+    return null;
+  }
+
+  const width = frame.width || 640;
+  const height = frame.height || 480;
+  const focalLength = (width / 2) / Math.tan((CONFIG.camera.horizontalFov * Math.PI / 180) / 2);
+
+  // The larger iris is the one facing the camera (least foreshortened by head yaw)
+  const irisPixels = Math.max(
+    irisDiameterPixels(landmarks, LANDMARK_INDICES.LEFT_IRIS, width, height),
+    irisDiameterPixels(landmarks, LANDMARK_INDICES.RIGHT_IRIS, width, height)
+  );
+
+  if (!(irisPixels > 0)) {
+    return null;
+  }
+
+  return (focalLength * CONFIG.distance.irisDiameterMm / irisPixels) / 10;
+}
+
+/**
+ * Guidance for the current viewing distance
+ * @param {number|null} distance - Current distance in cm
+ * @param {number|null} calibratedDistance - Distance recorded during calibration (cm)
+ * @returns {{status: string, message: string}} status is 'unknown', 'too_close', 'too_far',
+ *   'closer_than_calibrated', 'further_than_calibrated' or 'ok'
+ */
+export function getDistanceGuidance(distance, calibratedDistance = null) {
+  const { minDistance, maxDistance, calibrationTolerance } = CONFIG.distance;
+
+  if (!distance) {
+    return { status: 'unknown', message: '' };
+  }
+
+  if (distance < minDistance) {
+    return { status: 'too_close', message: 'Move back a little' };
+  }
+  if (distance > maxDistance) {
+    return { status: 'too_far', message: 'Move closer to the camera' };
+  }
+
+  if (calibratedDistance) {
+    const change = (distance - calibratedDistance) / calibratedDistance;
+    if (change > calibrationTolerance) {
+      return {
+        status: 'further_than_calibrated',
+        message: `Move closer - you calibrated at ${Math.round(calibratedDistance)} cm`
+      };
+    }
+    if (change < -calibrationTolerance) {
+      return {
+        status: 'closer_than_calibrated',
+        message: `Move back - you calibrated at ${Math.round(calibratedDistance)} cm`
+      };
+    }
+  }
+
+  return { status: 'ok', message: 'Good distance' };
+}
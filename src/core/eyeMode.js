@@ -0,0 +1,150 @@
+/**
+ * Eye Mode Module for NovaVista FreeGaze
+ * Chooses which eyes drive tracking (both, one, or the dominant one), so users
+ * with strabismus, ptosis or vision in one eye only can calibrate
+ *
+ * The mode picks the feature extractor: both eyes use CONFIG.features.extractor,
+ * a single eye uses 'v1_left_eye' / 'v1_right_eye'. Auto mode calibrates with
+ * the two-eye 'v1' features and then keeps the eye that predicts the
+ * calibration targets best (see chooseDominantEye).
+ */
+
+import { CONFIG } from '../config/config';
+import { EYE_MODES } from './featureExtraction';
+import { solveLinearSystem } from '../utils/linearAlgebra';
+
+export { EYE_MODES };
+
+const EYE_MODE_STORAGE_KEY = 'novavista_freegaze_eye_mode';
+
+// Feature extractor of each single-eye mode
+export const SINGLE_EYE_EXTRACTORS = {
+  [EYE_MODES.LEFT]: 'v1_left_eye',
+  [EYE_MODES.RIGHT]: 'v1_right_eye'
+};
+
+// Positions of each user eye's [irisX, irisY, aperture] in a 'v1' vector
+// (the user's left eye is the image-right eye)
+const V1_EYE_INDICES = {
+  [EYE_MODES.LEFT]: [3, 4, 5],
+  [EYE_MODES.RIGHT]: [0, 1, 2]
+};
+
+// Keep both eyes unless one predicts this much worse than the other (landmark
+// noise alone makes the two fits differ by up to ~1.5x)
+const DOMINANCE_RATIO = 2;
+
+/**
+ * Get the user's eye mode
+ * @returns {string} One of EYE_MODES (saved choice, or CONFIG.features.eyeMode)
+ */
+export function getEyeMode() {
+  try {
+    const saved = localStorage.getItem(EYE_MODE_STORAGE_KEY);
+    return Object.values(EYE_MODES).includes(saved) ? saved : CONFIG.features.eyeMode;
+  } catch (error) {
+    return CONFIG.features.eyeMode;
+  }
+}
+
+/**
+ * Remember the user's eye mode (takes effect at the next calibration)
+ * @param {string} eyeMode - One of EYE_MODES
+ */
+export function setEyeMode(eyeMode) {
+  if (!Object.values(EYE_MODES).includes(eyeMode)) {
+    throw new Error(`Unknown eye mode: ${eyeMode}`);
+  }
+  try {
+    localStorage.setItem(EYE_MODE_STORAGE_KEY, eyeMode);
+  } catch (error) {
+    console.error('❌ Failed to save eye mode:', error);
+  }
+}
+
+/**
+ * Feature extractor to collect calibration samples with
+ * @param {string} eyeMode - One of EYE_MODES
+ * @param {string} baseId - Two-eye extractor (defaults to CONFIG.features.extractor)
+ * @returns {string} Extractor id
+ */
+export function getCalibrationExtractorId(eyeMode, baseId = CONFIG.features.extractor) {
+  if (SINGLE_EYE_EXTRACTORS[eyeMode]) return SINGLE_EYE_EXTRACTORS[eyeMode];
+  if (eyeMode === EYE_MODES.AUTO) return 'v1';
+  return baseId;
+}
+
+/**
+ * Feature extractors a saved model/calibration may use in an eye mode
+ * @param {string} eyeMode - One of EYE_MODES
+ * @param {string} baseId - Two-eye extractor (defaults to CONFIG.features.extractor)
+ * @returns {Array<string>} Extractor ids
+ */
+export function getAcceptedExtractorIds(eyeMode, baseId = CONFIG.features.extractor) {
+  if (eyeMode === EYE_MODES.AUTO) {
+    return ['v1', ...Object.values(SINGLE_EYE_EXTRACTORS)];
+  }
+  return [getCalibrationExtractorId(eyeMode, baseId)];
+}
+
+/**
+ * Single-eye features from a 'v1' vector
+ * @param {Array<number>} vector - 'v1' feature vector
+ * @param {string} eye - EYE_MODES.LEFT or EYE_MODES.RIGHT
+ * @returns {Array<number>} Same layout as the 'v1_<eye>_eye' extractor
+ */
+export function v1ToSingleEyeVector(vector, eye) {
+  return V1_EYE_INDICES[eye].map(i => vector[i]);
+}
+
+/**
+ * RMS error of a linear fit from one eye's iris offset to the targets
+ * A simple fit on purpose: it measures how consistently the eye follows the
+ * targets, which is what separates the tracking eye from a deviating one.
+ */
+function linearFitError(points, eye) {
+  const rows = points.map(p => {
+    const [irisX, irisY] = v1ToSingleEyeVector(p.features, eye);
+    return [irisX, irisY, 1];
+  });
+
+  // Normal equations with a little ridge regularization
+  const ata = [0, 1, 2].map(i => [0, 1, 2].map(j =>
+    rows.reduce((sum, r) => sum + r[i] * r[j], 0) + (i === j ? 1e-6 : 0)
+  ));
+  const fit = (targets) => solveLinearSystem(ata, [0, 1, 2].map(i =>
+    rows.reduce((sum, r, k) => sum + r[i] * targets[k], 0)
+  ));
+  const wx = fit(points.map(p => p.targetX));
+  const wy = fit(points.map(p => p.targetY));
+
+  const squared = rows.reduce((sum, r, k) => {
+    const dx = r[0] * wx[0] + r[1] * wx[1] + wx[2] - points[k].targetX;
+    const dy = r[0] * wy[0] + r[1] * wy[1] + wy[2] - points[k].targetY;
+    return sum + dx * dx + dy * dy;
+  }, 0);
+  return Math.sqrt(squared / rows.length);
+}
+
+/**
+ * Pick the eye that follows the calibration targets best
+ * @param {Array} points - Calibration points with 'v1' feature vectors
+ * @returns {{eye: string, errors: {left: number, right: number}}} eye is
+ *   EYE_MODES.BOTH when both eyes are about equally good
+ */
+export function chooseDominantEye(points) {
+  const errors = {
+    left: linearFitError(points, EYE_MODES.LEFT),
+    right: linearFitError(points, EYE_MODES.RIGHT)
+  };
+
+  let eye = EYE_MODES.BOTH;
+  if (errors.left > errors.right * DOMINANCE_RATIO) {
+    eye = EYE_MODES.RIGHT;
+  } else if (errors.right > errors.left * DOMINANCE_RATIO) {
+    eye = EYE_MODES.LEFT;
+  }
+
+  console.log(`👁️ Dominant eye: ${eye} (fit error left ${errors.left.toFixed(0)}, right ${errors.right.toFixed(0)})`);
+  return { eye, errors };
+}
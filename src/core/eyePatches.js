@@ -0,0 +1,148 @@
+/**
+ * Eye Patch Module for NovaVista FreeGaze
+ * Crops normalized eye images from the camera frame for appearance-based models
+ *
+ * Each patch is aligned to the eye corners: rotated so the corners are
+ * horizontal, scaled to the eye width and sampled in grayscale, then
+ * normalized to zero mean and unit variance so lighting changes matter less.
+ * Both patches run from image-left to image-right, like the camera frame.
+ */
+
+import { extractEyeLandmarks } from './faceDetection';
+
+let frameCanvas = null;
+
+/**
+ * Grayscale value of an RGBA pixel (0-1), coordinates clamped to the image
+ */
+function grayAt(imageData, x, y) {
+  const { data, width, height } = imageData;
+  const cx = Math.min(Math.max(x, 0), width - 1);
+  const cy = Math.min(Math.max(y, 0), height - 1);
+  const i = (cy * width + cx) * 4;
+  return (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+}
+
+/**
+ * Bilinear grayscale sample at a sub-pixel position
+ */
+function sampleGray(imageData, x, y) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  const top = grayAt(imageData, x0, y0) * (1 - fx) + grayAt(imageData, x0 + 1, y0) * fx;
+  const bottom = grayAt(imageData, x0, y0 + 1) * (1 - fx) + grayAt(imageData, x0 + 1, y0 + 1) * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+/**
+ * Crop one eye patch aligned to its corners
+ * @param {ImageData} imageData - Camera frame (RGBA)
+ * @param {Object} from - Image-left eye corner {x, y} (normalized)
+ * @param {Object} to - Image-right eye corner {x, y} (normalized)
+ * @param {Object} options - {width, height} in pixels, {padding} around the
+ *   corners as a fraction of the eye width
+ * @returns {Float32Array} width * height values, row-major, zero mean and unit variance
+ */
+export function cropEyePatch(imageData, from, to, options = {}) {
+  const { width = 32, height = 16, padding = 0.25 } = options;
+
+  const ax = from.x * imageData.width;
+  const ay = from.y * imageData.height;
+  const bx = to.x * imageData.width;
+  const by = to.y * imageData.height;
+
+  const centerX = (ax + bx) / 2;
+  const centerY = (ay + by) / 2;
+  const eyeWidth = Math.hypot(bx - ax, by - ay);
+  const angle = Math.atan2(by - ay, bx - ax);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Source pixels per patch pixel (same in both directions, so the eye is not stretched)
+  const scale = eyeWidth * (1 + 2 * padding) / width;
+
+  const patch = new Float32Array(width * height);
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const px = (u + 0.5 - width / 2) * scale;
+      const py = (v + 0.5 - height / 2) * scale;
+      patch[v * width + u] = sampleGray(
+        imageData,
+        centerX + px * cos - py * sin,
+        centerY + px * sin + py * cos
+      );
+    }
+  }
+
+  return normalizePatch(patch);
+}
+
+/**
+ * Normalize a patch to zero mean and unit variance (in place)
+ * @param {Float32Array} patch - Grayscale patch
+ * @returns {Float32Array} The same patch
+ */
+function normalizePatch(patch) {
+  const mean = patch.reduce((sum, value) => sum + value, 0) / patch.length;
+  const variance = patch.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / patch.length;
+  const std = Math.sqrt(variance) || 1;
+
+  for (let i = 0; i < patch.length; i++) {
+    patch[i] = (patch[i] - mean) / std;
+  }
+  return patch;
+}
+
+/**
+ * Crop both eye patches
+ * @param {ImageData} imageData - Camera frame (RGBA)
+ * @param {Array} landmarks - Face landmarks
+ * @param {Object} options - See cropEyePatch
+ * @returns {{left: Float32Array, right: Float32Array}|null} Patches ("left" = image left),
+ *   or null without landmarks
+ */
+export function extractEyePatches(imageData, landmarks, options = {}) {
+  const eyes = extractEyeLandmarks(landmarks);
+  if (!eyes || !imageData) {
+    return null;
+  }
+
+  return {
+    left: cropEyePatch(imageData, eyes.leftEye.outer, eyes.leftEye.inner, options),
+    right: cropEyePatch(imageData, eyes.rightEye.inner, eyes.rightEye.outer, options)
+  };
+}
+
+/**
+ * Read the pixels of a camera frame
+ * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap|ImageData} source - Frame
+ *   (FaceMesh results.image or the video element)
+ * @returns {ImageData|null} Pixels, or null if the source has none (e.g. a replayed session)
+ */
+export function getFrameImageData(source) {
+  if (!source) return null;
+  if (source.data && source.width) return source;
+
+  const width = source.videoWidth || source.width;
+  const height = source.videoHeight || source.height;
+  if (!width || !height || typeof document === 'undefined') return null;
+
+  try {
+    if (!frameCanvas) {
+      frameCanvas = document.createElement('canvas');
+    }
+    if (frameCanvas.width !== width || frameCanvas.height !== height) {
+      frameCanvas.width = width;
+      frameCanvas.height = height;
+    }
+    const ctx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+  } catch (error) {
+    // Not drawable (recorded frames only carry landmarks)
+    return null;
+  }
+}
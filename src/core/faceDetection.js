@@ -4,95 +4,233 @@
  */
 
 import { FaceMesh } from '@mediapipe/face_mesh';
-import { Camera } from '@mediapipe/camera_utils';
+import { CONFIG } from '../config/config';
+import { sessionRecorder } from './sessionRecorder';
+import { estimateHeadPose } from './headPose';
+import { estimateViewingDistance } from './distanceEstimation';
+import { primaryFaceTracker, computeFaceGeometry } from './faceSelection';
+import { LandmarkFilter } from '../utils/landmarkFilter';
 
-// Landmark position smoother to reduce jitter
-class LandmarkSmoother {
-  constructor(smoothingFactor = 0.5) {
-    this.smoothingFactor = smoothingFactor;
-    this.previousLandmarks = null;
+/**
+ * Raised when the FaceMesh WASM/model assets cannot be loaded
+ */
+export class FaceMeshLoadError extends Error {
+  constructor(assetBaseUrl, cause) {
+    super(
+      `Failed to load face tracking files from "${assetBaseUrl}". ` +
+      'Check that the MediaPipe assets were shipped with the build ' +
+      '(npm run build copies them) or that CONFIG.faceMesh.assetBaseUrl is correct.'
+    );
+    this.name = 'FaceMeshLoadError';
+    this.assetBaseUrl = assetBaseUrl;
+    this.cause = cause;
   }
+}
+
+/**
+ * Create the FaceMesh results post-processor
+ * (recording, primary face selection, landmark filtering, head pose and viewing distance)
+ * Live frames and replayed recordings both go through this, so a replay sees
+ * exactly what the live pipeline saw.
+ * Adds to results: primaryFaceIndex (-1 if none), primaryLandmarks, headPose,
+ * viewingDistance and faceGeometry - all for the primary face only.
+ * Each handler owns its landmark filter (CONFIG.landmarkFilter unless one is
+ * passed in); handler.reset() clears it, e.g. after a camera stall.
+ * @param {Function} onResults - Callback receiving processed results
+ * @param {Object} options - {landmarkFilter}
+ * @returns {Function} Results handler
+ */
+export function createResultsHandler(onResults, options = {}) {
+  const landmarkFilter = options.landmarkFilter || new LandmarkFilter(CONFIG.landmarkFilter);
+
+  const handler = (results) => {
+    // Record raw landmarks (before smoothing) when a session recording is running
+    if (!results.replay) {
+      sessionRecorder.recordFrame(results);
+    }
+
+    // Only the locked primary user drives tracking; other faces are ignored
+    const primary = primaryFaceTracker.select(results.multiFaceLandmarks, results.image, results.timestamp);
+
+    if (primary) {
+      // Never blend landmarks of two different people
+      if (primary.isNewLock) {
+        landmarkFilter.reset();
+      }
 
-  smooth(landmarks) {
-    if (!this.previousLandmarks || this.previousLandmarks.length !== landmarks.length) {
-      this.previousLandmarks = landmarks;
-      return landmarks;
+      // Filter jitter (iris and contour separately, see CONFIG.landmarkFilter)
+      const landmarks = landmarkFilter.filter(primary.landmarks, results.timestamp, results.image);
+      results.multiFaceLandmarks[primary.index] = landmarks;
+      results.primaryFaceIndex = primary.index;
+      results.primaryLandmarks = landmarks;
+      results.headPose = estimateHeadPose(landmarks, results.image);
+      results.viewingDistance = estimateViewingDistance(landmarks, results.image);
+      results.faceGeometry = computeFaceGeometry(landmarks, results.image);
+    } else {
+      // Reset filter when face is lost
+      landmarkFilter.reset();
+      results.primaryFaceIndex = -1;
+      results.primaryLandmarks = null;
+      results.headPose = null;
+      results.viewingDistance = null;
+      results.faceGeometry = null;
     }
+    onResults(results);
+  };
 
-    // Apply exponential moving average
-    const smoothed = landmarks.map((landmark, i) => {
-      const prev = this.previousLandmarks[i];
-      return {
-        x: prev.x * this.smoothingFactor + landmark.x * (1 - this.smoothingFactor),
-        y: prev.y * this.smoothingFactor + landmark.y * (1 - this.smoothingFactor),
-        z: prev.z * this.smoothingFactor + (landmark.z || 0) * (1 - this.smoothingFactor)
-      };
-    });
-
-    this.previousLandmarks = smoothed;
-    return smoothed;
+  handler.reset = () => landmarkFilter.reset();
+  return handler;
+}
+
+/**
+ * Frame loop feeding video frames to FaceMesh
+ * Reads from whatever stream is attached to the video element, so the camera
+ * can be swapped (see switchCamera) without touching FaceMesh or the model.
+ * Reports a stall when the video stops producing new frames.
+ * `frameTime` is when the frame being processed was taken from the video
+ * (Date.now() ms), so results can be stamped with their capture time.
+ */
+class FrameLoop {
+  constructor(videoElement, faceMesh, onStall = null) {
+    this.videoElement = videoElement;
+    this.faceMesh = faceMesh;
+    this.onStall = onStall;
+    this.stallTimeout = CONFIG.camera.stallTimeout;
+    this.running = false;
+    this.busy = false;
+    this.stalled = false;
+    this.lastVideoTime = -1;
+    this.lastFrameAt = 0;
+    this.frameTime = null;
+    this.frameRequest = null;
+    this.tick = this.tick.bind(this);
   }
 
-  reset() {
-    this.previousLandmarks = null;
+  async tick() {
+    this.frameRequest = null;
+    if (!this.running) return;
+
+    const video = this.videoElement;
+    const now = performance.now();
+    const hasNewFrame = video.readyState >= 2 && !video.paused &&
+      video.currentTime !== this.lastVideoTime;
+
+    if (hasNewFrame) {
+      this.lastVideoTime = video.currentTime;
+      this.lastFrameAt = now;
+      this.stalled = false;
+    } else if (!this.stalled && now - this.lastFrameAt > this.stallTimeout) {
+      // Camera unplugged, taken by another app or frozen by the driver
+      this.stalled = true;
+      if (this.onStall) {
+        this.onStall();
+      }
+    }
+
+    // Skip frames while a camera switch is in progress or a frame is still processing
+    if (hasNewFrame && !this.busy) {
+      this.busy = true;
+      this.frameTime = Date.now();
+      try {
+        await this.faceMesh.send({ image: video });
+      } catch (error) {
+        console.error('❌ FaceMesh frame processing failed:', error);
+      } finally {
+        this.busy = false;
+      }
+    }
+
+    // stop() (and maybe start() again) may have been called while the frame was processing
+    if (!this.running || this.frameRequest !== null) return;
+    this.frameRequest = requestAnimationFrame(this.tick);
   }
-}
 
-// Create singleton smoother instance
-const landmarkSmoother = new LandmarkSmoother(0.6); // Higher = more smoothing
+  /**
+   * Start sending frames
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.lastFrameAt = performance.now();
+    this.frameRequest = requestAnimationFrame(this.tick);
+  }
+
+  /**
+   * Stop sending frames
+   */
+  stop() {
+    this.running = false;
+    if (this.frameRequest !== null) {
+      cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+  }
+}
 
 /**
  * Initialize MediaPipe FaceMesh with optimized settings for eye tracking
+ * The video element must already have a camera stream attached (see initCamera).
  * @param {HTMLVideoElement} videoElement - The video element to process
  * @param {Function} onResults - Callback function for face detection results
- * @returns {Promise<{faceMesh: FaceMesh, camera: Camera}>} Initialized FaceMesh and Camera instances
+ * @param {Object} options - {onStall} called when the camera stops delivering frames
+ * @returns {Promise<{faceMesh: FaceMesh, camera: FrameLoop, resultsHandler: Function}>}
+ *   Initialized FaceMesh, frame loop and live results handler (see createResultsHandler)
+ * @throws {FaceMeshLoadError} If the MediaPipe assets cannot be loaded
  */
-export async function initFaceMesh(videoElement, onResults) {
+export async function initFaceMesh(videoElement, onResults, options = {}) {
+  const assetBaseUrl = CONFIG.faceMesh.assetBaseUrl.replace(/\/$/, '');
+
   // Create FaceMesh instance
   const faceMesh = new FaceMesh({
     locateFile: (file) => {
-      // Load MediaPipe models from CDN
-      return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
+      // Load MediaPipe models from the configured (self-hosted by default) location
+      return `${assetBaseUrl}/${file}`;
     }
   });
 
   // Configure FaceMesh options
   faceMesh.setOptions({
-    maxNumFaces: 1,              // Track only one face for performance
-    refineLandmarks: true,        // CRITICAL: Enables iris detection (landmarks 468-477)
-    minDetectionConfidence: 0.5, // Minimum confidence for face detection
-    minTrackingConfidence: 0.5   // Minimum confidence for tracking
+    maxNumFaces: CONFIG.faceMesh.maxNumFaces,
+    refineLandmarks: CONFIG.faceMesh.refineLandmarks, // CRITICAL: Enables iris detection (landmarks 468-477)
+    minDetectionConfidence: CONFIG.faceMesh.minDetectionConfidence,
+    minTrackingConfidence: CONFIG.faceMesh.minTrackingConfidence
   });
 
-  // Wrap onResults to add smoothing
-  faceMesh.onResults((results) => {
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks[0]) {
-      // Apply smoothing to reduce jitter
-      results.multiFaceLandmarks[0] = landmarkSmoother.smooth(results.multiFaceLandmarks[0]);
-    } else {
-      // Reset smoother when face is lost
-      landmarkSmoother.reset();
+  // Wrap onResults to add recording and landmark filtering
+  const resultsHandler = createResultsHandler(onResults);
+
+  // Feed frames from the video element to FaceMesh
+  const camera = new FrameLoop(videoElement, faceMesh, () => {
+    // Stale landmarks must not be blended into the first frames after recovery
+    resultsHandler.reset();
+    if (options.onStall) {
+      options.onStall();
     }
-    onResults(results);
   });
 
-  // Initialize camera with FaceMesh processing
-  const camera = new Camera(videoElement, {
-    onFrame: async () => {
-      // Send each frame to FaceMesh for processing
-      await faceMesh.send({ image: videoElement });
-    },
-    width: 640,  // Reduced for better FPS
-    height: 480  // Reduced for better FPS
+  // FaceMesh results carry no time: stamp them with the capture time of their
+  // frame, not the (later) time processing finished
+  faceMesh.onResults((results) => {
+    results.timestamp = camera.frameTime ?? Date.now();
+    resultsHandler(results);
   });
+
+  // Load WASM and model files up front so a missing asset fails here, with a
+  // clear error, instead of as an unhandled rejection on the first frame
+  try {
+    await faceMesh.initialize();
+  } catch (error) {
+    console.error('❌ Failed to load MediaPipe FaceMesh assets:', error);
+    await faceMesh.close().catch(() => {});
+    throw new FaceMeshLoadError(assetBaseUrl, error);
+  }
+
+  camera.start();
   
-  // Start the camera
-  await camera.start();
-  
-  console.log('✅ MediaPipe FaceMesh initialized with landmark smoothing');
-  console.log('📊 Tracking mode: Single face with iris refinement');
+  console.log('✅ MediaPipe FaceMesh initialized with landmark filtering');
+  console.log(`📊 Tracking mode: up to ${CONFIG.faceMesh.maxNumFaces} face(s), primary user locked, iris refinement`);
   
-  return { faceMesh, camera };
+  return { faceMesh, camera, resultsHandler };
 }
 
 /**
@@ -0,0 +1,204 @@
+/**
+ * Face Selection Module for NovaVista FreeGaze
+ * Picks the primary user when several faces are in view and keeps that
+ * identity locked across frames, so a caregiver leaning in never drives the cursor.
+ */
+
+import { CONFIG } from '../config/config';
+
+// Landmark pairs whose distances (relative to the eye span) describe face proportions
+const GEOMETRY_PAIRS = [
+  [133, 362],  // Inner eye corners
+  [234, 454],  // Face width
+  [10, 152],   // Forehead to chin
+  [168, 1],    // Nose bridge to tip
+  [1, 152],    // Nose tip to chin
+  [61, 291]    // Mouth width
+];
+
+function distance3d(a, b, width, height) {
+  const dx = (a.x - b.x) * width;
+  const dy = (a.y - b.y) * height;
+  const dz = ((a.z || 0) - (b.z || 0)) * width;
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Bounding box and center of a face (normalized image coordinates)
+ * @param {Array} landmarks - Face landmarks
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number, center: Object, area: number}}
+ */
+export function getFaceBounds(landmarks) {
+  let minX = 1, minY = 1, maxX = 0, maxY = 0;
+  for (let i = 0; i < landmarks.length; i++) {
+    const p = landmarks[i];
+    if (p.x < minX) minX = p.x;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+  }
+  return {
+    minX, minY, maxX, maxY,
+    center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 },
+    area: (maxX - minX) * (maxY - minY)
+  };
+}
+
+/**
+ * Scale-invariant face proportions, used to recognize the calibrated user
+ * @param {Array} landmarks - Face landmarks
+ * @param {Object} frame - {width, height} of the processed image in pixels
+ * @returns {Array<number>|null} Distances between key landmarks divided by the eye span
+ */
+export function computeFaceGeometry(landmarks, frame = {}) {
+  if (!landmarks || landmarks.length < 468) {
+    return null;
+  }
+
+  const width = frame.width || 640;
+  const height = frame.height || 480;
+  const eyeSpan = distance3d(landmarks[33], landmarks[263], width, height);
+  if (!(eyeSpan > 0)) {
+    return null;
+  }
+
+  return GEOMETRY_PAIRS.map(([a, b]) =>
+    distance3d(landmarks[a], landmarks[b], width, height) / eyeSpan
+  );
+}
+
+/**
+ * Relative difference between two face geometries
+ * @param {Array<number>} a - Geometry from computeFaceGeometry
+ * @param {Array<number>} b - Geometry from computeFaceGeometry
+ * @returns {number} Mean relative difference (0 = identical proportions)
+ */
+export function compareFaceGeometry(a, b) {
+  const total = a.reduce((sum, value, i) => sum + Math.abs(value - b[i]) / b[i], 0);
+  return total / a.length;
+}
+
+/**
+ * PrimaryFaceTracker class
+ * Chooses one face per frame and follows it by position
+ */
+export class PrimaryFaceTracker {
+  constructor(options = {}) {
+    this.strategy = options.strategy || 'largest';        // 'largest', 'central' or 'calibrated'
+    this.maxJump = options.maxJump || 0.15;                // Max center movement per frame (normalized)
+    this.lostTimeout = options.lostTimeout || 1500;        // Keep the lock this long after losing the face (ms)
+    this.geometryTolerance = options.geometryTolerance || 0.08;
+
+    this.referenceGeometry = null;
+    this.track = null;                                     // {center, lastSeen}
+  }
+
+  /**
+   * Set the calibrated user's face geometry (used by the 'calibrated' strategy)
+   * @param {Array<number>|null} geometry - From computeFaceGeometry
+   */
+  setReferenceGeometry(geometry) {
+    this.referenceGeometry = geometry || null;
+  }
+
+  /**
+   * Select the primary face for this frame
+   * @param {Array} faces - multiFaceLandmarks from FaceMesh
+   * @param {Object} frame - {width, height} of the processed image in pixels
+   * @param {number} timestamp - Frame time (ms)
+   * @returns {{index: number, landmarks: Array, isNewLock: boolean}|null} Primary face,
+   *   or null if the locked user is not in view
+   */
+  select(faces, frame = {}, timestamp = Date.now()) {
+    const candidates = (faces || []).map((landmarks, index) => ({
+      index,
+      landmarks,
+      bounds: getFaceBounds(landmarks)
+    }));
+
+    // Follow the locked face by position
+    if (this.track) {
+      const match = this.findNearest(candidates, this.track.center);
+      if (match) {
+        this.track = { center: match.bounds.center, lastSeen: timestamp };
+        return { index: match.index, landmarks: match.landmarks, isNewLock: false };
+      }
+
+      // Locked user briefly out of view: nobody else may take over yet
+      if (timestamp - this.track.lastSeen < this.lostTimeout) {
+        return null;
+      }
+      console.log('🔓 Primary face lock released');
+      this.track = null;
+    }
+
+    const primary = this.acquire(candidates, frame);
+    if (!primary) {
+      return null;
+    }
+
+    this.track = { center: primary.bounds.center, lastSeen: timestamp };
+    console.log(`🔒 Primary face locked (${candidates.length} face(s) in view)`);
+    return { index: primary.index, landmarks: primary.landmarks, isNewLock: true };
+  }
+
+  /**
+   * Closest face to a position, if within the allowed per-frame movement
+   */
+  findNearest(candidates, center) {
+    let best = null;
+    let bestDistance = this.maxJump;
+    candidates.forEach(candidate => {
+      const d = Math.hypot(candidate.bounds.center.x - center.x, candidate.bounds.center.y - center.y);
+      if (d < bestDistance) {
+        best = candidate;
+        bestDistance = d;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Pick a new primary face according to the strategy
+   */
+  acquire(candidates, frame) {
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    if (this.strategy === 'calibrated' && this.referenceGeometry) {
+      // Only the calibrated user may take the lock
+      let best = null;
+      let bestScore = this.geometryTolerance;
+      candidates.forEach(candidate => {
+        const geometry = computeFaceGeometry(candidate.landmarks, frame);
+        const score = geometry ? compareFaceGeometry(geometry, this.referenceGeometry) : Infinity;
+        if (score < bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      });
+      return best;
+    }
+
+    if (this.strategy === 'central') {
+      const distanceToCenter = c => Math.hypot(c.bounds.center.x - 0.5, c.bounds.center.y - 0.5);
+      return candidates.reduce((best, c) => (distanceToCenter(c) < distanceToCenter(best) ? c : best));
+    }
+
+    // 'largest' (and 'calibrated' before a calibration exists): closest face to the camera
+    return candidates.reduce((best, c) => (c.bounds.area > best.bounds.area ? c : best));
+  }
+
+  /**
+   * Release the lock (the next frame picks a primary face again)
+   */
+  reset() {
+    this.track = null;
+  }
+}
+
+// Export singleton instance
+export const primaryFaceTracker = new PrimaryFaceTracker(CONFIG.faceSelection);
+
+export default PrimaryFaceTracker;
@@ -6,9 +6,11 @@
  * - Iris offset (X, Y) - position relative to eye center
  * - Eye aperture - how open the eye is
  * - Normalized features for consistent ML input
+ * - Head pose (optional) - lets the model compensate for head movement
  */
 
 import { LANDMARK_INDICES } from './faceDetection';
+import { headPoseToVector } from './headPose';
 
 /**
  * Calculate Euclidean distance between two 3D points
@@ -45,9 +47,11 @@ function calculateCenter(points) {
 /**
  * Extract comprehensive eye features from face landmarks
  * @param {Array} landmarks - All 478 face landmarks from MediaPipe
+ * @param {Object} options - {headPose} from estimateHeadPose, {includeHeadPose} to
+ *   append it to the vector (8 -> 14 features), {viewingDistance} in cm
  * @returns {Object|null} Feature object or null if invalid
  */
-export function extractEyeFeatures(landmarks) {
+export function extractEyeFeatures(landmarks, options = {}) {
   // Validate input
   if (!landmarks || landmarks.length < 478) {
     console.warn('⚠️ Invalid landmarks - need 478 points for iris tracking');
@@ -107,6 +111,25 @@ export function extractEyeFeatures(landmarks) {
     );
     
     // Create feature vector (8 features for ML model)
+    const vector = [
+      leftIrisOffsetXNorm * 10,
+      leftIrisOffsetYNorm * 10,
+      leftApertureRatio * 10,
+      rightIrisOffsetXNorm * 10,
+      rightIrisOffsetYNorm * 10,
+      rightApertureRatio * 10,
+      Math.abs(leftIrisOffsetXNorm - rightIrisOffsetXNorm) * 10,
+      Math.abs(leftApertureRatio - rightApertureRatio) * 10
+    ];
+    
+    const headPose = options.headPose || null;
+    if (options.includeHeadPose) {
+      if (!headPose) {
+        return null;
+      }
+      vector.push(...headPoseToVector(headPose));
+    }
+    
     return {
       // Raw features (for visualization)
       raw: {
@@ -132,17 +155,12 @@ export function extractEyeFeatures(landmarks) {
         apertureSymmetry: Math.abs(leftApertureRatio - rightApertureRatio)
       },
       
+      // Head pose and eye-to-camera distance at the time of the frame (null if not estimated)
+      headPose,
+      viewingDistance: options.viewingDistance || null,
+      
       // Feature vector (ready for ML model)
-      vector: [
-        leftIrisOffsetXNorm * 10,
-        leftIrisOffsetYNorm * 10,
-        leftApertureRatio * 10,
-        rightIrisOffsetXNorm * 10,
-        rightIrisOffsetYNorm * 10,
-        rightApertureRatio * 10,
-        Math.abs(leftIrisOffsetXNorm - rightIrisOffsetXNorm) * 10,
-        Math.abs(leftApertureRatio - rightApertureRatio) * 10
-      ]
+      vector
     };
     
   } catch (error) {
@@ -151,29 +169,79 @@ export function extractEyeFeatures(landmarks) {
   }
 }
 
+/**
+ * Which eyes drive tracking
+ * LEFT/RIGHT are the user's eyes. Feature names follow the image instead, so
+ * the user's left eye is the "right" eye in extractEyeFeatures.
+ */
+export const EYE_MODES = {
+  BOTH: 'both',
+  LEFT: 'left',      // User's left eye only
+  RIGHT: 'right',    // User's right eye only
+  AUTO: 'auto'       // Pick the dominant eye from the calibration
+};
+
+// Image-side feature prefix of each user eye
+const EYE_FEATURE_SIDE = {
+  [EYE_MODES.LEFT]: 'right',
+  [EYE_MODES.RIGHT]: 'left'
+};
+
+/**
+ * Single-eye feature vector: iris X/Y offset and aperture of one user eye
+ * @param {Object} features - Features from extractEyeFeatures
+ * @param {string} eye - EYE_MODES.LEFT or EYE_MODES.RIGHT
+ * @returns {Array<number>} [irisX, irisY, aperture]
+ */
+export function singleEyeVector(features, eye) {
+  const side = EYE_FEATURE_SIDE[eye];
+  const { normalized } = features;
+  return [normalized[`${side}IrisX`], normalized[`${side}IrisY`], normalized[`${side}Aperture`]];
+}
+
+/**
+ * Check one eye's features (image side 'left' or 'right')
+ */
+function isEyeValid(normalized, side) {
+  // Check if aperture is too small (eye closed/blink)
+  const minAperture = 0.5; // Minimum aperture ratio
+  if (normalized[`${side}Aperture`] < minAperture) {
+    return false;
+  }
+
+  // Check if iris offset is too extreme (looking away from camera)
+  const maxOffset = 5;
+  if (Math.abs(normalized[`${side}IrisX`]) > maxOffset ||
+      Math.abs(normalized[`${side}IrisY`]) > maxOffset) {
+    return false;
+  }
+
+  return true;
+}
+
 /**
  * Check if eye features are valid (not extreme values)
  * Useful for filtering out blinks, looking away, etc.
+ * Only the tracked eyes are checked: in single-eye and auto mode the eyes may
+ * legitimately differ (strabismus, ptosis), so symmetry is not required.
  * @param {Object} features - Features from extractEyeFeatures
+ * @param {string} eyeMode - One of EYE_MODES (defaults to the eye the features were extracted for)
  * @returns {boolean} True if features are valid
  */
-export function areEyeFeaturesValid(features) {
+export function areEyeFeaturesValid(features, eyeMode = features?.eye || EYE_MODES.BOTH) {
   if (!features || !features.normalized) return false;
   
   const { normalized } = features;
   
-  // Check if aperture is too small (eye closed/blink)
-  const minAperture = 0.5; // Minimum aperture ratio
-  if (normalized.leftAperture < minAperture || normalized.rightAperture < minAperture) {
-    return false;
+  if (eyeMode === EYE_MODES.LEFT || eyeMode === EYE_MODES.RIGHT) {
+    return isEyeValid(normalized, EYE_FEATURE_SIDE[eyeMode]);
+  }
+  if (eyeMode === EYE_MODES.AUTO) {
+    // Dominant eye not known yet - one usable eye is enough
+    return isEyeValid(normalized, 'left') || isEyeValid(normalized, 'right');
   }
   
-  // Check if iris offset is too extreme (looking away from camera)
-  const maxOffset = 5;
-  if (Math.abs(normalized.leftIrisX) > maxOffset || 
-      Math.abs(normalized.leftIrisY) > maxOffset ||
-      Math.abs(normalized.rightIrisX) > maxOffset || 
-      Math.abs(normalized.rightIrisY) > maxOffset) {
+  if (!isEyeValid(normalized, 'left') || !isEyeValid(normalized, 'right')) {
     return false;
   }
   
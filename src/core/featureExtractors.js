@@ -0,0 +1,213 @@
+/**
+ * Feature Extractor Registry for NovaVista FreeGaze
+ * Named, versioned feature extractors, so a trained model or a saved
+ * calibration can record which features it was built from
+ *
+ * An extractor is {id, version, inputSize, description, extract(landmarks, context)}
+ * where extract returns a features object like extractEyeFeatures (or null),
+ * and context carries per-frame extras: {headPose, viewingDistance, imageData}.
+ * Extractors that read pixels set `requiresImage` (the caller then passes
+ * imageData), and image extractors set `patch` to select the CNN model.
+ * Never change what a registered extractor computes - register a new id instead.
+ */
+
+import { CONFIG } from '../config/config';
+import { extractEyeFeatures, singleEyeVector, EYE_MODES } from './featureExtraction';
+import { extractEyePatches } from './eyePatches';
+
+const extractors = new Map();
+
+/**
+ * Raised when a saved model or calibration was built with a different extractor
+ */
+export class FeatureExtractorMismatchError extends Error {
+  constructor(what, saved, expected) {
+    super(
+      `The saved ${what} was built with feature extractor "${saved.id}" ` +
+      `(v${saved.version}, ${saved.inputSize} features), but the app now uses ` +
+      `"${expected.id}" (v${expected.version}, ${expected.inputSize} features). ` +
+      'Please recalibrate.'
+    );
+    this.name = 'FeatureExtractorMismatchError';
+    this.saved = saved;
+    this.expected = expected;
+  }
+}
+
+/**
+ * Register a feature extractor
+ * @param {Object} extractor - {id, version, inputSize, description, extract}
+ * @returns {Object} The registered extractor
+ */
+export function registerFeatureExtractor(extractor) {
+  const { id, version, inputSize, extract } = extractor;
+  if (!id || !Number.isInteger(version) || !(inputSize > 0) || typeof extract !== 'function') {
+    throw new Error(`Invalid feature extractor "${id}": needs id, integer version, inputSize and extract()`);
+  }
+  if (extractors.has(id)) {
+    throw new Error(`Feature extractor "${id}" is already registered`);
+  }
+
+  const registered = Object.freeze({ ...extractor });
+  extractors.set(id, registered);
+  return registered;
+}
+
+/**
+ * Look up a registered extractor
+ * @param {string} id - Extractor id (defaults to CONFIG.features.extractor)
+ * @returns {Object} Extractor
+ */
+export function getFeatureExtractor(id = CONFIG.features.extractor) {
+  const extractor = extractors.get(id);
+  if (!extractor) {
+    throw new Error(
+      `Unknown feature extractor "${id}". Available: ${[...extractors.keys()].join(', ')}`
+    );
+  }
+  return extractor;
+}
+
+/**
+ * List registered extractors
+ * @returns {Array<Object>} Extractors in registration order
+ */
+export function listFeatureExtractors() {
+  return [...extractors.values()];
+}
+
+/**
+ * Extractor identity as stored with models and calibrations
+ * @param {Object} extractor - Registered extractor
+ * @returns {{id: string, version: number, inputSize: number}}
+ */
+export function describeFeatureExtractor(extractor) {
+  return { id: extractor.id, version: extractor.version, inputSize: extractor.inputSize };
+}
+
+/**
+ * Check that saved extractor metadata matches an extractor
+ * @param {Object} saved - Metadata from describeFeatureExtractor
+ * @param {Object} extractor - Registered extractor
+ * @returns {boolean}
+ */
+export function isSameFeatureExtractor(saved, extractor) {
+  return !!saved &&
+    saved.id === extractor.id &&
+    saved.version === extractor.version &&
+    saved.inputSize === extractor.inputSize;
+}
+
+/**
+ * Find which of the accepted extractors saved metadata belongs to
+ * @param {Object} saved - Metadata from describeFeatureExtractor
+ * @param {string|Array<string>} ids - Accepted extractor id(s)
+ * @returns {Object|null} Matching registered extractor, or null
+ */
+export function findMatchingFeatureExtractor(saved, ids) {
+  return [].concat(ids)
+    .map(id => getFeatureExtractor(id))
+    .find(extractor => isSameFeatureExtractor(saved, extractor)) || null;
+}
+
+/**
+ * Extractor metadata for models and calibrations saved before extractors were
+ * versioned (they only differ in vector length)
+ * @param {number} inputSize - Feature vector length of the saved data
+ * @returns {Object|null} Metadata as from describeFeatureExtractor, or null if unknown
+ */
+export function inferLegacyFeatureExtractor(inputSize) {
+  const legacyIds = { 8: 'v1', 14: 'v1_head_pose' };
+  return legacyIds[inputSize] ? describeFeatureExtractor(getFeatureExtractor(legacyIds[inputSize])) : null;
+}
+
+/**
+ * Extract features with a registered extractor
+ * The result is tagged with the extractor id, so samples from different
+ * extractors can't be mixed by accident.
+ * @param {Array} landmarks - Face landmarks
+ * @param {Object} context - {headPose, viewingDistance, imageData}
+ * @param {string} id - Extractor id (defaults to CONFIG.features.extractor)
+ * @returns {Object|null} Features, or null if this frame can't be used
+ */
+export function extractFeatures(landmarks, context = {}, id = CONFIG.features.extractor) {
+  const extractor = getFeatureExtractor(id);
+  const features = extractor.extract(landmarks, context);
+  if (!features) return null;
+
+  features.extractor = extractor.id;
+  return features;
+}
+
+// v1: iris offsets, apertures and symmetry for both eyes
+registerFeatureExtractor({
+  id: 'v1',
+  version: 1,
+  inputSize: 8,
+  description: 'Iris offsets, eye apertures and symmetry for both eyes',
+  extract: (landmarks, context) => extractEyeFeatures(landmarks, {
+    headPose: context.headPose,
+    viewingDistance: context.viewingDistance
+  })
+});
+
+// v1 + head pose: lets the model compensate for head movement
+registerFeatureExtractor({
+  id: 'v1_head_pose',
+  version: 1,
+  inputSize: 14,
+  description: 'v1 eye features plus head yaw/pitch/roll and position',
+  extract: (landmarks, context) => extractEyeFeatures(landmarks, {
+    headPose: context.headPose,
+    viewingDistance: context.viewingDistance,
+    includeHeadPose: true
+  })
+});
+
+// Single eye (user's left or right): iris offset and aperture of that eye only
+[EYE_MODES.LEFT, EYE_MODES.RIGHT].forEach(eye => {
+  registerFeatureExtractor({
+    id: `v1_${eye}_eye`,
+    version: 1,
+    inputSize: 3,
+    description: `v1 iris offset and aperture of the user's ${eye} eye only`,
+    extract: (landmarks, context) => {
+      const features = extractEyeFeatures(landmarks, {
+        headPose: context.headPose,
+        viewingDistance: context.viewingDistance
+      });
+      if (!features) return null;
+
+      return { ...features, eye, vector: singleEyeVector(features, eye) };
+    }
+  });
+});
+
+// Eye images: aligned 32x16 grayscale patches of both eyes, for the CNN model.
+// The geometric v1 features are kept alongside for validation and blink detection.
+const EYE_PATCH = { width: 32, height: 16, padding: 0.25 };
+
+registerFeatureExtractor({
+  id: 'eye_patch_v1',
+  version: 1,
+  inputSize: 2 * EYE_PATCH.width * EYE_PATCH.height,
+  description: 'Normalized left/right eye image patches (appearance-based)',
+  requiresImage: true,
+  patch: EYE_PATCH,
+  extract: (landmarks, context) => {
+    if (!context.imageData) return null;
+
+    const features = extractEyeFeatures(landmarks, {
+      headPose: context.headPose,
+      viewingDistance: context.viewingDistance
+    });
+    const patches = features && extractEyePatches(context.imageData, landmarks, EYE_PATCH);
+    if (!patches) return null;
+
+    return {
+      ...features,
+      patches,
+      vector: [...patches.left, ...patches.right]
+    };
+  }
+});
@@ -0,0 +1,116 @@
+/**
+ * Feature Normalization Module for NovaVista FreeGaze
+ * Standardizes model inputs and outputs with statistics from the calibration
+ *
+ * Inputs: each feature is scaled to zero mean and unit variance over the
+ * calibration frames, so features of very different ranges (iris offsets,
+ * apertures, head position in cm) train equally well. The variance includes
+ * the frame-to-frame noise at each point: features that barely change with
+ * gaze (apertures) would otherwise have their noise blown up.
+ * Outputs: targets are converted from pixels to fractions of the calibration
+ * screen (0-1), then standardized. Predictions come back as screen fractions,
+ * so they stay valid when the window or screen size changes.
+ *
+ * The statistics are saved with the model (see GazePredictionModel).
+ */
+
+// Features that barely vary during calibration are centred but not scaled
+const MIN_STD = 1e-6;
+
+function meanAndStd(values, extraVariance = 0) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+  const std = Math.sqrt(variance + extraVariance);
+  return { mean, std: std > MIN_STD ? std : 1 };
+}
+
+/**
+ * Compute normalization statistics from calibration data
+ * @param {Array} calibrationData - Array of {features, targetX, targetY} (targets in
+ *   pixels), with optional {featureVariance} of the frames averaged into each point
+ * @param {Object} screenSize - {width, height} in pixels of the screen the targets were shown on
+ * @returns {Object} {input: {mean, std}, output: {mean, std}, screen: {width, height}}
+ */
+export function computeNormalization(calibrationData, screenSize) {
+  if (!(screenSize?.width > 0 && screenSize?.height > 0)) {
+    throw new Error('Screen size is needed to normalize calibration targets');
+  }
+
+  const inputSize = calibrationData[0].features.length;
+  const withVariance = calibrationData.every(d => d.featureVariance?.length === inputSize);
+  const input = { mean: [], std: [] };
+  for (let i = 0; i < inputSize; i++) {
+    // Total variance over all frames = spread of the point means + mean spread within points
+    const noise = withVariance
+      ? calibrationData.reduce((sum, d) => sum + d.featureVariance[i], 0) / calibrationData.length
+      : 0;
+    const { mean, std } = meanAndStd(calibrationData.map(d => d.features[i]), noise);
+    input.mean.push(mean);
+    input.std.push(std);
+  }
+
+  const x = meanAndStd(calibrationData.map(d => d.targetX / screenSize.width));
+  const y = meanAndStd(calibrationData.map(d => d.targetY / screenSize.height));
+
+  return {
+    input,
+    output: { mean: [x.mean, y.mean], std: [x.std, y.std] },
+    screen: { width: screenSize.width, height: screenSize.height }
+  };
+}
+
+/**
+ * Standardize a feature vector
+ * @param {Array<number>} vector - Raw feature vector
+ * @param {Object} normalization - From computeNormalization
+ * @returns {Array<number>} Standardized vector
+ */
+export function normalizeFeatures(vector, normalization) {
+  const { mean, std } = normalization.input;
+  return Array.from(vector, (value, i) => (value - mean[i]) / std[i]);
+}
+
+/**
+ * Standardized model output for a target
+ * @param {number} targetX - Target X (pixels on the calibration screen)
+ * @param {number} targetY - Target Y (pixels on the calibration screen)
+ * @param {Object} normalization - From computeNormalization
+ * @returns {Array<number>} [x, y] model output
+ */
+export function normalizeTarget(targetX, targetY, normalization) {
+  const { output, screen } = normalization;
+  return [
+    (targetX / screen.width - output.mean[0]) / output.std[0],
+    (targetY / screen.height - output.mean[1]) / output.std[1]
+  ];
+}
+
+/**
+ * Screen position of a model output
+ * @param {ArrayLike<number>} output - [x, y] model output
+ * @param {Object} normalization - From computeNormalization
+ * @returns {{x: number, y: number}} Fractions of the screen width/height (0-1 on screen)
+ */
+export function denormalizeOutput(output, normalization) {
+  const { mean, std } = normalization.output;
+  return {
+    x: output[0] * std[0] + mean[0],
+    y: output[1] * std[1] + mean[1]
+  };
+}
+
+/**
+ * Check that saved statistics fit a model input size
+ * @param {Object} normalization - Saved statistics
+ * @param {number} inputSize - Model input size
+ * @returns {boolean}
+ */
+export function isValidNormalization(normalization, inputSize) {
+  return !!normalization &&
+    normalization.input?.mean?.length === inputSize &&
+    normalization.input?.std?.length === inputSize &&
+    normalization.output?.mean?.length === 2 &&
+    normalization.output?.std?.length === 2 &&
+    normalization.screen?.width > 0 &&
+    normalization.screen?.height > 0;
+}
@@ -0,0 +1,189 @@
+/**
+ * Fixation Detection Module for NovaVista FreeGaze
+ * Decides when calibration samples may be taken: only once the eyes have
+ * landed on the target and stay there
+ *
+ * Fixations are found by dispersion (I-DT): the iris offsets of the frames in
+ * a short window must stay within a small range. A saccade to the target, a
+ * blink or a glance away spreads them out. FixationSampler builds the
+ * per-point sampling on top: wait for a fixation, then take frames until
+ * enough of them were valid, extending the sampling time when frames are
+ * rejected.
+ */
+
+import { singleEyeVector } from './featureExtraction';
+import { CONFIG } from '../config/config';
+
+/**
+ * Phases of sampling one calibration point
+ */
+export const SAMPLING_PHASES = {
+  WAITING: 'waiting',       // Waiting for the eyes to settle on the target
+  SAMPLING: 'sampling',     // Taking samples
+  DONE: 'done'              // Enough samples, or gave up (see FixationSampler.getStatus)
+};
+
+/**
+ * Gaze direction signal of a frame: iris offsets of the tracked eye(s)
+ * @param {Object} features - Features from extractFeatures
+ * @returns {{x: number, y: number}|null}
+ */
+export function getGazeSignal(features) {
+  const normalized = features?.normalized;
+  if (!normalized) return null;
+
+  if (features.eye) {
+    const [x, y] = singleEyeVector(features, features.eye);
+    return { x, y };
+  }
+  return {
+    x: (normalized.leftIrisX + normalized.rightIrisX) / 2,
+    y: (normalized.leftIrisY + normalized.rightIrisY) / 2
+  };
+}
+
+/**
+ * Dispersion-based fixation detector over a sliding time window
+ */
+export class FixationDetector {
+  constructor(options = {}) {
+    const config = { ...CONFIG.calibration.fixation, ...options };
+    this.window = config.window;
+    this.maxDispersion = config.maxDispersion;
+    this.minFrames = config.minFrames;
+    this.frames = [];
+  }
+
+  /**
+   * Add a frame
+   * @param {Object|null} features - Valid frame features, or null for a rejected frame
+   * @param {number} timestamp - Frame time (ms)
+   * @returns {boolean} True if the eyes are fixating
+   */
+  update(features, timestamp) {
+    this.frames = this.frames.filter(f => f.timestamp > timestamp - this.window);
+    const signal = getGazeSignal(features);
+    // A rejected frame is never a fixation; a longer gap (blink, face lost)
+    // empties the window, so the eyes must settle again afterwards
+    if (!signal) return false;
+
+    this.frames.push({ ...signal, timestamp });
+    return this.isFixating();
+  }
+
+  /**
+   * Spread of the gaze signal in the window (x range + y range)
+   * @returns {number}
+   */
+  getDispersion() {
+    if (this.frames.length === 0) return Infinity;
+    const xs = this.frames.map(f => f.x);
+    const ys = this.frames.map(f => f.y);
+    return (Math.max(...xs) - Math.min(...xs)) + (Math.max(...ys) - Math.min(...ys));
+  }
+
+  /**
+   * Whether the window holds enough frames and they stay together
+   * @returns {boolean}
+   */
+  isFixating() {
+    return this.frames.length >= this.minFrames && this.getDispersion() <= this.maxDispersion;
+  }
+
+  /**
+   * Forget all frames (next target)
+   */
+  reset() {
+    this.frames = [];
+  }
+}
+
+/**
+ * Samples one calibration point from camera frames, gated by fixation
+ */
+export class FixationSampler {
+  /**
+   * @param {Object} options - {samplesPerPoint} plus CONFIG.calibration.fixation
+   *   overrides (defaults to CONFIG.calibration)
+   */
+  constructor(options = {}) {
+    const config = {
+      samplesPerPoint: CONFIG.calibration.samplesPerPoint,
+      ...CONFIG.calibration.fixation,
+      ...options
+    };
+    this.samplesPerPoint = config.samplesPerPoint;
+    this.maxWait = config.maxWait;
+    this.maxSamplingTime = config.maxSamplingTime;
+    this.detector = new FixationDetector(config);
+
+    this.phase = SAMPLING_PHASES.WAITING;
+    this.startTime = null;           // First frame
+    this.samplingStart = null;       // First sampled frame
+    this.lastTimestamp = -Infinity;
+    this.sampleCount = 0;
+    this.invalidCount = 0;
+    this.fixationTimedOut = false;   // Sampled without a fixation
+    this.samplingTimedOut = false;   // Stopped before samplesPerPoint
+  }
+
+  /**
+   * Add a camera frame
+   * @param {Object|null} features - Valid frame features, or null for a rejected frame
+   * @param {number} timestamp - Frame time (ms)
+   * @returns {boolean} True if this frame should be recorded as a sample
+   */
+  addFrame(features, timestamp) {
+    if (this.phase === SAMPLING_PHASES.DONE) return false;
+    // Same frame seen again (re-render without a new camera frame)
+    if (timestamp <= this.lastTimestamp) return false;
+    this.lastTimestamp = timestamp;
+    if (this.startTime === null) this.startTime = timestamp;
+
+    const isFixating = this.detector.update(features, timestamp);
+
+    if (this.phase === SAMPLING_PHASES.WAITING) {
+      if (!isFixating && timestamp - this.startTime < this.maxWait) return false;
+      if (!isFixating) {
+        // Never settled (noisy tracking): sample anyway rather than hang
+        console.warn('⚠️ No fixation detected - sampling without it');
+        this.fixationTimedOut = true;
+      }
+      this.phase = SAMPLING_PHASES.SAMPLING;
+      this.samplingStart = timestamp;
+    }
+
+    const isValid = !!features && (isFixating || this.fixationTimedOut);
+    if (isValid) {
+      this.sampleCount++;
+    } else {
+      this.invalidCount++;
+    }
+
+    // Rejected frames extend the sampling, up to maxSamplingTime
+    if (this.sampleCount >= this.samplesPerPoint) {
+      this.phase = SAMPLING_PHASES.DONE;
+    } else if (timestamp - this.samplingStart >= this.maxSamplingTime) {
+      this.phase = SAMPLING_PHASES.DONE;
+      this.samplingTimedOut = true;
+    }
+    return isValid;
+  }
+
+  /**
+   * Sampling progress
+   * @returns {{phase: string, sampleCount: number, invalidCount: number,
+   *   fixationTimedOut: boolean, samplingTimedOut: boolean}}
+   */
+  getStatus() {
+    return {
+      phase: this.phase,
+      sampleCount: this.sampleCount,
+      invalidCount: this.invalidCount,
+      fixationTimedOut: this.fixationTimedOut,
+      samplingTimedOut: this.samplingTimedOut
+    };
+  }
+}
+
+export default FixationSampler;
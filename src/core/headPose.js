@@ -0,0 +1,229 @@
+/**
+ * Head Pose Module for NovaVista FreeGaze
+ * Estimates head rotation (yaw/pitch/roll) and position from FaceMesh landmarks
+ *
+ * A small canonical face model is fitted to the observed landmarks with a
+ * similarity transform (Horn's quaternion method), which is robust to the
+ * scale changes caused by the user moving closer or further away.
+ */
+
+import { CONFIG } from '../config/config';
+
+/**
+ * Canonical face model (cm, face looking straight at the camera)
+ * Axes follow the image: X right, Y down, Z away from the camera.
+ */
+const CANONICAL_FACE = {
+  33: { x: -4.6, y: 0, z: 0.3 },     // Left eye outer corner
+  133: { x: -1.6, y: 0, z: 0.3 },    // Left eye inner corner
+  362: { x: 1.6, y: 0, z: 0.3 },     // Right eye inner corner
+  263: { x: 4.6, y: 0, z: 0.3 },     // Right eye outer corner
+  168: { x: 0, y: 0, z: -0.8 },      // Nose bridge
+  1: { x: 0, y: 4, z: -2.5 },        // Nose tip
+  61: { x: -2.5, y: 7.5, z: -0.5 },  // Left mouth corner
+  291: { x: 2.5, y: 7.5, z: -0.5 },  // Right mouth corner
+  152: { x: 0, y: 11, z: 1 },        // Chin
+  10: { x: 0, y: -7, z: 1 },         // Forehead
+  234: { x: -7, y: 1, z: 4 },        // Left face edge
+  454: { x: 7, y: 1, z: 4 }          // Right face edge
+};
+
+const MODEL_INDICES = Object.keys(CANONICAL_FACE).map(Number);
+
+function centroid(points) {
+  const sum = points.reduce((acc, p) => ({
+    x: acc.x + p.x,
+    y: acc.y + p.y,
+    z: acc.z + p.z
+  }), { x: 0, y: 0, z: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length, z: sum.z / points.length };
+}
+
+/**
+ * Largest eigenvector of a symmetric 4x4 matrix (cyclic Jacobi rotations)
+ * @param {Array<Array<number>>} matrix - Symmetric matrix (modified in place)
+ * @returns {Array<number>} Unit eigenvector of the largest eigenvalue
+ */
+function largestEigenvector(matrix) {
+  const n = 4;
+  const a = matrix;
+  const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+    }
+    if (offDiagonal < 1e-18) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  let best = 0;
+  for (let i = 1; i < n; i++) {
+    if (a[i][i] > a[best][best]) best = i;
+  }
+  return v.map(row => row[best]);
+}
+
+/**
+ * Fit a similarity transform mapping model points onto observed points
+ * @param {Array} model - Model points {x, y, z}
+ * @param {Array} observed - Observed points {x, y, z}
+ * @returns {{rotation: Array<Array<number>>, scale: number, center: Object}} Fit result
+ */
+function fitSimilarity(model, observed) {
+  const modelCenter = centroid(model);
+  const observedCenter = centroid(observed);
+
+  // Cross-covariance between the centered point sets
+  const s = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  let modelNorm = 0;
+  model.forEach((m, i) => {
+    const a = [m.x - modelCenter.x, m.y - modelCenter.y, m.z - modelCenter.z];
+    const o = observed[i];
+    const b = [o.x - observedCenter.x, o.y - observedCenter.y, o.z - observedCenter.z];
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) s[r][c] += a[r] * b[c];
+    }
+    modelNorm += a[0] * a[0] + a[1] * a[1] + a[2] * a[2];
+  });
+
+  const [[sxx, sxy, sxz], [syx, syy, syz], [szx, szy, szz]] = s;
+  const n = [
+    [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+    [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+    [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+    [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz]
+  ];
+  const [qw, qx, qy, qz] = largestEigenvector(n);
+
+  const rotation = [
+    [1 - 2 * (qy * qy + qz * qz), 2 * (qx * qy - qw * qz), 2 * (qx * qz + qw * qy)],
+    [2 * (qx * qy + qw * qz), 1 - 2 * (qx * qx + qz * qz), 2 * (qy * qz - qw * qx)],
+    [2 * (qx * qz - qw * qy), 2 * (qy * qz + qw * qx), 1 - 2 * (qx * qx + qy * qy)]
+  ];
+
+  // Least-squares scale given the rotation
+  let projected = 0;
+  model.forEach((m, i) => {
+    const a = [m.x - modelCenter.x, m.y - modelCenter.y, m.z - modelCenter.z];
+    const o = observed[i];
+    const b = [o.x - observedCenter.x, o.y - observedCenter.y, o.z - observedCenter.z];
+    for (let r = 0; r < 3; r++) {
+      projected += b[r] * (rotation[r][0] * a[0] + rotation[r][1] * a[1] + rotation[r][2] * a[2]);
+    }
+  });
+
+  return { rotation, scale: projected / modelNorm, center: observedCenter };
+}
+
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+/**
+ * Estimate head pose from face landmarks
+ * @param {Array} landmarks - Face landmarks from MediaPipe (normalized image coordinates)
+ * @param {Object} frame - {width, height} of the processed image in pixels
+ * @returns {Object|null} {yaw, pitch, roll} in degrees and translation {x, y, z} in cm
+ *   relative to the camera, or null if landmarks are missing
+ */
+export function estimateHeadPose(landmarks, frame = {}) {
+  if (!landmarks || landmarks.length < 468) {
+    return null;
+  }
+
+  const width = frame.width || 640;
+  const height = frame.height || 480;
+
+  // MediaPipe z is on roughly the same scale as x
+  const observed = MODEL_INDICES.map(i => ({
+    x: landmarks[i].x * width,
+    y: landmarks[i].y * height,
+    z: (landmarks[i].z || 0) * width
+  }));
+  const model = MODEL_INDICES.map(i => CANONICAL_FACE[i]);
+
+  const { rotation: r, scale, center } = fitSimilarity(model, observed);
+  if (!(scale > 0)) {
+    return null;
+  }
+
+  // R = Ryaw * Rpitch * Rroll
+  const yaw = toDegrees(Math.atan2(r[0][2], r[2][2]));
+  const pitch = toDegrees(Math.asin(Math.max(-1, Math.min(1, -r[1][2]))));
+  const roll = toDegrees(Math.atan2(r[1][0], r[1][1]));
+
+  // Weak perspective: scale is pixels per cm at the face's depth
+  const focalLength = (width / 2) / Math.tan((CONFIG.camera.horizontalFov * Math.PI / 180) / 2);
+  // Report the position of the model origin (between the eyes), not the centroid
+  const c = centroid(model);
+  const offset = r.map(row => row[0] * c.x + row[1] * c.y + row[2] * c.z);
+  const translation = {
+    x: (center.x - width / 2) / scale - offset[0],
+    y: (center.y - height / 2) / scale - offset[1],
+    z: focalLength / scale - offset[2]
+  };
+
+  return { yaw, pitch, roll, translation };
+}
+
+/**
+ * Head pose as model input features
+ * Angles in tens of degrees and position in tens of cm, to match the
+ * magnitude of the eye features.
+ * @param {Object} headPose - Result of estimateHeadPose
+ * @returns {Array<number>} [yaw, pitch, roll, x, y, z]
+ */
+export function headPoseToVector(headPose) {
+  const { yaw, pitch, roll, translation } = headPose;
+  return [
+    yaw / 10,
+    pitch / 10,
+    roll / 10,
+    translation.x / 10,
+    translation.y / 10,
+    translation.z / 10
+  ];
+}
+
+/**
+ * Format head pose for display/logging
+ * @param {Object} headPose - Result of estimateHeadPose
+ * @returns {string} Formatted string
+ */
+export function formatHeadPose(headPose) {
+  if (!headPose) return 'No head pose';
+  const { yaw, pitch, roll, translation } = headPose;
+  return `Yaw ${yaw.toFixed(1)}° Pitch ${pitch.toFixed(1)}° Roll ${roll.toFixed(1)}° ` +
+    `at (${translation.x.toFixed(1)}, ${translation.y.toFixed(1)}, ${translation.z.toFixed(1)}) cm`;
+}
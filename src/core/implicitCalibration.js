@@ -0,0 +1,310 @@
+/**
+ * Implicit Recalibration Module for NovaVista FreeGaze
+ * Learns from dwell clicks during normal use to counter accuracy drift
+ * (opt-in, see CONFIG.implicitCalibration)
+ *
+ * A dwell click on an element tells where the user was looking: its center.
+ * Together with the model's predictions for the frames before the click, that
+ * is a free labelled sample. Once enough clicks are confirmed, an affine
+ * correction of the predictions is fitted to them and applied after
+ * GazePredictionModel.predict; the network itself is left untouched, so a bad
+ * correction is easy to throw away.
+ *
+ * Safeguards against learning from misclicks:
+ * - clicks are pending for confirmDelay ms; an undo (Escape, Ctrl+Z, back
+ *   navigation, or clicking the same element again) in that time discards them
+ * - clicks far from the predicted gaze, or on elements without a clear
+ *   center (large containers), are ignored
+ * - the correction is regularized towards no change, only kept if it reduces
+ *   the error on the clicks, and rejected if it shifts the screen too much
+ */
+
+import { CONFIG } from '../config/config';
+import { solveLinearSystem } from '../utils/linearAlgebra';
+
+const STORAGE_KEY = 'novavista_freegaze_implicit_calibration';
+
+/**
+ * Why a click was not learned from
+ */
+export const DISCARD_REASONS = {
+  NO_FRAMES: 'no_frames',                 // No predictions before the click
+  TOO_FAR: 'too_far',                     // Element far from the predicted gaze
+  LARGE_ELEMENT: 'large_element',         // Element too large to have a clear center
+  UNDONE: 'undone'                        // Undone within the confirm delay
+};
+
+// No correction: x' = x, y' = y
+const IDENTITY = { x: [1, 0, 0], y: [0, 1, 0] };
+
+function applyCorrection(correction, point) {
+  return {
+    x: correction.x[0] * point.x + correction.x[1] * point.y + correction.x[2],
+    y: correction.y[0] * point.x + correction.y[1] * point.y + correction.y[2]
+  };
+}
+
+function meanError(correction, samples) {
+  return samples.reduce((sum, s) => {
+    const corrected = applyCorrection(correction, s.predicted);
+    return sum + Math.hypot(corrected.x - s.target.x, corrected.y - s.target.y);
+  }, 0) / samples.length;
+}
+
+/**
+ * Least-squares affine map from predicted to target positions, pulled
+ * towards the identity by `regularization` (relative to the sample count)
+ * @param {Array} samples - {predicted: {x, y}, target: {x, y}} in screen fractions
+ * @param {number} regularization - Ridge weight
+ * @returns {{x: Array<number>, y: Array<number>}} Coefficients [a, b, c] per axis
+ */
+export function fitAffineCorrection(samples, regularization) {
+  const rows = samples.map(s => [s.predicted.x, s.predicted.y, 1]);
+  const weight = regularization * samples.length;
+  const ata = [0, 1, 2].map(i => [0, 1, 2].map(j =>
+    rows.reduce((sum, r) => sum + r[i] * r[j], 0) + (i === j ? weight : 0)
+  ));
+  const fit = (axis) => solveLinearSystem(ata, [0, 1, 2].map(i =>
+    rows.reduce((sum, r, k) => sum + r[i] * samples[k].target[axis], 0) + weight * IDENTITY[axis][i]
+  ));
+  return { x: fit('x'), y: fit('y') };
+}
+
+/**
+ * Collects confirmed dwell clicks and maintains the prediction correction
+ */
+export class ImplicitCalibrator {
+  constructor(options = {}) {
+    const config = { ...CONFIG.implicitCalibration, ...options };
+    this.enabled = config.enabled;
+    this.featureWindow = config.featureWindow;
+    this.confirmDelay = config.confirmDelay;
+    this.maxOffset = config.maxOffset;
+    this.maxElementSize = config.maxElementSize;
+    this.minSamples = config.minSamples;
+    this.maxSamples = config.maxSamples;
+    this.updateEvery = config.updateEvery;
+    this.regularization = config.regularization;
+    this.maxShift = config.maxShift;
+
+    this.frames = [];          // Recent {features, prediction, timestamp}
+    this.pending = [];         // Clicks waiting for confirmation
+    this.samples = [];         // Confirmed {features, predicted, target, timestamp}
+    this.correction = null;    // Current affine correction (null = none)
+    this.newSamples = 0;       // Confirmed since the last fit
+    this.discarded = {};       // Count per DISCARD_REASONS
+  }
+
+  /**
+   * Turn learning on or off (the correction stays applied either way)
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.frames = [];
+      this.pending = [];
+    }
+    this.saveToStorage();
+  }
+
+  /**
+   * Whether clicks are learned from
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Remember a tracking frame
+   * @param {Array<number>} features - Feature vector given to the model
+   * @param {{x: number, y: number}} prediction - Uncorrected model prediction (screen fractions)
+   * @param {number} timestamp - Frame time (ms)
+   */
+  recordFrame(features, prediction, timestamp = Date.now()) {
+    if (!this.enabled) return;
+    this.frames.push({ features, prediction, timestamp });
+    while (this.frames.length > 0 && this.frames[0].timestamp < timestamp - this.featureWindow) {
+      this.frames.shift();
+    }
+    this.update(timestamp);
+  }
+
+  /**
+   * A dwell click landed on an element
+   * @param {Object} click - {target: {x, y} element center in screen fractions,
+   *   elementSize: fraction of the viewport the element covers (largest side),
+   *   element: any value identifying the element}
+   * @param {number} timestamp - Click time (ms)
+   * @returns {string|null} Discard reason, or null if the click is pending confirmation
+   */
+  handleClick(click, timestamp = Date.now()) {
+    if (!this.enabled) return null;
+
+    // Clicking the same element again right away often undoes the first click (toggles)
+    const repeated = this.pending.find(p => p.element === click.element && click.element !== undefined);
+    if (repeated) {
+      this.undo();
+      return this.discard(DISCARD_REASONS.UNDONE);
+    }
+
+    const frames = this.frames.filter(f => f.timestamp >= timestamp - this.featureWindow);
+    if (frames.length === 0) return this.discard(DISCARD_REASONS.NO_FRAMES);
+    if (click.elementSize > this.maxElementSize) return this.discard(DISCARD_REASONS.LARGE_ELEMENT);
+
+    const predicted = {
+      x: frames.reduce((sum, f) => sum + f.prediction.x, 0) / frames.length,
+      y: frames.reduce((sum, f) => sum + f.prediction.y, 0) / frames.length
+    };
+    // Compared with the corrected gaze, which is what the user saw
+    const seen = this.correct(predicted);
+    if (Math.hypot(seen.x - click.target.x, seen.y - click.target.y) > this.maxOffset) {
+      return this.discard(DISCARD_REASONS.TOO_FAR);
+    }
+
+    const features = frames[0].features.map((_, i) =>
+      frames.reduce((sum, f) => sum + f.features[i], 0) / frames.length
+    );
+    this.pending.push({ features, predicted, target: click.target, element: click.element, timestamp });
+    return null;
+  }
+
+  /**
+   * The user undid something: forget the clicks that are not confirmed yet
+   */
+  undo() {
+    this.pending.forEach(() => this.discard(DISCARD_REASONS.UNDONE));
+    this.pending = [];
+  }
+
+  discard(reason) {
+    this.discarded[reason] = (this.discarded[reason] || 0) + 1;
+    return reason;
+  }
+
+  /**
+   * Confirm clicks older than confirmDelay and refit when enough are new
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} True if the correction changed
+   */
+  update(now = Date.now()) {
+    const confirmed = this.pending.filter(p => now - p.timestamp >= this.confirmDelay);
+    if (confirmed.length === 0) return false;
+
+    this.pending = this.pending.filter(p => now - p.timestamp < this.confirmDelay);
+    confirmed.forEach(({ features, predicted, target, timestamp }) => {
+      this.samples.push({ features, predicted, target, timestamp });
+    });
+    this.samples = this.samples.slice(-this.maxSamples);
+    this.newSamples += confirmed.length;
+
+    if (this.samples.length < this.minSamples || this.newSamples < this.updateEvery) {
+      this.saveToStorage();
+      return false;
+    }
+    this.newSamples = 0;
+    const changed = this.refit();
+    this.saveToStorage();
+    return changed;
+  }
+
+  /**
+   * Fit a new correction to the confirmed clicks, keeping it only if it helps
+   * @returns {boolean} True if the correction changed
+   */
+  refit() {
+    const candidate = fitAffineCorrection(this.samples, this.regularization);
+    const center = applyCorrection(candidate, { x: 0.5, y: 0.5 });
+    if (Math.hypot(center.x - 0.5, center.y - 0.5) > this.maxShift) {
+      console.warn('⚠️ Implicit recalibration rejected: correction would shift the gaze too far');
+      return false;
+    }
+
+    const before = meanError(this.correction || IDENTITY, this.samples);
+    const after = meanError(candidate, this.samples);
+    if (after >= before) return false;
+
+    this.correction = candidate;
+    console.log(`🎯 Implicit recalibration from ${this.samples.length} clicks: ` +
+      `error ${(before * 100).toFixed(1)}% -> ${(after * 100).toFixed(1)}% of the screen`);
+    return true;
+  }
+
+  /**
+   * Apply the learned correction to a model prediction
+   * @param {{x: number, y: number}|null} prediction - Screen fractions
+   * @returns {{x: number, y: number}|null} Corrected prediction
+   */
+  correct(prediction) {
+    if (!prediction || !this.correction) return prediction;
+    return applyCorrection(this.correction, prediction);
+  }
+
+  /**
+   * Learning progress for display
+   * @returns {{enabled: boolean, samples: number, pending: number, corrected: boolean,
+   *   discarded: Object<string, number>}}
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      samples: this.samples.length,
+      pending: this.pending.length,
+      corrected: this.correction !== null,
+      discarded: { ...this.discarded }
+    };
+  }
+
+  /**
+   * Forget all clicks and the correction (after a new calibration)
+   */
+  reset() {
+    this.frames = [];
+    this.pending = [];
+    this.samples = [];
+    this.correction = null;
+    this.newSamples = 0;
+    this.discarded = {};
+    this.saveToStorage();
+  }
+
+  /**
+   * Save the opt-in choice, clicks and correction to localStorage
+   */
+  saveToStorage() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        enabled: this.enabled,
+        samples: this.samples,
+        correction: this.correction
+      }));
+    } catch (error) {
+      console.warn('⚠️ Failed to save implicit recalibration:', error);
+    }
+  }
+
+  /**
+   * Load what saveToStorage saved
+   * @returns {boolean} True if loaded
+   */
+  loadFromStorage() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (!stored) return false;
+      const data = JSON.parse(stored);
+      this.enabled = !!data.enabled;
+      this.samples = data.samples || [];
+      this.correction = data.correction || null;
+      return true;
+    } catch (error) {
+      console.warn('⚠️ Failed to load implicit recalibration:', error);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+export const implicitCalibrator = new ImplicitCalibrator();
+
+export default ImplicitCalibrator;
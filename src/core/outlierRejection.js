@@ -0,0 +1,279 @@
+/**
+ * Outlier Rejection Module for NovaVista FreeGaze
+ * Learns what a user's eye features normally look like during calibration and
+ * drops frames that are statistically far from it (blinks, glances away,
+ * landmark glitches)
+ *
+ * The fixed thresholds in areEyeFeaturesValid don't suit every face or camera
+ * (narrow eyes, droopy lids, low resolution), so once enough calibration
+ * frames were seen, frames are judged by their Mahalanobis distance to the
+ * user's mean feature vector instead. Until then the fixed thresholds apply.
+ */
+
+import { CONFIG } from '../config/config';
+import { areEyeFeaturesValid, EYE_MODES } from './featureExtraction';
+import { solveLinearSystem } from '../utils/linearAlgebra';
+
+/**
+ * Why a frame was dropped
+ */
+export const REJECTION_REASONS = {
+  NO_FEATURES: 'no_features',             // No features extracted
+  INVALID_VALUES: 'invalid_values',       // NaN or infinite features
+  FIXED_THRESHOLD: 'fixed_threshold',     // Failed areEyeFeaturesValid (not learned yet)
+  EYE_CLOSED: 'eye_closed',               // Aperture far below the user's normal
+  IRIS_OFFSET: 'iris_offset',             // Iris far outside the calibrated range
+  ASYMMETRY: 'asymmetry',                 // Eyes disagree more than usual
+  OUTLIER: 'statistical_outlier'          // Unusual combination of features
+};
+
+// Normalized features the statistics are learned on (image-side names)
+export const STATISTIC_FEATURES = [
+  'leftIrisX', 'leftIrisY', 'leftAperture',
+  'rightIrisX', 'rightIrisY', 'rightAperture',
+  'irisSymmetry', 'apertureSymmetry'
+];
+
+// Statistic dimensions checked in each eye mode (single eyes: user's eye, image-opposite side)
+const MODE_DIMENSIONS = {
+  [EYE_MODES.BOTH]: [0, 1, 2, 3, 4, 5, 6, 7],
+  [EYE_MODES.AUTO]: [0, 1, 2, 3, 4, 5, 6, 7],
+  [EYE_MODES.LEFT]: [3, 4, 5],
+  [EYE_MODES.RIGHT]: [0, 1, 2]
+};
+
+/**
+ * Statistic vector of a features object
+ * @param {Object} features - Features from extractEyeFeatures
+ * @returns {Array<number>|null} Values of STATISTIC_FEATURES, or null without normalized features
+ */
+export function toStatisticVector(features) {
+  if (!features?.normalized) return null;
+  return STATISTIC_FEATURES.map(name => features.normalized[name]);
+}
+
+/**
+ * Squared-distance threshold for a Mahalanobis distance with `dimensions`
+ * degrees of freedom at a one-sided normal quantile `sigma`
+ * (Wilson-Hilferty approximation of the chi-square quantile)
+ * @param {number} dimensions - Number of features compared
+ * @param {number} sigma - Normal quantile, e.g. 4 for ~1 false rejection in 30000 frames
+ * @returns {number} Squared distance threshold
+ */
+export function chiSquareThreshold(dimensions, sigma) {
+  const a = 2 / (9 * dimensions);
+  return dimensions * Math.pow(1 - a + sigma * Math.sqrt(a), 3);
+}
+
+/**
+ * Running mean and covariance of feature vectors (Welford's algorithm)
+ */
+export class FeatureStatistics {
+  constructor(dimensions = STATISTIC_FEATURES.length) {
+    this.count = 0;
+    this.mean = new Array(dimensions).fill(0);
+    this.comoment = Array.from({ length: dimensions }, () => new Array(dimensions).fill(0));
+  }
+
+  /**
+   * Add one frame
+   * @param {Object} features - Features from extractEyeFeatures
+   * @returns {boolean} True if the frame was usable
+   */
+  add(features) {
+    const vector = toStatisticVector(features);
+    if (!vector || !vector.every(Number.isFinite)) return false;
+
+    this.count++;
+    const delta = vector.map((value, i) => value - this.mean[i]);
+    this.mean = this.mean.map((mean, i) => mean + delta[i] / this.count);
+    const deltaAfter = vector.map((value, i) => value - this.mean[i]);
+    for (let i = 0; i < vector.length; i++) {
+      for (let j = 0; j < vector.length; j++) {
+        this.comoment[i][j] += delta[i] * deltaAfter[j];
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Sample covariance matrix
+   * @returns {Array<Array<number>>|null} Covariance, or null with fewer than 2 frames
+   */
+  getCovariance() {
+    if (this.count < 2) return null;
+    return this.comoment.map(row => row.map(value => value / (this.count - 1)));
+  }
+
+  /**
+   * Serializable form (stored with the calibration)
+   * @returns {{count: number, mean: Array<number>, covariance: Array<Array<number>>|null}}
+   */
+  toJSON() {
+    return { count: this.count, mean: this.mean, covariance: this.getCovariance() };
+  }
+
+  /**
+   * Restore statistics saved with toJSON
+   * @param {Object} data - Saved statistics
+   * @returns {FeatureStatistics}
+   */
+  static fromJSON(data) {
+    const statistics = new FeatureStatistics(data.mean.length);
+    statistics.count = data.count;
+    statistics.mean = [...data.mean];
+    if (data.covariance && data.count > 1) {
+      statistics.comoment = data.covariance.map(row => row.map(value => value * (data.count - 1)));
+    }
+    return statistics;
+  }
+}
+
+/**
+ * Accepts or rejects frames against the calibrated user's feature statistics,
+ * and keeps a rolling count of why frames were dropped
+ */
+export class OutlierRejector {
+  constructor(options = {}) {
+    const config = { ...CONFIG.outlierRejection, ...options };
+    this.rejectionSigma = config.rejectionSigma;
+    this.minSamples = config.minSamples;
+    this.regularization = config.regularization;
+    this.statsWindow = config.statsWindow;
+
+    this.statistics = null;
+    this.covariances = {};     // Regularized covariance per eye mode
+    this.history = [];         // Reason (or null if accepted) of recent frames
+  }
+
+  /**
+   * Use a user's calibration statistics (null: fall back to fixed thresholds)
+   * @param {FeatureStatistics|null} statistics - From CalibrationManager
+   */
+  setStatistics(statistics) {
+    this.statistics = statistics && statistics.count >= this.minSamples ? statistics : null;
+    this.covariances = {};
+    if (statistics && !this.statistics) {
+      console.warn(`⚠️ Only ${statistics.count} calibration frames - using fixed feature thresholds`);
+    }
+  }
+
+  /**
+   * Whether frames are judged by learned statistics
+   * @returns {boolean}
+   */
+  isAdaptive() {
+    return this.statistics !== null;
+  }
+
+  /**
+   * Check one frame
+   * @param {Object|null} features - Features from extractEyeFeatures
+   * @param {string} eyeMode - One of EYE_MODES (defaults to the eye the features were extracted for)
+   * @returns {{valid: boolean, reason: string|null, distance: number|null}} distance is
+   *   the Mahalanobis distance (null with fixed thresholds)
+   */
+  check(features, eyeMode = features?.eye || EYE_MODES.BOTH) {
+    const result = this.evaluate(features, eyeMode);
+    this.history.push(result.reason);
+    if (this.history.length > this.statsWindow) {
+      this.history.shift();
+    }
+    return result;
+  }
+
+  evaluate(features, eyeMode) {
+    const vector = toStatisticVector(features);
+    if (!vector) {
+      return { valid: false, reason: REJECTION_REASONS.NO_FEATURES, distance: null };
+    }
+
+    const dimensions = MODE_DIMENSIONS[eyeMode] || MODE_DIMENSIONS[EYE_MODES.BOTH];
+    if (!dimensions.every(i => Number.isFinite(vector[i]))) {
+      return { valid: false, reason: REJECTION_REASONS.INVALID_VALUES, distance: null };
+    }
+
+    if (!this.statistics) {
+      const valid = areEyeFeaturesValid(features, eyeMode);
+      return { valid, reason: valid ? null : REJECTION_REASONS.FIXED_THRESHOLD, distance: null };
+    }
+
+    const covariance = this.getCovariance(eyeMode, dimensions);
+    const diff = dimensions.map(i => vector[i] - this.statistics.mean[i]);
+    const weighted = solveLinearSystem(covariance, diff);
+    const squared = diff.reduce((sum, d, k) => sum + d * weighted[k], 0);
+    const distance = Math.sqrt(Math.max(0, squared));
+
+    if (squared <= chiSquareThreshold(dimensions.length, this.rejectionSigma)) {
+      return { valid: true, reason: null, distance };
+    }
+    return { valid: false, reason: this.explain(diff, covariance, dimensions), distance };
+  }
+
+  /**
+   * Covariance of the checked dimensions, regularized so strongly correlated
+   * features (both irises move together) don't make tiny disagreements look extreme
+   */
+  getCovariance(eyeMode, dimensions) {
+    if (!this.covariances[eyeMode]) {
+      const full = this.statistics.getCovariance();
+      this.covariances[eyeMode] = dimensions.map((i, r) => dimensions.map((j, c) =>
+        r === c ? full[i][j] * (1 + this.regularization) + 1e-6 : full[i][j]
+      ));
+    }
+    return this.covariances[eyeMode];
+  }
+
+  /**
+   * Name the feature that deviates most (in standard deviations)
+   */
+  explain(diff, covariance, dimensions) {
+    let worst = 0;
+    diff.forEach((d, k) => {
+      if (Math.abs(d) / Math.sqrt(covariance[k][k]) > Math.abs(diff[worst]) / Math.sqrt(covariance[worst][worst])) {
+        worst = k;
+      }
+    });
+
+    const name = STATISTIC_FEATURES[dimensions[worst]];
+    if (name.endsWith('Aperture')) {
+      return diff[worst] < 0 ? REJECTION_REASONS.EYE_CLOSED : REJECTION_REASONS.OUTLIER;
+    }
+    if (name.includes('Iris')) {
+      return REJECTION_REASONS.IRIS_OFFSET;
+    }
+    return REJECTION_REASONS.ASYMMETRY;
+  }
+
+  /**
+   * Rejection statistics over the recent frames
+   * @returns {{frames: number, rejected: number, rejectRate: number,
+   *   reasons: Object<string, number>, adaptive: boolean}} reasons counts rejected frames per reason
+   */
+  getStats() {
+    const reasons = {};
+    this.history.forEach(reason => {
+      if (reason) reasons[reason] = (reasons[reason] || 0) + 1;
+    });
+    const rejected = this.history.filter(Boolean).length;
+    return {
+      frames: this.history.length,
+      rejected,
+      rejectRate: this.history.length > 0 ? rejected / this.history.length : 0,
+      reasons,
+      adaptive: this.isAdaptive()
+    };
+  }
+
+  /**
+   * Forget the recent rejection history (statistics are kept)
+   */
+  reset() {
+    this.history = [];
+  }
+}
+
+// Export singleton instance
+export const outlierRejector = new OutlierRejector();
+
+export default OutlierRejector;
@@ -1,9 +1,40 @@
 /**
  * Gaze Prediction Module for NovaVista FreeGaze
  * TensorFlow.js neural network for gaze coordinate prediction
+ *
+ * Inputs and outputs are standardized with statistics from the calibration
+ * (see featureNormalization.js), saved with the model and applied in predict.
  */
 
 import * as tf from '@tensorflow/tfjs';
+import { CONFIG } from '../config/config';
+import {
+  getFeatureExtractor,
+  describeFeatureExtractor,
+  findMatchingFeatureExtractor,
+  inferLegacyFeatureExtractor,
+  FeatureExtractorMismatchError
+} from './featureExtractors';
+import {
+  computeNormalization,
+  normalizeFeatures,
+  normalizeTarget,
+  denormalizeOutput,
+  isValidNormalization
+} from './featureNormalization';
+import { getViewportGeometry } from './coordinates';
+
+/**
+ * Rows in random order, so a validation split (taken from the end) holds
+ * frames of every point instead of whole points
+ */
+function shuffle(rows) {
+  for (let i = rows.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rows[i], rows[j]] = [rows[j], rows[i]];
+  }
+  return rows;
+}
 
 /**
  * GazePredictionModel class
@@ -14,43 +45,17 @@ class GazePredictionModel {
     this.model = null;
     this.isTrained = false;
     this.trainingHistory = null;
+    this.featureExtractor = null;   // {id, version, inputSize} the model was trained with
+    this.normalization = null;      // Input/output statistics from the calibration
   }
 
   /**
    * Create neural network model
-   * Architecture: 8 inputs -> 64 -> 32 -> 2 outputs (X, Y)
+   * Architecture: 8 inputs (14 with head pose) -> 64 -> 32 -> 2 outputs (X, Y)
+   * @param {number} inputSize - Length of the feature vector
    */
-  createModel() {
-    const model = tf.sequential({
-      layers: [
-        // Input layer: 8 features (iris X/Y, aperture for both eyes, symmetry)
-        tf.layers.dense({
-          units: 64,
-          activation: 'relu',
-          inputShape: [8],
-          kernelInitializer: 'heNormal'
-        }),
-        
-        // Dropout for regularization
-        tf.layers.dropout({ rate: 0.2 }),
-        
-        // Hidden layer
-        tf.layers.dense({
-          units: 32,
-          activation: 'relu',
-          kernelInitializer: 'heNormal'
-        }),
-        
-        // Dropout
-        tf.layers.dropout({ rate: 0.1 }),
-        
-        // Output layer: X and Y coordinates
-        tf.layers.dense({
-          units: 2,
-          activation: 'linear'  // Linear for regression
-        })
-      ]
-    });
+  createModel(inputSize = 8) {
+    const model = tf.sequential({ layers: this.buildLayers(inputSize) });
 
     // Compile model
     model.compile({
@@ -66,33 +71,85 @@ class GazePredictionModel {
     return model;
   }
 
+  /**
+   * Network layers (overridden by model variants)
+   * @param {number} inputSize - Length of the feature vector
+   * @returns {Array} tf.layers
+   */
+  buildLayers(inputSize) {
+    return [
+      // Input layer: iris X/Y, aperture for both eyes, symmetry (+ optional head pose)
+      tf.layers.dense({
+        units: 64,
+        activation: 'relu',
+        inputShape: [inputSize],
+        kernelInitializer: 'heNormal'
+      }),
+      
+      // Dropout for regularization
+      tf.layers.dropout({ rate: 0.2 }),
+      
+      // Hidden layer
+      tf.layers.dense({
+        units: 32,
+        activation: 'relu',
+        kernelInitializer: 'heNormal'
+      }),
+      
+      // Dropout
+      tf.layers.dropout({ rate: 0.1 }),
+      
+      // Output layer: X and Y coordinates
+      tf.layers.dense({
+        units: 2,
+        activation: 'linear'  // Linear for regression
+      })
+    ];
+  }
+
   /**
    * Train model on calibration data
-   * @param {Array} calibrationData - Array of {features, targetX, targetY}
-   * @param {Object} options - Training options
+   * Every raw sample of a point is a training row (points without samples
+   * train on their mean features).
+   * @param {Array} calibrationData - Array of {features, targetX, targetY}, with
+   *   optional {samples} raw feature vectors and {featureVariance}
+   * @param {Object} options - Training options ({featureExtractor} id defaults to
+   *   CONFIG.features.extractor and must match the calibration features;
+   *   {screenSize} is the {width, height} of the space the targets are labeled in,
+   *   defaulting to the screen - see coordinates.js)
    * @returns {Promise<Object>} Training history
    */
   async train(calibrationData, options = {}) {
-    if (!this.model) {
-      this.createModel();
+    const minPoints = CONFIG.calibration.minPointsRequired;
+    if (calibrationData.length < minPoints) {
+      throw new Error(`Need at least ${minPoints} calibration points`);
     }
 
-    if (calibrationData.length < 9) {
-      throw new Error('Need at least 9 calibration points');
+    const extractor = getFeatureExtractor(options.featureExtractor || CONFIG.features.extractor);
+    const inputSize = extractor.inputSize;
+    const rows = shuffle(calibrationData.flatMap(point => point.samples?.length > 0
+      ? point.samples.map(features => ({ features, targetX: point.targetX, targetY: point.targetY }))
+      : [point]));
+    const wrongSize = rows.find(d => d.features.length !== inputSize);
+    if (wrongSize) {
+      throw new Error(
+        `Calibration features have ${wrongSize.features.length} values, but feature ` +
+        `extractor "${extractor.id}" produces ${inputSize}`
+      );
     }
 
-    console.log(`📚 Training with ${calibrationData.length} data points...`);
+    // (Re)create the model if the feature vector length changed
+    if (!this.model || this.model.inputs[0].shape[1] !== inputSize) {
+      this.dispose();
+      this.createModel(inputSize);
+    }
 
-    // Prepare training data
-    const features = calibrationData.map(d => d.features);
-    const targetsX = calibrationData.map(d => d.targetX);
-    const targetsY = calibrationData.map(d => d.targetY);
+    console.log(`📚 Training with ${rows.length} samples from ${calibrationData.length} points...`);
 
-    // Convert to tensors
-    const xTensor = tf.tensor2d(features);
-    const yTensor = tf.tensor2d(
-      calibrationData.map(d => [d.targetX, d.targetY])
-    );
+    // Standardize features and targets with this calibration's statistics
+    const screenSize = options.screenSize ||
+      (typeof window !== 'undefined' ? getViewportGeometry(window).screen : null);
+    const normalization = computeNormalization(calibrationData, screenSize);
 
     // Training options
     const {
@@ -102,7 +159,17 @@ class GazePredictionModel {
       verbose = 1
     } = options;
 
+    let xTensor = null;
+    let yTensor = null;
     try {
+      // Convert to tensors
+      xTensor = tf.tensor2d(
+        rows.map(d => normalizeFeatures(d.features, normalization))
+      );
+      yTensor = tf.tensor2d(
+        rows.map(d => normalizeTarget(d.targetX, d.targetY, normalization))
+      );
+
       // Train the model
       const history = await this.model.fit(xTensor, yTensor, {
         epochs,
@@ -113,9 +180,10 @@ class GazePredictionModel {
         callbacks: {
           onEpochEnd: (epoch, logs) => {
             if (epoch % 10 === 0) {
+              // No val_loss when training without a validation split
               console.log(
-                `Epoch ${epoch}: loss = ${logs.loss.toFixed(4)}, ` +
-                `val_loss = ${logs.val_loss.toFixed(4)}`
+                `Epoch ${epoch}: loss = ${logs.loss.toFixed(4)}` +
+                (logs.val_loss !== undefined ? `, val_loss = ${logs.val_loss.toFixed(4)}` : '')
               );
             }
           }
@@ -124,26 +192,33 @@ class GazePredictionModel {
 
       this.isTrained = true;
       this.trainingHistory = history;
+      this.featureExtractor = describeFeatureExtractor(extractor);
+      this.normalization = normalization;
+      this.model.setUserDefinedMetadata({
+        featureExtractor: this.featureExtractor,
+        normalization: this.normalization
+      });
       
       console.log('✅ Model trained successfully!');
       console.log(`Final loss: ${history.history.loss[history.history.loss.length - 1].toFixed(4)}`);
 
-      // Cleanup tensors
-      xTensor.dispose();
-      yTensor.dispose();
-
       return history;
 
     } catch (error) {
       console.error('❌ Training failed:', error);
       throw error;
+    } finally {
+      // Cleanup tensors (also when fitting or validation failed)
+      xTensor?.dispose();
+      yTensor?.dispose();
     }
   }
 
   /**
    * Predict gaze coordinates from eye features
-   * @param {Array} featureVector - 8-element feature array
-   * @returns {Object} {x, y} screen coordinates
+   * @param {Array} featureVector - Raw feature array (same length as used for training)
+   * @returns {Object} {x, y} as fractions of the screen width/height (0-1 on screen;
+   *   multiply by the current screen size for pixels)
    */
   predict(featureVector) {
     if (!this.model || !this.isTrained) {
@@ -152,8 +227,8 @@ class GazePredictionModel {
     }
 
     try {
-      // Convert to tensor
-      const inputTensor = tf.tensor2d([featureVector]);
+      // Convert to tensor (standardized like the training data)
+      const inputTensor = tf.tensor2d([normalizeFeatures(featureVector, this.normalization)]);
       
       // Predict
       const prediction = this.model.predict(inputTensor);
@@ -165,10 +240,7 @@ class GazePredictionModel {
       inputTensor.dispose();
       prediction.dispose();
 
-      return {
-        x: result[0],
-        y: result[1]
-      };
+      return denormalizeOutput(result, this.normalization);
 
     } catch (error) {
       console.error('❌ Prediction failed:', error);
@@ -198,18 +270,81 @@ class GazePredictionModel {
 
   /**
    * Load model from localStorage
-   * @returns {Promise<boolean>} Success status
+   * A model trained with a different feature extractor is refused: its
+   * predictions would be meaningless even when the vector length matches.
+   * @param {string|Array<string>} featureExtractorId - Extractor(s) the app accepts
+   *   (defaults to CONFIG.features.extractor; several in auto eye mode)
+   * @returns {Promise<boolean>} True if loaded, false if there is no saved model
+   * @throws {FeatureExtractorMismatchError} If the saved model uses another extractor
    */
-  async loadModel() {
+  async loadModel(featureExtractorId = CONFIG.features.extractor) {
+    let model;
     try {
-      this.model = await tf.loadLayersModel('localstorage://novavista-freegaze-model');
-      this.isTrained = true;
-      console.log('✅ Model loaded from localStorage');
-      return true;
+      model = await tf.loadLayersModel('localstorage://novavista-freegaze-model');
     } catch (error) {
       console.warn('ℹ️ No saved model found');
       return false;
     }
+
+    const metadata = model.getUserDefinedMetadata() || {};
+    const saved = metadata.featureExtractor ||
+      inferLegacyFeatureExtractor(model.inputs[0].shape[1]);
+
+    if (!findMatchingFeatureExtractor(saved, featureExtractorId)) {
+      const expected = getFeatureExtractor([].concat(featureExtractorId)[0]);
+      model.dispose();
+      const error = new FeatureExtractorMismatchError(
+        'model',
+        saved || { id: 'unknown', version: 0, inputSize: model.inputs[0].shape[1] },
+        describeFeatureExtractor(expected)
+      );
+      console.warn(`⚠️ ${error.message}`);
+      throw error;
+    }
+
+    // Models from before standardization predicted raw pixels of an unknown screen
+    if (!isValidNormalization(metadata.normalization, model.inputs[0].shape[1])) {
+      model.dispose();
+      console.warn('⚠️ Saved model has no normalization statistics - please recalibrate');
+      return false;
+    }
+
+    this.dispose();
+    this.model = model;
+    this.isTrained = true;
+    this.featureExtractor = saved;
+    this.normalization = metadata.normalization;
+    console.log(`✅ Model loaded from localStorage (features: ${saved.id} v${saved.version})`);
+    return true;
+  }
+
+  /**
+   * Measure prediction error on labelled samples (e.g. held-out calibration
+   * points), to compare feature extractors and model variants
+   * @param {Array} samples - Array of {features, targetX, targetY} (targets in
+   *   pixels of the calibration screen)
+   * @returns {{meanError: number, maxError: number, count: number}|null} Errors in
+   *   calibration screen pixels, or null if the model is not ready
+   */
+  evaluate(samples) {
+    if (!this.isReady() || samples.length === 0) {
+      return null;
+    }
+
+    const { screen } = this.normalization;
+    const outputs = tf.tidy(() => this.model.predict(
+      tf.tensor2d(samples.map(s => normalizeFeatures(s.features, this.normalization)))
+    ).arraySync());
+    const errors = outputs.map((output, i) => {
+      const { x, y } = denormalizeOutput(output, this.normalization);
+      return Math.hypot(x * screen.width - samples[i].targetX, y * screen.height - samples[i].targetY);
+    });
+
+    return {
+      meanError: errors.reduce((sum, e) => sum + e, 0) / errors.length,
+      maxError: Math.max(...errors),
+      count: errors.length
+    };
   }
 
   /**
@@ -228,6 +363,8 @@ class GazePredictionModel {
       this.model.dispose();
       this.model = null;
       this.isTrained = false;
+      this.featureExtractor = null;
+      this.normalization = null;
       console.log('🗑️ Model disposed');
     }
   }
@@ -240,6 +377,8 @@ class GazePredictionModel {
     return {
       created: this.model !== null,
       trained: this.isTrained,
+      featureExtractor: this.featureExtractor,
+      calibrationScreen: this.normalization?.screen || null,
       trainingLoss: this.trainingHistory
         ? this.trainingHistory.history.loss[this.trainingHistory.history.loss.length - 1]
         : null
@@ -247,7 +386,74 @@ class GazePredictionModel {
   }
 }
 
-// Export singleton instance
-export const gazePredictionModel = new GazePredictionModel();
+/**
+ * EyePatchGazeModel class
+ * Small CNN over the eye patches of an image feature extractor (e.g.
+ * 'eye_patch_v1'). The flat feature vector holds the left then the right
+ * patch, row-major; the network sees them as one image with two channels.
+ */
+export class EyePatchGazeModel extends GazePredictionModel {
+  /**
+   * @param {Object} patch - {width, height} of each eye patch in pixels
+   */
+  constructor(patch) {
+    super();
+    this.patch = patch;
+  }
+
+  buildLayers(inputSize) {
+    const { width, height } = this.patch;
+    if (inputSize !== 2 * width * height) {
+      throw new Error(`Eye patch model expects ${2 * width * height} features, got ${inputSize}`);
+    }
+
+    return [
+      // [left, right] patches -> height x width image with one channel per eye
+      tf.layers.reshape({ targetShape: [2, height, width], inputShape: [inputSize] }),
+      tf.layers.permute({ dims: [2, 3, 1] }),
+
+      // Two small conv blocks: eye/iris edges, then iris position
+      tf.layers.conv2d({ filters: 8, kernelSize: 3, padding: 'same', activation: 'relu', kernelInitializer: 'heNormal' }),
+      tf.layers.maxPooling2d({ poolSize: 2 }),
+      tf.layers.conv2d({ filters: 16, kernelSize: 3, padding: 'same', activation: 'relu', kernelInitializer: 'heNormal' }),
+      tf.layers.maxPooling2d({ poolSize: 2 }),
+
+      tf.layers.flatten(),
+      tf.layers.dense({ units: 32, activation: 'relu', kernelInitializer: 'heNormal' }),
+      tf.layers.dropout({ rate: 0.2 }),
+
+      // Output layer: X and Y coordinates
+      tf.layers.dense({ units: 2, activation: 'linear' })
+    ];
+  }
+}
+
+/**
+ * Create the model variant that fits a feature extractor
+ * @param {string} featureExtractorId - Extractor id (defaults to CONFIG.features.extractor)
+ * @returns {GazePredictionModel} Dense model for vector features, CNN for eye patches
+ */
+export function createGazePredictionModel(featureExtractorId = CONFIG.features.extractor) {
+  const extractor = getFeatureExtractor(featureExtractorId);
+  return extractor.patch ? new EyePatchGazeModel(extractor.patch) : new GazePredictionModel();
+}
+
+/**
+ * Check whether a model is the variant createGazePredictionModel picks for an extractor
+ * (the eye mode decides the calibration extractor, so it can differ from CONFIG)
+ * @param {GazePredictionModel} model - Model to check
+ * @param {string} featureExtractorId - Extractor id (defaults to CONFIG.features.extractor)
+ * @returns {boolean} True if the model can train on the extractor's features
+ */
+export function isModelVariantFor(model, featureExtractorId = CONFIG.features.extractor) {
+  const { patch } = getFeatureExtractor(featureExtractorId);
+  if (!(model instanceof EyePatchGazeModel)) {
+    return !patch;
+  }
+  return !!patch && model.patch.width === patch.width && model.patch.height === patch.height;
+}
+
+// Export singleton instance (variant chosen by CONFIG.features.extractor)
+export const gazePredictionModel = createGazePredictionModel();
 
 export default GazePredictionModel;
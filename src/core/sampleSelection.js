@@ -0,0 +1,49 @@
+/**
+ * Sample Selection Module for NovaVista FreeGaze
+ * Cleans the raw samples of a calibration point (point calibration) or of a
+ * stretch of the path (smooth pursuit) before they are averaged and trained on
+ */
+
+import { CONFIG } from '../config/config';
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Pick the usable raw samples of one calibration point
+ * The first samples are dropped (the eyes may still be moving to the target),
+ * then samples with any feature further than `outlierThreshold` robust standard
+ * deviations (1.4826 x MAD) from the point's median.
+ * @param {Array<Array<number>>} vectors - Feature vectors in collection order
+ * @param {Object} options - {trimStart}, {outlierThreshold} (default to CONFIG.calibration)
+ * @returns {{samples: Array<Array<number>>, trimmed: number, outliers: number}}
+ */
+export function selectCalibrationSamples(vectors, options = {}) {
+  const {
+    trimStart = CONFIG.calibration.trimStartSamples,
+    outlierThreshold = CONFIG.calibration.outlierThreshold
+  } = options;
+
+  // Never trim away more than half of the samples
+  const trimmed = Math.min(trimStart, Math.floor(vectors.length / 2));
+  const candidates = vectors.slice(trimmed);
+  if (candidates.length < 3) {
+    return { samples: candidates, trimmed, outliers: 0 };
+  }
+
+  const limits = candidates[0].map((_, i) => {
+    const values = candidates.map(v => v[i]);
+    const center = median(values);
+    const mad = median(values.map(v => Math.abs(v - center)));
+    // Features that don't vary at all can't have outliers worth dropping
+    return { center, maxDeviation: mad > 0 ? outlierThreshold * 1.4826 * mad : Infinity };
+  });
+  const samples = candidates.filter(v =>
+    v.every((value, i) => Math.abs(value - limits[i].center) <= limits[i].maxDeviation)
+  );
+
+  return { samples, trimmed, outliers: candidates.length - samples.length };
+}
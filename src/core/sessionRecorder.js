@@ -0,0 +1,202 @@
+/**
+ * Session Recorder Module for NovaVista FreeGaze
+ * Records FaceMesh results to JSONL and replays them through the pipeline
+ *
+ * File format (one JSON object per line):
+ * - {"type":"header","version":1,"startedAt":...,"video":{"width":640,"height":480}}
+ * - {"type":"frame","t":12.3,"faces":[[[x,y,z], ...478 points], ...]}
+ * - {"type":"target","t":40.1,"x":128,"y":72}       (calibration point shown)
+ * - {"type":"target_done","t":2100.4}                (calibration point finished)
+ *
+ * `t` is milliseconds since the recording started; target `x`/`y` are screen pixels.
+ */
+
+const RECORDING_VERSION = 1;
+const PRECISION = 1e5; // 5 decimals keeps sub-pixel accuracy at a fraction of the size
+
+function round(value) {
+  return Math.round((value || 0) * PRECISION) / PRECISION;
+}
+
+/**
+ * SessionRecorder class
+ * Captures raw FaceMesh results (before landmark smoothing) and calibration targets
+ */
+export class SessionRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.events = [];
+    this.header = null;
+    this.startTime = 0;
+  }
+
+  /**
+   * Start a new recording
+   * @param {Object} video - {width, height} of the processed frames
+   */
+  start(video = {}) {
+    this.events = [];
+    this.startTime = performance.now();
+    this.header = {
+      type: 'header',
+      version: RECORDING_VERSION,
+      startedAt: Date.now(),
+      video: { width: video.width || 0, height: video.height || 0 }
+    };
+    this.isRecording = true;
+    console.log('⏺️ Session recording started');
+  }
+
+  /**
+   * Stop recording
+   * @returns {number} Number of recorded events
+   */
+  stop() {
+    this.isRecording = false;
+    console.log(`⏹️ Session recording stopped: ${this.events.length} events`);
+    return this.events.length;
+  }
+
+  elapsed() {
+    return Math.round((performance.now() - this.startTime) * 10) / 10;
+  }
+
+  /**
+   * Record a FaceMesh results object
+   * Landmarks are copied, so later in-place smoothing does not affect the recording.
+   * @param {Object} results - FaceMesh results
+   */
+  recordFrame(results) {
+    if (!this.isRecording) return;
+
+    const faces = (results.multiFaceLandmarks || []).map(landmarks =>
+      landmarks.map(p => [round(p.x), round(p.y), round(p.z)])
+    );
+    this.events.push({ type: 'frame', t: this.elapsed(), faces });
+  }
+
+  /**
+   * Record the calibration target currently shown
+   * @param {number} x - Target X (screen pixels, like calibration targets - see coordinates.js)
+   * @param {number} y - Target Y (screen pixels)
+   */
+  recordTarget(x, y) {
+    if (!this.isRecording) return;
+    this.events.push({ type: 'target', t: this.elapsed(), x, y });
+  }
+
+  /**
+   * Record that the current calibration target is finished
+   */
+  recordTargetDone() {
+    if (!this.isRecording) return;
+    this.events.push({ type: 'target_done', t: this.elapsed() });
+  }
+
+  /**
+   * Serialize the recording
+   * @returns {string} JSONL text
+   */
+  toJSONL() {
+    if (!this.header) return '';
+    return [this.header, ...this.events].map(e => JSON.stringify(e)).join('\n') + '\n';
+  }
+
+  /**
+   * Download the recording as a .jsonl file
+   * @param {string} filename - File name
+   */
+  download(filename = `freegaze-session-${Date.now()}.jsonl`) {
+    const blob = new Blob([this.toJSONL()], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Parse a JSONL session recording
+ * @param {string} text - JSONL text
+ * @returns {{header: Object, events: Array}} Parsed recording
+ */
+export function parseSessionRecording(text) {
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    throw new Error('Empty session recording');
+  }
+
+  const header = JSON.parse(lines[0]);
+  if (header.type !== 'header' || header.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported session recording (version ${header.version})`);
+  }
+
+  const events = lines.slice(1).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid session recording at line ${i + 2}: ${error.message}`);
+    }
+  });
+
+  return { header, events };
+}
+
+/**
+ * Convert a recorded frame back into a FaceMesh-like results object
+ * @param {Object} frame - Frame event
+ * @param {Object} header - Recording header
+ * @returns {Object} Results with multiFaceLandmarks, image size and timestamp
+ */
+export function frameToResults(frame, header) {
+  return {
+    multiFaceLandmarks: frame.faces.map(face =>
+      face.map(([x, y, z]) => ({ x, y, z }))
+    ),
+    image: { ...header.video },
+    timestamp: header.startedAt + frame.t,
+    replay: true
+  };
+}
+
+/**
+ * Replay a recording through a results callback
+ * Without `realtime`, events are delivered synchronously and in order, which
+ * makes replays deterministic in tests.
+ * @param {{header: Object, events: Array}} recording - Parsed recording
+ * @param {Function} onResults - Called with FaceMesh-like results for each frame
+ * @param {Object} options - {realtime, onTarget(x, y, t), onTargetDone(t)}
+ * @returns {Promise<number>} Number of replayed frames
+ */
+export async function replaySession(recording, onResults, options = {}) {
+  const { realtime = false, onTarget, onTargetDone } = options;
+  const { header, events } = recording;
+  let frames = 0;
+  let previousT = events.length > 0 ? events[0].t : 0;
+
+  for (const event of events) {
+    const delay = event.t - previousT;
+    if (realtime && delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    previousT = event.t;
+
+    if (event.type === 'frame') {
+      onResults(frameToResults(event, header));
+      frames++;
+    } else if (event.type === 'target' && onTarget) {
+      onTarget(event.x, event.y, header.startedAt + event.t);
+    } else if (event.type === 'target_done' && onTargetDone) {
+      onTargetDone(header.startedAt + event.t);
+    }
+  }
+
+  return frames;
+}
+
+// Export singleton instance
+export const sessionRecorder = new SessionRecorder();
+
+export default SessionRecorder;
@@ -0,0 +1,251 @@
+/**
+ * Smooth Pursuit Calibration Module for NovaVista FreeGaze
+ * A target moves along a path and the user follows it with their eyes, so
+ * every frame is a calibration sample at a different gaze position
+ *
+ * The eyes trail a moving target by roughly 100 ms, so a frame recorded while
+ * the target was at A actually shows the eyes looking at a position the target
+ * passed earlier. labelPursuitSamples moves every label back by that lag,
+ * estimated per user by finding the lag at which the features predict the
+ * targets best. The relabelled frames are then averaged per stretch of the
+ * path, so each calibration point stands for several frames.
+ */
+
+import { CONFIG } from '../config/config';
+import { solveLinearSystem } from '../utils/linearAlgebra';
+import { selectCalibrationSamples } from './sampleSelection';
+
+// Path name -> position (percent of the screen) at progress t in [0, 1],
+// spanning `margin`..100-`margin`
+const PATHS = {
+  // 3:2 Lissajous figure, starting at the top center
+  lissajous: (t, margin) => {
+    const radius = 50 - margin;
+    const angle = 2 * Math.PI * t;
+    return {
+      x: 50 + radius * Math.sin(3 * angle),
+      y: 50 - radius * Math.cos(2 * angle)
+    };
+  },
+  // Three turns outwards from the center
+  spiral: (t, margin) => {
+    const radius = (50 - margin) * t;
+    const angle = 2 * Math.PI * 3 * t;
+    return {
+      x: 50 + radius * Math.sin(angle),
+      y: 50 - radius * Math.cos(angle)
+    };
+  }
+};
+
+/**
+ * Names of the selectable pursuit paths
+ */
+export const PURSUIT_PATHS = Object.keys(PATHS);
+
+/**
+ * Target position on a pursuit path
+ * @param {string} path - One of PURSUIT_PATHS
+ * @param {number} progress - 0 (start) to 1 (end), clamped
+ * @param {Object} options - {margin} in percent (defaults to CONFIG.pursuit.margin)
+ * @returns {{x: number, y: number}} Position in percent of the screen
+ */
+export function getPursuitPosition(path, progress, options = {}) {
+  const { margin = CONFIG.pursuit.margin } = options;
+  const position = PATHS[path];
+  if (!position) {
+    throw new Error(`Unknown pursuit path "${path}". Available: ${PURSUIT_PATHS.join(', ')}`);
+  }
+  return position(Math.min(1, Math.max(0, progress)), margin);
+}
+
+/**
+ * Target position at a given time, interpolated from the recorded samples
+ * @param {Array} samples - {targetX, targetY, timestamp}, in time order
+ * @param {number} time - Timestamp (ms)
+ * @returns {{x: number, y: number}|null} null outside the recorded time span
+ */
+function targetAt(samples, time) {
+  if (time < samples[0].timestamp || time > samples[samples.length - 1].timestamp) return null;
+  let i = 1;
+  while (i < samples.length - 1 && samples[i].timestamp < time) i++;
+  const a = samples[i - 1];
+  const b = samples[i];
+  const span = b.timestamp - a.timestamp;
+  const w = span > 0 ? (time - a.timestamp) / span : 0;
+  return {
+    x: a.targetX + (b.targetX - a.targetX) * w,
+    y: a.targetY + (b.targetY - a.targetY) * w
+  };
+}
+
+/**
+ * Label each sample with where the target was `lag` ms before it was recorded
+ * @param {Array} samples - {features, targetX, targetY, timestamp, viewingDistance}
+ * @param {number} lag - Eye lag in ms
+ * @param {number} settleTime - Drop samples from the first ms of the recording
+ * @returns {Array} {features, targetX, targetY, timestamp, viewingDistance}
+ */
+function relabel(samples, lag, settleTime) {
+  const start = samples[0].timestamp + settleTime;
+  return samples
+    .filter(s => s.timestamp >= start)
+    .map(s => ({ sample: s, target: targetAt(samples, s.timestamp - lag) }))
+    .filter(({ target }) => target)
+    .map(({ sample, target }) => ({
+      features: sample.features,
+      targetX: target.x,
+      targetY: target.y,
+      timestamp: sample.timestamp,
+      viewingDistance: sample.viewingDistance ?? null
+    }));
+}
+
+/**
+ * RMS error of a ridge-regularized linear fit of the targets from the
+ * (standardized) features - lower means the labels fit the eyes better
+ */
+function linearFitError(rows) {
+  const dims = rows[0].features.length;
+  const mean = new Array(dims).fill(0).map((_, i) => rows.reduce((sum, r) => sum + r.features[i], 0) / rows.length);
+  const std = mean.map((m, i) =>
+    Math.sqrt(rows.reduce((sum, r) => sum + (r.features[i] - m) ** 2, 0) / rows.length) || 1
+  );
+  const x = rows.map(r => [...r.features.map((v, i) => (v - mean[i]) / std[i]), 1]);
+  const n = dims + 1;
+
+  // Ridge term keeps collinear features (e.g. symmetry = difference of others) solvable
+  const xtx = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) =>
+    x.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j ? 1e-3 * rows.length : 0)
+  ));
+  const fit = (targets) => solveLinearSystem(xtx, new Array(n).fill(0).map((_, i) =>
+    x.reduce((sum, row, k) => sum + row[i] * targets[k], 0)
+  ));
+  const wx = fit(rows.map(r => r.targetX));
+  const wy = fit(rows.map(r => r.targetY));
+
+  const dot = (w, row) => w.reduce((sum, wi, i) => sum + wi * row[i], 0);
+  const squared = x.reduce((sum, row, k) =>
+    sum + (dot(wx, row) - rows[k].targetX) ** 2 + (dot(wy, row) - rows[k].targetY) ** 2, 0);
+  return Math.sqrt(squared / rows.length);
+}
+
+/**
+ * Estimate how far the eyes trail the target
+ * @param {Array} samples - Recorded pursuit samples (see labelPursuitSamples)
+ * @param {Object} options - {maxLag}, {lagStep}, {defaultLag}, {settleTime} in ms
+ *   (default to CONFIG.pursuit)
+ * @returns {number} Lag in ms (defaultLag if it can't be estimated)
+ */
+export function estimatePursuitLag(samples, options = {}) {
+  const {
+    maxLag = CONFIG.pursuit.maxLag,
+    lagStep = CONFIG.pursuit.lagStep,
+    defaultLag = CONFIG.pursuit.defaultLag,
+    settleTime = CONFIG.pursuit.settleTime
+  } = options;
+
+  // A linear fit over large image features (eye patches) is too slow and says little
+  const dims = samples[0]?.features.length || 0;
+  if (dims === 0 || dims > 32) return defaultLag;
+
+  let best = { lag: defaultLag, error: Infinity };
+  for (let lag = 0; lag <= maxLag; lag += lagStep) {
+    const rows = relabel(samples, lag, settleTime);
+    if (rows.length <= dims + 1) continue;
+    const error = linearFitError(rows);
+    if (error < best.error) best = { lag, error };
+  }
+  return best.lag;
+}
+
+/**
+ * Split relabelled samples into stretches of the path
+ * Path progress grows linearly with time, so equal time spans are equal
+ * parts of the path; parts the eyes didn't follow stay empty.
+ * @param {Array} rows - {features, targetX, targetY, timestamp, viewingDistance} in recording order
+ * @param {number} segmentDuration - ms of the path per stretch
+ * @returns {Array<Array>} Non-empty stretches in path order
+ */
+function splitIntoSegments(rows, segmentDuration) {
+  const segments = new Map();
+  rows.forEach(row => {
+    const index = Math.floor((row.timestamp - rows[0].timestamp) / segmentDuration);
+    if (!segments.has(index)) segments.set(index, []);
+    segments.get(index).push(row);
+  });
+  return [...segments.values()];
+}
+
+/**
+ * Deviation of each feature from its straight-line trend over a stretch
+ * (the features drift with the moving target, so they can't be compared to
+ * their median directly)
+ * @param {Array<Array<number>>} vectors - Feature vectors in recording order
+ * @returns {Array<Array<number>>} Residual vectors
+ */
+function detrend(vectors) {
+  const n = vectors.length;
+  const meanIndex = (n - 1) / 2;
+  const indexSpread = vectors.reduce((sum, _, k) => sum + (k - meanIndex) ** 2, 0);
+  const trends = vectors[0].map((_, i) => {
+    const mean = vectors.reduce((sum, v) => sum + v[i], 0) / n;
+    const slope = indexSpread > 0
+      ? vectors.reduce((sum, v, k) => sum + (k - meanIndex) * (v[i] - mean), 0) / indexSpread
+      : 0;
+    return { mean, slope };
+  });
+  return vectors.map((v, k) => v.map((value, i) => value - trends[i].mean - trends[i].slope * (k - meanIndex)));
+}
+
+/**
+ * Average one stretch of the path into a calibration point
+ * Outlier frames are dropped like for fixed targets; the label is the mean
+ * target position of the frames kept.
+ * @param {Array} rows - Relabelled samples of the stretch
+ * @returns {Object} {targetX, targetY, features, samples, sampleCount, viewingDistance}
+ */
+function segmentToPoint(rows) {
+  // The first frames of a stretch aren't landing frames - nothing to trim
+  const residuals = detrend(rows.map(row => row.features));
+  const { samples: kept } = selectCalibrationSamples(residuals, { trimStart: 0 });
+  const used = rows.filter((_, k) => kept.includes(residuals[k]));
+  const samples = used.map(row => row.features);
+
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const distances = used.map(row => row.viewingDistance).filter(d => d !== null);
+  return {
+    targetX: mean(used.map(row => row.targetX)),
+    targetY: mean(used.map(row => row.targetY)),
+    features: samples[0].map((_, i) => mean(samples.map(vector => vector[i]))),
+    samples,
+    sampleCount: samples.length,
+    viewingDistance: distances.length > 0 ? mean(distances) : null
+  };
+}
+
+/**
+ * Turn a pursuit recording into lag-compensated calibration points
+ * @param {Array} samples - {features, targetX, targetY, timestamp, viewingDistance}
+ *   in recording order (as collected by CalibrationManager.addSample)
+ * @param {Object} options - {lag} in ms or 'auto', {duration} of the whole path
+ *   and {segmentCount}, plus estimatePursuitLag options (default to CONFIG.pursuit)
+ * @returns {{lag: number, points: Array}} One averaged calibration point per
+ *   stretch of the path
+ */
+export function labelPursuitSamples(samples, options = {}) {
+  const {
+    lag: configuredLag = CONFIG.pursuit.lag,
+    settleTime = CONFIG.pursuit.settleTime,
+    duration = CONFIG.pursuit.duration,
+    segmentCount = CONFIG.pursuit.segmentCount
+  } = options;
+  if (samples.length === 0) return { lag: 0, points: [] };
+
+  const lag = configuredLag === 'auto'
+    ? estimatePursuitLag(samples, { ...options, settleTime })
+    : configuredLag;
+
+  const points = splitIntoSegments(relabel(samples, lag, settleTime), duration / segmentCount).map(segmentToPoint);
+  return { lag, points };
+}
@@ -0,0 +1,244 @@
+/**
+ * Tracking Quality Module for NovaVista FreeGaze
+ * Combines face presence, landmark confidence, feature validity, head pose
+ * and frame rate into a single tracking state
+ *
+ * States:
+ * - good:        everything within limits
+ * - degraded:    tracking works but is unreliable (see `reasons`)
+ * - face_lost:   no face for longer than faceLostDelay
+ * - eyes_closed: both eyes closed (blink or long close)
+ * - reacquired:  face just came back, landmarks are still settling
+ */
+
+import { CONFIG } from '../config/config';
+import { areEyeFeaturesValid } from './featureExtraction';
+
+export const TRACKING_STATES = {
+  GOOD: 'good',
+  DEGRADED: 'degraded',
+  FACE_LOST: 'face_lost',
+  EYES_CLOSED: 'eyes_closed',
+  REACQUIRED: 'reacquired'
+};
+
+export const DEGRADED_REASONS = {
+  LOW_CONFIDENCE: 'low_landmark_confidence',
+  INVALID_FEATURES: 'invalid_features',
+  HEAD_POSE: 'extreme_head_pose',
+  LOW_FPS: 'low_fps'
+};
+
+// States in which gaze predictions must not move the cursor
+const FROZEN_STATES = [
+  TRACKING_STATES.FACE_LOST,
+  TRACKING_STATES.EYES_CLOSED,
+  TRACKING_STATES.REACQUIRED
+];
+
+/**
+ * Share of landmarks inside the camera frame
+ * MediaPipe keeps extrapolating landmarks for a face partly out of view, and
+ * those are guesses rather than measurements.
+ * @param {Array} landmarks - Face landmarks
+ * @returns {number} 0 to 1
+ */
+export function computeLandmarkConfidence(landmarks) {
+  if (!landmarks || landmarks.length === 0) return 0;
+
+  const inside = landmarks.filter(p => p.x >= 0 && p.x <= 1 && p.y >= 0 && p.y <= 1).length;
+  return inside / landmarks.length;
+}
+
+/**
+ * Check whether the cursor should stay where it is in a given state
+ * @param {string} state - One of TRACKING_STATES
+ * @returns {boolean}
+ */
+export function isTrackingFrozen(state) {
+  return FROZEN_STATES.includes(state);
+}
+
+/**
+ * TrackingQualityMonitor class
+ * Feed it every frame, with or without a face
+ */
+export class TrackingQualityMonitor {
+  constructor(options = {}) {
+    this.faceLostDelay = options.faceLostDelay ?? 200;
+    this.reacquireDuration = options.reacquireDuration ?? 500;
+    this.minLandmarkConfidence = options.minLandmarkConfidence ?? 0.9;
+    this.validityWindow = options.validityWindow || 30;
+    this.minValidRate = options.minValidRate ?? 0.6;
+    this.maxYaw = options.maxYaw || 30;
+    this.maxPitch = options.maxPitch || 25;
+    this.minFps = options.minFps || 15;
+
+    this.stateCallback = null;
+    this.reset();
+  }
+
+  /**
+   * Update with the current frame
+   * @param {Object} frame
+   * @param {Array|null} frame.landmarks - Primary face landmarks (null if no face)
+   * @param {Object|null} frame.features - Features from extractEyeFeatures
+   * @param {boolean} frame.featuresValid - Result of the app's feature validation
+   *   (defaults to areEyeFeaturesValid)
+   * @param {Object|null} frame.headPose - Result of estimateHeadPose
+   * @param {boolean} frame.eyesClosed - Both eyes closed (from the blink detector)
+   * @param {number} timestamp - Frame time (ms)
+   * @returns {string} Current state (one of TRACKING_STATES)
+   */
+  update(frame = {}, timestamp = Date.now()) {
+    this.updateFps(timestamp);
+
+    if (!frame.landmarks) {
+      // Single dropped frames are common; only report a loss that lasts
+      if (this.state !== TRACKING_STATES.FACE_LOST &&
+          timestamp - this.lastFaceAt >= this.faceLostDelay) {
+        this.validity = [];
+        this.setState(TRACKING_STATES.FACE_LOST, [], timestamp);
+      }
+      return this.state;
+    }
+
+    if (this.state === TRACKING_STATES.FACE_LOST) {
+      this.reacquiredAt = timestamp;
+    }
+    this.lastFaceAt = timestamp;
+
+    // Closed eyes make features invalid by design - don't count them
+    if (frame.eyesClosed) {
+      this.setState(TRACKING_STATES.EYES_CLOSED, [], timestamp);
+      return this.state;
+    }
+
+    this.validity.push(frame.featuresValid ?? areEyeFeaturesValid(frame.features));
+    if (this.validity.length > this.validityWindow) {
+      this.validity.shift();
+    }
+
+    const reasons = this.getDegradedReasons(frame);
+
+    if (this.reacquiredAt !== null && timestamp - this.reacquiredAt < this.reacquireDuration) {
+      this.setState(TRACKING_STATES.REACQUIRED, reasons, timestamp);
+    } else {
+      this.reacquiredAt = null;
+      this.setState(reasons.length > 0 ? TRACKING_STATES.DEGRADED : TRACKING_STATES.GOOD, reasons, timestamp);
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Reasons why tracking is currently unreliable
+   * @returns {Array<string>} Values from DEGRADED_REASONS
+   */
+  getDegradedReasons(frame) {
+    const reasons = [];
+
+    if (computeLandmarkConfidence(frame.landmarks) < this.minLandmarkConfidence) {
+      reasons.push(DEGRADED_REASONS.LOW_CONFIDENCE);
+    }
+
+    // Need a few frames before the rate means anything
+    if (this.validity.length >= Math.min(10, this.validityWindow) &&
+        this.getValidRate() < this.minValidRate) {
+      reasons.push(DEGRADED_REASONS.INVALID_FEATURES);
+    }
+
+    const { headPose } = frame;
+    if (headPose && (Math.abs(headPose.yaw) > this.maxYaw || Math.abs(headPose.pitch) > this.maxPitch)) {
+      reasons.push(DEGRADED_REASONS.HEAD_POSE);
+    }
+
+    if (this.fps !== null && this.fps < this.minFps) {
+      reasons.push(DEGRADED_REASONS.LOW_FPS);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Share of recent frames that passed feature validation
+   * @returns {number} 0 to 1 (1 before any frame was seen)
+   */
+  getValidRate() {
+    if (this.validity.length === 0) return 1;
+    return this.validity.filter(Boolean).length / this.validity.length;
+  }
+
+  /**
+   * Frame rate from frame timestamps (exponential moving average)
+   */
+  updateFps(timestamp) {
+    if (this.lastFrameAt !== null && timestamp > this.lastFrameAt) {
+      const instantFps = 1000 / (timestamp - this.lastFrameAt);
+      this.fps = this.fps === null ? instantFps : this.fps * 0.9 + instantFps * 0.1;
+    }
+    this.lastFrameAt = timestamp;
+  }
+
+  setState(state, reasons, timestamp) {
+    const previousState = this.state;
+    const reasonsChanged = reasons.join() !== this.reasons.join();
+    this.state = state;
+    this.reasons = reasons;
+
+    if (state !== previousState) {
+      console.log(`📶 Tracking ${previousState} -> ${state}${reasons.length ? ` (${reasons.join(', ')})` : ''}`);
+    }
+    if ((state !== previousState || reasonsChanged) && this.stateCallback) {
+      this.stateCallback({ state, previousState, reasons, timestamp });
+    }
+  }
+
+  /**
+   * Check whether the cursor should currently stay where it is
+   * @returns {boolean}
+   */
+  isFrozen() {
+    return isTrackingFrozen(this.state);
+  }
+
+  /**
+   * Current tracking status (for display)
+   * @returns {{state: string, reasons: Array<string>, validRate: number, fps: number|null}}
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      reasons: this.reasons,
+      validRate: this.getValidRate(),
+      fps: this.fps
+    };
+  }
+
+  /**
+   * Set state-change callback
+   * @param {Function} callback - Called with {state, previousState, reasons, timestamp}
+   *   whenever the state or its reasons change
+   */
+  onStateChange(callback) {
+    this.stateCallback = callback;
+  }
+
+  /**
+   * Reset to the initial state (no face seen yet)
+   */
+  reset() {
+    this.state = TRACKING_STATES.FACE_LOST;
+    this.reasons = [];
+    this.validity = [];
+    this.lastFaceAt = -Infinity;
+    this.lastFrameAt = null;
+    this.reacquiredAt = null;
+    this.fps = null;
+  }
+}
+
+// Export singleton instance
+export const trackingQualityMonitor = new TrackingQualityMonitor(CONFIG.trackingQuality);
+
+export default TrackingQualityMonitor;
@@ -0,0 +1,321 @@
+/**
+ * Synthetic Face Generator for NovaVista FreeGaze tests
+ * Produces a plausible 478-point FaceMesh result for a known head pose, eye
+ * openness and gaze target, so pipeline tests can assert against ground truth.
+ *
+ * World coordinates are in centimetres, camera at the origin looking down +Z,
+ * X to the right of the camera image and Y down. The screen lies in the Z = 0
+ * plane directly below the camera, facing the user.
+ */
+
+// Canonical head model (cm, relative to the point between the eyes).
+// "Left"/"right" follow the MediaPipe indices, i.e. the image side.
+const EYE_HALF_SPACING = 3.1;  // Half the interpupillary distance
+const EYE_HALF_WIDTH = 1.5;    // Half the corner-to-corner eye width
+const EYE_HALF_HEIGHT = 0.45;  // Half the lid opening for a fully open eye
+const EYEBALL_RADIUS = 1.2;
+const IRIS_RADIUS = 0.59;      // Human iris diameter is ~11.8 mm
+
+const CANONICAL_POINTS = {
+  // Face outline and midline (used for head pose and face size)
+  10: { x: 0, y: -7, z: 1 },       // Forehead
+  152: { x: 0, y: 11, z: 1 },      // Chin
+  1: { x: 0, y: 4, z: -2.5 },      // Nose tip
+  168: { x: 0, y: 0, z: -0.8 },    // Nose bridge
+  234: { x: -7, y: 1, z: 4 },      // Left face edge
+  454: { x: 7, y: 1, z: 4 },       // Right face edge
+  61: { x: -2.5, y: 7.5, z: -0.5 },  // Left mouth corner
+  291: { x: 2.5, y: 7.5, z: -0.5 }   // Right mouth corner
+};
+
+const DEFAULT_SCREEN = {
+  width: 1280,          // px
+  height: 800,          // px
+  pixelSize: 0.025,     // cm per px (~32 x 20 cm visible area)
+  offsetY: 1            // cm between the camera and the top edge of the screen
+};
+
+const DEFAULT_CAMERA = {
+  width: 640,           // px
+  height: 480,          // px
+  fov: 60               // Horizontal field of view (degrees)
+};
+
+/**
+ * Seeded PRNG (mulberry32) so noisy fixtures are reproducible
+ * @param {number} seed - Seed value
+ * @returns {Function} Returns uniform values in [0, 1)
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(random) {
+  const u = Math.max(random(), 1e-12);
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Rotate a point by yaw (around Y), pitch (around X) and roll (around Z)
+ */
+function rotate(point, { yaw = 0, pitch = 0, roll = 0 }) {
+  const [cy, sy] = [Math.cos(toRadians(yaw)), Math.sin(toRadians(yaw))];
+  const [cp, sp] = [Math.cos(toRadians(pitch)), Math.sin(toRadians(pitch))];
+  const [cr, sr] = [Math.cos(toRadians(roll)), Math.sin(toRadians(roll))];
+
+  // Roll
+  let x = point.x * cr - point.y * sr;
+  let y = point.x * sr + point.y * cr;
+  let z = point.z;
+  // Pitch
+  const y2 = y * cp - z * sp;
+  z = y * sp + z * cp;
+  y = y2;
+  // Yaw
+  const x2 = x * cy + z * sy;
+  z = -x * sy + z * cy;
+  x = x2;
+
+  return { x, y, z };
+}
+
+function add(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function normalize(v) {
+  const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+/**
+ * Convert a screen pixel into world coordinates
+ * The user's right is the camera's left, hence the flipped X axis.
+ * @param {number} px - Screen X (px)
+ * @param {number} py - Screen Y (px)
+ * @param {Object} screen - Screen geometry
+ * @returns {Object} World point {x, y, z}
+ */
+export function screenToWorld(px, py, screen = DEFAULT_SCREEN) {
+  return {
+    x: -(px - screen.width / 2) * screen.pixelSize,
+    y: screen.offsetY + py * screen.pixelSize,
+    z: 0
+  };
+}
+
+/**
+ * Fill the landmarks that carry no signal with points on a face-shaped ellipsoid
+ */
+function fillerPoint(index) {
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  const t = (index + 0.5) / 478;
+  const y = 1 - 2 * t;
+  const radius = Math.sqrt(1 - y * y);
+  const angle = index * golden;
+  return {
+    x: Math.cos(angle) * radius * 7,
+    y: y * 9 + 2,
+    z: 4 - Math.abs(Math.sin(angle)) * radius * 4
+  };
+}
+
+/**
+ * Build the head-relative model for one eye
+ */
+function buildEye(side, openness) {
+  const sign = side === 'left' ? -1 : 1;
+  const centerX = sign * EYE_HALF_SPACING;
+  const halfHeight = EYE_HALF_HEIGHT * openness;
+
+  return {
+    outer: { x: centerX + sign * EYE_HALF_WIDTH, y: 0, z: 0.3 },
+    inner: { x: centerX - sign * EYE_HALF_WIDTH, y: 0, z: 0.3 },
+    top: { x: centerX, y: -halfHeight, z: 0 },
+    bottom: { x: centerX, y: halfHeight, z: 0 },
+    eyeball: { x: centerX, y: 0, z: EYEBALL_RADIUS }
+  };
+}
+
+/**
+ * Generate a synthetic FaceMesh landmark set
+ * @param {Object} options
+ * @param {Object} options.gaze - Gaze target {x, y} in screen pixels
+ * @param {Object} options.eyeGaze - Per-eye gaze targets {left, right} overriding
+ *   options.gaze (image side), e.g. a deviating eye that doesn't follow the target
+ * @param {Object} options.headPose - {yaw, pitch, roll} in degrees
+ * @param {Object} options.headPosition - Point between the eyes {x, y, z} in cm
+ * @param {number|Object} options.eyeOpenness - 0 (closed) to 1 (open), or {left, right}
+ * @param {Object} options.faceShape - Face proportions {width, height} relative to the
+ *   canonical face (eyes stay fixed), to tell different people apart
+ * @param {number} options.noise - Gaussian landmark noise (normalized image units)
+ * @param {Function} options.random - PRNG from createRandom (needed when noise > 0)
+ * @param {Object} options.screen - Screen geometry (see DEFAULT_SCREEN)
+ * @param {Object} options.camera - Camera geometry (see DEFAULT_CAMERA)
+ * @returns {Array} 478 landmarks {x, y, z} in normalized image coordinates
+ */
+export function generateFaceLandmarks(options = {}) {
+  const screen = { ...DEFAULT_SCREEN, ...options.screen };
+  const camera = { ...DEFAULT_CAMERA, ...options.camera };
+  const gaze = options.gaze || { x: screen.width / 2, y: screen.height / 2 };
+  const headPose = options.headPose || {};
+  const headPosition = { x: 0, y: -1, z: 60, ...options.headPosition };
+  const noise = options.noise || 0;
+  const random = options.random || createRandom(1);
+  const faceShape = { width: 1, height: 1, ...options.faceShape };
+
+  const openness = typeof options.eyeOpenness === 'object'
+    ? options.eyeOpenness
+    : { left: options.eyeOpenness ?? 1, right: options.eyeOpenness ?? 1 };
+
+  const focalLength = (camera.width / 2) / Math.tan(toRadians(camera.fov / 2));
+  const toWorld = (point) => add(rotate(point, headPose), headPosition);
+  const project = (world) => {
+    const px = focalLength * world.x / world.z + camera.width / 2;
+    const py = focalLength * world.y / world.z + camera.height / 2;
+    return {
+      x: px / camera.width + (noise ? gaussian(random) * noise : 0),
+      y: py / camera.height + (noise ? gaussian(random) * noise : 0),
+      // MediaPipe reports depth relative to the face, on roughly the x scale
+      z: (world.z - headPosition.z) * focalLength / headPosition.z / camera.width
+    };
+  };
+
+  const landmarks = new Array(478);
+  for (let i = 0; i < 478; i++) {
+    const point = CANONICAL_POINTS[i] || fillerPoint(i);
+    landmarks[i] = project(toWorld({
+      x: point.x * faceShape.width,
+      y: point.y * faceShape.height,
+      z: point.z
+    }));
+  }
+
+  const gazeTarget = screenToWorld(gaze.x, gaze.y, screen);
+  const eyes = [
+    { side: 'left', corners: [33, 133, 159, 145], iris: [468, 469, 470, 471, 472] },
+    { side: 'right', corners: [263, 362, 386, 374], iris: [473, 474, 475, 476, 477] }
+  ];
+
+  eyes.forEach(({ side, corners, iris }) => {
+    const eye = buildEye(side, Math.max(0, openness[side]));
+    const eyeGaze = options.eyeGaze?.[side];
+    const target = eyeGaze ? screenToWorld(eyeGaze.x, eyeGaze.y, screen) : gazeTarget;
+    const [outer, inner, top, bottom] = corners;
+    landmarks[outer] = project(toWorld(eye.outer));
+    landmarks[inner] = project(toWorld(eye.inner));
+    landmarks[top] = project(toWorld(eye.top));
+    landmarks[bottom] = project(toWorld(eye.bottom));
+
+    // Iris sits on the eyeball surface, in the direction of the gaze target
+    const eyeballCenter = toWorld(eye.eyeball);
+    const direction = normalize({
+      x: target.x - eyeballCenter.x,
+      y: target.y - eyeballCenter.y,
+      z: target.z - eyeballCenter.z
+    });
+    const irisCenter = {
+      x: eyeballCenter.x + direction.x * EYEBALL_RADIUS,
+      y: eyeballCenter.y + direction.y * EYEBALL_RADIUS,
+      z: eyeballCenter.z + direction.z * EYEBALL_RADIUS
+    };
+
+    // Center, right, top, left, bottom (same order as LANDMARK_INDICES)
+    const offsets = [[0, 0], [IRIS_RADIUS, 0], [0, -IRIS_RADIUS], [-IRIS_RADIUS, 0], [0, IRIS_RADIUS]];
+    iris.forEach((index, i) => {
+      landmarks[index] = project({
+        x: irisCenter.x + offsets[i][0],
+        y: irisCenter.y + offsets[i][1],
+        z: irisCenter.z
+      });
+    });
+  });
+
+  return landmarks;
+}
+
+/**
+ * Generate a FaceMesh-like results object for one or more faces
+ * @param {...Object} faces - Options for generateFaceLandmarks, one per face
+ * @returns {Object} {multiFaceLandmarks}
+ */
+export function generateFaceMeshResults(...faces) {
+  return {
+    multiFaceLandmarks: faces.map(face => generateFaceLandmarks(face))
+  };
+}
+
+/**
+ * Render a simple camera image for a landmark set: flat skin, white eye
+ * openings bounded by the corners and lids, and a dark iris with a pupil.
+ * Enough structure for eye-patch features; nothing else is drawn.
+ * @param {Array} landmarks - From generateFaceLandmarks
+ * @param {Object} options - {camera} geometry, {brightness} factor (default 1)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} ImageData-like RGBA image
+ */
+export function renderFaceImage(landmarks, options = {}) {
+  const camera = { ...DEFAULT_CAMERA, ...options.camera };
+  const brightness = options.brightness ?? 1;
+  const { width, height } = camera;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  const setGray = (i, value) => {
+    const v = value * brightness;
+    data[i * 4] = v;
+    data[i * 4 + 1] = v;
+    data[i * 4 + 2] = v;
+    data[i * 4 + 3] = 255;
+  };
+  for (let i = 0; i < width * height; i++) setGray(i, 170);
+
+  const px = (p) => ({ x: p.x * width, y: p.y * height });
+  const eyes = [
+    { corners: [33, 133], lids: [159, 145], iris: [468, 469, 471] },
+    { corners: [263, 362], lids: [386, 374], iris: [473, 474, 476] }
+  ];
+
+  eyes.forEach(({ corners, lids, iris }) => {
+    const [a, b] = corners.map(i => px(landmarks[i]));
+    const [top, bottom] = lids.map(i => px(landmarks[i]));
+    const [irisCenter, irisRight, irisLeft] = iris.map(i => px(landmarks[i]));
+
+    const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    const angle = Math.atan2(b.y - a.y, b.x - a.x);
+    const halfWidth = Math.hypot(b.x - a.x, b.y - a.y) / 2;
+    const halfHeight = Math.max(Math.hypot(bottom.x - top.x, bottom.y - top.y) / 2, 0.01);
+    const irisRadius = Math.hypot(irisRight.x - irisLeft.x, irisRight.y - irisLeft.y) / 2;
+
+    const reach = Math.ceil(halfWidth + 2);
+    for (let y = Math.floor(center.y - reach); y <= center.y + reach; y++) {
+      for (let x = Math.floor(center.x - reach); x <= center.x + reach; x++) {
+        if (x < 0 || y < 0 || x >= width || y >= height) continue;
+
+        // Eye opening: ellipse aligned with the corners
+        const dx = x + 0.5 - center.x;
+        const dy = y + 0.5 - center.y;
+        const u = (dx * Math.cos(angle) + dy * Math.sin(angle)) / halfWidth;
+        const v = (-dx * Math.sin(angle) + dy * Math.cos(angle)) / halfHeight;
+        if (u * u + v * v > 1) continue;
+
+        const r = Math.hypot(x + 0.5 - irisCenter.x, y + 0.5 - irisCenter.y);
+        setGray(y * width + x, r < irisRadius * 0.4 ? 15 : r < irisRadius ? 70 : 235);
+      }
+    }
+  });
+
+  return { data, width, height };
+}
+
+export { DEFAULT_SCREEN, DEFAULT_CAMERA };
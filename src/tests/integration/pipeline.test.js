@@ -0,0 +1,271 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import * as tf from '@tensorflow/tfjs';
+import {
+  generateFaceLandmarks,
+  createRandom,
+  DEFAULT_SCREEN
+} from '../fixtures/syntheticFace';
+import { extractEyeFeatures, areEyeFeaturesValid, averageFeatures } from '../../core/featureExtraction';
+import { extractFeatures } from '../../core/featureExtractors';
+import CalibrationManager from '../../core/calibration';
+import GazePredictionModel from '../../core/prediction';
+import { GazeSmoother } from '../../utils/smoothing';
+import { DwellDetector } from '../../utils/dwellTimer';
+import { LandmarkFilter } from '../../utils/landmarkFilter';
+import { SessionRecorder, parseSessionRecording, replaySession } from '../../core/sessionRecorder';
+
+const { width, height } = DEFAULT_SCREEN;
+
+// Default 9-point calibration pattern (10% margin: 10/50/90%)
+const GRID = [0.1, 0.5, 0.9].flatMap(py =>
+  [0.1, 0.5, 0.9].map(px => ({ x: px * width, y: py * height }))
+);
+
+function calibrate(random, options = {}) {
+  const manager = new CalibrationManager();
+  manager.startCalibration();
+
+  GRID.forEach(target => {
+    for (let i = 0; i < 60; i++) {
+      const landmarks = generateFaceLandmarks({ gaze: target, noise: 0.0005, random, ...options });
+      manager.addSample(extractFeatures(landmarks), target.x, target.y);
+    }
+    manager.completeCurrentPoint();
+  });
+
+  return manager.finishCalibration();
+}
+
+// Mean iris offset of both eyes plus bias
+const irisRow = (vector) => [(vector[0] + vector[3]) / 2, (vector[1] + vector[4]) / 2, 1];
+
+/**
+ * Least-squares fit of targets from the mean iris offset
+ * Used as a model-independent check that the synthetic data carries the gaze signal.
+ */
+function fitLinear(points) {
+  const rows = points.map(p => irisRow(p.features));
+  const solve = (targets) => {
+    const n = rows[0].length;
+    const a = Array.from({ length: n }, (_, i) =>
+      Array.from({ length: n + 1 }, (_, j) => rows.reduce((sum, row, k) =>
+        sum + row[i] * (j < n ? row[j] : targets[k]), 0))
+    );
+    for (let col = 0; col < n; col++) {
+      const pivot = a[col][col];
+      for (let j = col; j <= n; j++) a[col][j] /= pivot;
+      for (let i = 0; i < n; i++) {
+        if (i === col) continue;
+        const factor = a[i][col];
+        for (let j = col; j <= n; j++) a[i][j] -= factor * a[col][j];
+      }
+    }
+    return a.map(row => row[n]);
+  };
+  const wx = solve(points.map(p => p.targetX));
+  const wy = solve(points.map(p => p.targetY));
+  return (vector) => {
+    const row = irisRow(vector);
+    const dot = (w) => w.reduce((sum, wi, i) => sum + wi * row[i], 0);
+    return { x: dot(wx), y: dot(wy) };
+  };
+}
+
+describe('Synthetic face pipeline', () => {
+  beforeAll(async () => {
+    await tf.setBackend('cpu');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('generateFaceLandmarks', () => {
+    it('should produce a full 478-point mesh inside the frame', () => {
+      const landmarks = generateFaceLandmarks();
+
+      expect(landmarks).toHaveLength(478);
+      landmarks.forEach(p => {
+        expect(p.x).toBeGreaterThan(0);
+        expect(p.x).toBeLessThan(1);
+        expect(p.y).toBeGreaterThan(0);
+        expect(p.y).toBeLessThan(1);
+      });
+    });
+
+    it('should move the iris features with the gaze target', () => {
+      const left = extractEyeFeatures(generateFaceLandmarks({ gaze: { x: 0, y: 400 } }));
+      const right = extractEyeFeatures(generateFaceLandmarks({ gaze: { x: width, y: 400 } }));
+      const top = extractEyeFeatures(generateFaceLandmarks({ gaze: { x: 640, y: 0 } }));
+      const bottom = extractEyeFeatures(generateFaceLandmarks({ gaze: { x: 640, y: height } }));
+
+      // The user's right is the camera's left
+      expect(left.normalized.leftIrisX).toBeGreaterThan(right.normalized.leftIrisX);
+      expect(bottom.normalized.leftIrisY).toBeGreaterThan(top.normalized.leftIrisY);
+    });
+
+    it('should be reproducible for the same seed', () => {
+      const a = generateFaceLandmarks({ noise: 0.001, random: createRandom(7) });
+      const b = generateFaceLandmarks({ noise: 0.001, random: createRandom(7) });
+      expect(a).toEqual(b);
+    });
+
+    it('should produce invalid features for closed eyes', () => {
+      const open = extractEyeFeatures(generateFaceLandmarks({ eyeOpenness: 1 }));
+      const closed = extractEyeFeatures(generateFaceLandmarks({ eyeOpenness: 0.05 }));
+
+      expect(areEyeFeaturesValid(open)).toBe(true);
+      expect(areEyeFeaturesValid(closed)).toBe(false);
+    });
+  });
+
+  describe('calibration', () => {
+    it('should keep the cleaned raw samples and their mean for each target', () => {
+      const points = calibrate(createRandom(1));
+
+      expect(points).toHaveLength(9);
+      points.forEach((point, i) => {
+        expect(point.targetX).toBe(GRID[i].x);
+        // First samples trimmed, the rest kept as raw training rows
+        expect(point.sampleCount).toBeLessThanOrEqual(54);
+        expect(point.sampleCount).toBeGreaterThan(45);
+        expect(point.samples).toHaveLength(point.sampleCount);
+        expect(point.features).toHaveLength(8);
+      });
+    });
+
+    it('should carry enough signal to recover unseen gaze targets', () => {
+      const predict = fitLinear(calibrate(createRandom(2)));
+      const random = createRandom(3);
+
+      [{ x: 300, y: 200 }, { x: 900, y: 600 }, { x: 640, y: 400 }].forEach(target => {
+        // Average a second of frames, as single-frame landmark noise dominates
+        const samples = Array.from({ length: 30 }, () =>
+          extractEyeFeatures(generateFaceLandmarks({ gaze: target, noise: 0.0005, random }))
+        );
+        const prediction = predict(averageFeatures(samples).vector);
+        expect(Math.hypot(prediction.x - target.x, prediction.y - target.y)).toBeLessThan(60);
+      });
+    });
+  });
+
+  describe('training through dwell click', () => {
+    it('should predict unseen gaze targets after training', async () => {
+      const model = new GazePredictionModel();
+      await model.train(calibrate(createRandom(6)), {
+        screenSize: DEFAULT_SCREEN, epochs: 20, batchSize: 64, validationSplit: 0, verbose: 0
+      });
+
+      const random = createRandom(7);
+      const samples = [{ x: 300, y: 200 }, { x: 900, y: 600 }, { x: 640, y: 400 }, { x: 1000, y: 150 }]
+        .map(target => ({
+          features: averageFeatures(Array.from({ length: 30 }, () =>
+            extractEyeFeatures(generateFaceLandmarks({ gaze: target, noise: 0.0005, random }))
+          )).vector,
+          targetX: target.x,
+          targetY: target.y
+        }));
+
+      // Pixels of the 1280 x 800 calibration screen (~10% of its diagonal; a
+      // small network on 9 points varies with its random initialization)
+      expect(model.evaluate(samples).meanError).toBeLessThan(160);
+      model.dispose();
+    });
+
+    it('should free the training tensors when training fails', async () => {
+      const model = new GazePredictionModel();
+      const data = calibrate(createRandom(9));
+      model.createModel(data[0].features.length);
+      vi.spyOn(model.model, 'fit').mockRejectedValue(new Error('fit failed'));
+      const tensors = tf.memory().numTensors;
+
+      await expect(model.train(data, { screenSize: DEFAULT_SCREEN, verbose: 0 })).rejects.toThrow('fit failed');
+      expect(tf.memory().numTensors).toBe(tensors);
+      expect(model.isTrained).toBe(false);
+      model.dispose();
+    });
+
+    it('should train on calibration data and drive a dwell click', async () => {
+      const model = new GazePredictionModel();
+      await model.train(calibrate(createRandom(4)), {
+        screenSize: DEFAULT_SCREEN, epochs: 20, batchSize: 64, validationSplit: 0, verbose: 0
+      });
+      expect(model.isReady()).toBe(true);
+
+      vi.useFakeTimers();
+      const landmarkFilter = new LandmarkFilter();
+      const smoother = new GazeSmoother(30);
+      const detector = new DwellDetector({ dwellTime: 600, threshold: 50 });
+      const onClick = vi.fn();
+      detector.onClick(onClick);
+
+      const random = createRandom(5);
+      for (let frame = 0; frame < 60; frame++) {
+        const landmarks = landmarkFilter.filter(
+          generateFaceLandmarks({ gaze: { x: 640, y: 400 }, noise: 0.0001, random }),
+          Date.now(),
+          { width: 640, height: 480 }
+        );
+        const prediction = model.predict(extractEyeFeatures(landmarks).vector);
+        expect(Number.isFinite(prediction.x)).toBe(true);
+
+        // Screen fractions -> pixels
+        const smoothed = smoother.smooth(prediction.x * width, prediction.y * height, Date.now());
+        detector.update(smoothed);
+        vi.advanceTimersByTime(33);
+      }
+
+      expect(onClick).toHaveBeenCalled();
+      model.dispose();
+    });
+
+    it('should replay a recorded session into the same dwell clicks', async () => {
+      const model = new GazePredictionModel();
+      await model.train(calibrate(createRandom(4)), {
+        screenSize: DEFAULT_SCREEN, epochs: 20, batchSize: 64, validationSplit: 0, verbose: 0
+      });
+
+      // Two seconds of looking at the screen center, recorded at ~30 fps
+      vi.useFakeTimers();
+      const recorder = new SessionRecorder();
+      const random = createRandom(8);
+      recorder.start({ width: 640, height: 480 });
+      for (let frame = 0; frame < 60; frame++) {
+        recorder.recordFrame({ multiFaceLandmarks: [generateFaceLandmarks({ gaze: { x: 640, y: 400 }, noise: 0.0001, random })] });
+        vi.advanceTimersByTime(33);
+      }
+      recorder.stop();
+      const recording = parseSessionRecording(recorder.toJSONL());
+      vi.useRealTimers();
+
+      // Replayed in one go: only the recorded frame times can make the dwell complete
+      const replay = async () => {
+        const landmarkFilter = new LandmarkFilter();
+        const smoother = new GazeSmoother(30);
+        const detector = new DwellDetector({ dwellTime: 600, threshold: 50 });
+        const gaze = [];
+        const clicks = [];
+        await replaySession(recording, (results) => {
+          const landmarks = landmarkFilter.filter(results.multiFaceLandmarks[0], results.timestamp, results.image);
+          const prediction = model.predict(extractEyeFeatures(landmarks).vector);
+          const smoothed = smoother.smooth(prediction.x * width, prediction.y * height, results.timestamp);
+          gaze.push(smoothed);
+          const event = detector.update(smoothed, results.timestamp);
+          if (event?.type === 'click') clicks.push(event);
+        });
+        return { gaze, clicks };
+      };
+
+      const first = await replay();
+      const second = await replay();
+
+      expect(first.gaze).toHaveLength(60);
+      expect(second).toEqual(first);
+      expect(first.clicks.length).toBeGreaterThan(0);
+      const [click] = first.clicks;
+      expect(click.timestamp - recording.header.startedAt).toBeGreaterThanOrEqual(600);
+      expect(Math.hypot(click.position.x - 640, click.position.y - 400)).toBeLessThan(160);
+      model.dispose();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AudioCuePlayer, AUDIO_CUES } from '../../utils/audioCues';
+import { CONFIG } from '../../config/config';
+
+/**
+ * Window with recording speechSynthesis and AudioContext fakes
+ */
+function fakeWindow({ suspended = false } = {}) {
+  const oscillators = [];
+  const context = {
+    state: suspended ? 'suspended' : 'running',
+    currentTime: 10,
+    destination: {},
+    resume: vi.fn(),
+    createOscillator: () => {
+      const oscillator = { frequency: {}, connect: vi.fn(), start: vi.fn(), stop: vi.fn() };
+      oscillators.push(oscillator);
+      return oscillator;
+    },
+    createGain: () => ({
+      gain: { setValueAtTime: vi.fn(), exponentialRampToValueAtTime: vi.fn() },
+      connect: vi.fn()
+    })
+  };
+  return {
+    oscillators,
+    context,
+    speechSynthesis: { speak: vi.fn(), cancel: vi.fn() },
+    SpeechSynthesisUtterance: function Utterance(text) {
+      this.text = text;
+    },
+    AudioContext: function AudioContext() {
+      return context;
+    }
+  };
+}
+
+describe('Audio Cues', () => {
+  it('should speak the phrase and play the tones of a cue', () => {
+    const win = fakeWindow();
+    const player = new AudioCuePlayer({ toneDuration: 100, lang: 'en-US' }, win);
+
+    player.play(AUDIO_CUES.LOOK);
+
+    expect(win.speechSynthesis.cancel).toHaveBeenCalled();
+    const utterance = win.speechSynthesis.speak.mock.calls[0][0];
+    expect(utterance).toMatchObject({ text: CONFIG.audioCues.cues.look.text, lang: 'en-US' });
+    expect(win.oscillators.map(o => o.frequency.value)).toEqual(CONFIG.audioCues.cues.look.tones);
+
+    // Multi-tone cues play one tone after another
+    player.play(AUDIO_CUES.COMPLETE);
+    const complete = win.oscillators.slice(1);
+    expect(complete.length).toBe(CONFIG.audioCues.cues.complete.tones.length);
+    expect(complete[1].start).toHaveBeenCalledWith(10.1);
+  });
+
+  it('should respect the speech, tone and enabled settings', () => {
+    const win = fakeWindow();
+    const tonesOnly = new AudioCuePlayer({ speech: false }, win);
+    tonesOnly.play(AUDIO_CUES.HOLD);
+    expect(win.speechSynthesis.speak).not.toHaveBeenCalled();
+    expect(win.oscillators.length).toBe(1);
+
+    const muted = new AudioCuePlayer({}, win);
+    muted.setEnabled(false);
+    muted.play(AUDIO_CUES.HOLD);
+    muted.play('unknown');
+    expect(win.speechSynthesis.speak).not.toHaveBeenCalled();
+    expect(win.oscillators.length).toBe(1);
+  });
+
+  it('should resume a suspended context and cope without audio APIs', () => {
+    const win = fakeWindow({ suspended: true });
+    new AudioCuePlayer({}, win).play(AUDIO_CUES.TICK);
+    expect(win.context.resume).toHaveBeenCalled();
+
+    const silent = new AudioCuePlayer({}, {});
+    expect(() => silent.play(AUDIO_CUES.DONE)).not.toThrow();
+  });
+});
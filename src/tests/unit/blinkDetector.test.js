@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  BlinkDetector,
+  BLINK_EVENTS,
+  getBlinkActionsEnabled,
+  setBlinkActionsEnabled
+} from '../../utils/blinkDetector';
+
+// Features as produced by extractEyeFeatures ("left" = image left = user's right eye)
+const frame = (userLeft, userRight) => ({
+  normalized: { leftAperture: userRight, rightAperture: userLeft }
+});
+
+const OPEN = 3.0;
+const CLOSED = 0.5;
+
+describe('BlinkDetector', () => {
+  let detector;
+  let time;
+  let events;
+
+  // Feed `duration` ms of frames at 30 FPS
+  const feed = (userLeft, userRight, duration) => {
+    const frames = Math.max(1, Math.round(duration / 33));
+    for (let i = 0; i < frames; i++) {
+      detector.update(frame(userLeft, userRight), time);
+      time += 33;
+    }
+  };
+
+  beforeEach(() => {
+    detector = new BlinkDetector();
+    time = 0;
+    events = [];
+    detector.onEvent(event => events.push(event.type));
+    feed(OPEN, OPEN, 500); // Learn the open-eye baseline
+  });
+
+  it('should ignore missing features', () => {
+    expect(detector.update(null, 0)).toBeNull();
+  });
+
+  it('should detect a normal blink', () => {
+    feed(CLOSED, CLOSED, 150);
+    feed(OPEN, OPEN, 100);
+
+    expect(events).toEqual([BLINK_EVENTS.BLINK]);
+  });
+
+  it('should report the blink duration', () => {
+    const callback = vi.fn();
+    detector.onEvent(callback);
+    feed(CLOSED, CLOSED, 200);
+    feed(OPEN, OPEN, 33);
+
+    expect(callback.mock.calls[0][0].duration).toBeGreaterThanOrEqual(190);
+    expect(callback.mock.calls[0][0].duration).toBeLessThanOrEqual(240);
+  });
+
+  it('should ignore single-frame dropouts', () => {
+    feed(CLOSED, CLOSED, 33);
+    feed(OPEN, OPEN, 100);
+
+    expect(events).toEqual([]);
+  });
+
+  it('should detect a double blink', () => {
+    feed(CLOSED, CLOSED, 150);
+    feed(OPEN, OPEN, 200);
+    feed(CLOSED, CLOSED, 150);
+    feed(OPEN, OPEN, 100);
+
+    expect(events).toEqual([BLINK_EVENTS.BLINK, BLINK_EVENTS.BLINK, BLINK_EVENTS.DOUBLE_BLINK]);
+  });
+
+  it('should not pair blinks that are far apart', () => {
+    feed(CLOSED, CLOSED, 150);
+    feed(OPEN, OPEN, 2000);
+    feed(CLOSED, CLOSED, 150);
+    feed(OPEN, OPEN, 100);
+
+    expect(events).toEqual([BLINK_EVENTS.BLINK, BLINK_EVENTS.BLINK]);
+  });
+
+  it('should fire long close while the eyes are still closed', () => {
+    feed(CLOSED, CLOSED, 1200);
+    expect(events).toEqual([BLINK_EVENTS.LONG_CLOSE]);
+    expect(detector.areEyesClosed()).toBe(true);
+
+    feed(OPEN, OPEN, 100);
+    expect(events).toEqual([BLINK_EVENTS.LONG_CLOSE]);
+  });
+
+  it('should detect left and right winks from the user\'s point of view', () => {
+    feed(CLOSED, OPEN, 400);
+    feed(OPEN, OPEN, 100);
+    feed(OPEN, CLOSED, 400);
+    feed(OPEN, OPEN, 100);
+
+    expect(events).toEqual([BLINK_EVENTS.LEFT_WINK, BLINK_EVENTS.RIGHT_WINK]);
+  });
+
+  it('should not report a wink when one eye lags behind a blink', () => {
+    feed(CLOSED, CLOSED, 150);
+    feed(OPEN, CLOSED, 66);
+    feed(OPEN, OPEN, 100);
+
+    expect(events).toEqual([BLINK_EVENTS.BLINK]);
+  });
+
+  it('should adapt to a user with narrow eyes', () => {
+    detector.reset();
+    feed(1.2, 1.2, 500);
+    feed(0.3, 0.3, 150);
+    feed(1.2, 1.2, 100);
+
+    expect(events).toEqual([BLINK_EVENTS.BLINK]);
+  });
+
+  it('should keep blink actions off until the user opts in', () => {
+    localStorage.clear();
+    expect(getBlinkActionsEnabled()).toBe(false);
+
+    setBlinkActionsEnabled(true);
+    expect(getBlinkActionsEnabled()).toBe(true);
+    setBlinkActionsEnabled(false);
+    expect(getBlinkActionsEnabled()).toBe(false);
+    localStorage.clear();
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import CalibrationManager, {
+  migrateCalibrationData,
+  CALIBRATION_STORAGE_VERSION
+} from '../../core/calibration';
+import { selectCalibrationSamples } from '../../core/sampleSelection';
+import { extractFeatures } from '../../core/featureExtractors';
+import { CONFIG } from '../../config/config';
+import { generateFaceLandmarks, createRandom, DEFAULT_SCREEN } from '../fixtures/syntheticFace';
+
+const TARGETS = [0.1, 0.5, 0.9].flatMap(py => [0.1, 0.5, 0.9].map(px => ({
+  x: px * DEFAULT_SCREEN.width,
+  y: py * DEFAULT_SCREEN.height
+})));
+
+describe('CalibrationManager', () => {
+  let manager;
+  let random;
+
+  /**
+   * Collect one point; `glance` sends every other frame off-target
+   */
+  function collectPoint(target, { glance = false, frames = 30 } = {}) {
+    for (let i = 0; i < frames; i++) {
+      const gaze = glance && i % 2 ? { x: target.x + 600, y: target.y - 400 } : target;
+      const landmarks = generateFaceLandmarks({ gaze, noise: 0.0002, random });
+      manager.addSample(extractFeatures(landmarks, {}, 'v1'), target.x, target.y);
+    }
+    return manager.completeCurrentPoint();
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    random = createRandom(21);
+    manager = new CalibrationManager();
+    manager.startCalibration();
+  });
+
+  it('should flag points with a large spread or few samples', () => {
+    TARGETS.forEach((target, i) => collectPoint(target, { glance: i === 4, frames: i === 7 ? 10 : 30 }));
+
+    const quality = manager.getPointQuality({ maxRelativeSpread: 2.5, minSamples: 20 });
+    expect(quality).toHaveLength(9);
+    expect(quality[0]).toMatchObject({ index: 0, targetX: TARGETS[0].x, isBad: false });
+    expect(quality[0].sampleCount).toBeGreaterThan(20);
+    expect(quality[4].relativeSpread).toBeGreaterThan(2.5);
+    expect(quality.filter(q => q.isBad).map(q => q.index)).toEqual([4, 7]);
+  });
+
+  it('should replace a redone point instead of adding one', () => {
+    TARGETS.forEach((target, i) => collectPoint(target, { glance: i === 4 }));
+    const before = manager.points[4];
+
+    expect(manager.redoPoint(4)).toBe(true);
+    expect(collectPoint(TARGETS[4])).toBe(true);
+
+    expect(manager.points).toHaveLength(9);
+    expect(manager.points[4]).not.toBe(before);
+    expect(manager.points[4]).toMatchObject({ targetX: TARGETS[4].x, targetY: TARGETS[4].y });
+    expect(manager.getPointQuality({ maxRelativeSpread: 2.5, minSamples: 20 })[4].isBad).toBe(false);
+
+    // The next point is added again
+    collectPoint(TARGETS[0]);
+    expect(manager.points).toHaveLength(10);
+  });
+
+  it('should only redo existing points during calibration', () => {
+    collectPoint(TARGETS[0]);
+
+    expect(manager.redoPoint(3)).toBe(false);
+    expect(manager.replacePoint(3, manager.points[0])).toBe(false);
+
+    manager.finishCalibration();
+    expect(manager.redoPoint(0)).toBe(false);
+  });
+
+  it('should require a share of the pattern\'s points', () => {
+    manager.setPattern(9);
+    expect(manager.getMinPointsRequired()).toBe(5);
+    manager.setPattern(25);
+    expect(manager.getMinPointsRequired()).toBe(13);
+    manager.setPattern('lissajous');
+    expect(manager.getMinPointsRequired()).toBe(Math.ceil(CONFIG.pursuit.segmentCount * CONFIG.calibration.minPointsFraction));
+  });
+
+  describe('raw samples', () => {
+    it('should trim the first samples and drop outliers', () => {
+      const vectors = Array.from({ length: 20 }, (_, i) => [i % 2 ? 1.01 : 0.99, 5 + (i % 3) * 0.01]);
+      vectors[0] = [3, 5];       // Still looking at the previous target
+      vectors[12] = [1, 40];     // Landmark glitch
+
+      const { samples, trimmed, outliers } = selectCalibrationSamples(vectors, { trimStart: 2, outlierThreshold: 4 });
+      expect(trimmed).toBe(2);
+      expect(outliers).toBe(1);
+      expect(samples).toHaveLength(17);
+      expect(samples).not.toContainEqual([1, 40]);
+
+      // Short points keep at least half of their samples
+      expect(selectCalibrationSamples(vectors.slice(0, 4), { trimStart: 6 }).trimmed).toBe(2);
+    });
+
+    it('should keep the cleaned samples of each point', () => {
+      collectPoint(TARGETS[0], { frames: 30 });
+      const [point] = manager.getCalibrationData();
+
+      expect(point.samples.length).toBe(point.sampleCount);
+      expect(point.samples.length).toBeLessThanOrEqual(30 - 6);
+      const mean = point.samples.reduce((sum, v) => sum + v[0], 0) / point.samples.length;
+      expect(point.features[0]).toBeCloseTo(mean, 10);
+    });
+
+    it('should save the samples and migrate 1.0 calibrations', () => {
+      TARGETS.forEach(target => collectPoint(target));
+      manager.finishCalibration();
+      manager.saveToStorage();
+      expect(JSON.parse(localStorage.getItem('novavista_freegaze_calibration')).version)
+        .toBe(CALIBRATION_STORAGE_VERSION);
+
+      // A 1.0 calibration only stored the point means
+      const legacy = JSON.parse(localStorage.getItem('novavista_freegaze_calibration'));
+      legacy.version = '1.0';
+      legacy.points = legacy.points.map(({ samples, ...point }) => point);
+      localStorage.setItem('novavista_freegaze_calibration', JSON.stringify(legacy));
+
+      const reloaded = new CalibrationManager();
+      expect(reloaded.loadFromStorage('v1')).toBe(true);
+      expect(reloaded.points[0].samples).toEqual([legacy.points[0].features]);
+      // Written back in the current format
+      expect(JSON.parse(localStorage.getItem('novavista_freegaze_calibration')).version)
+        .toBe(CALIBRATION_STORAGE_VERSION);
+
+      expect(() => migrateCalibrationData({ version: '9.0', points: [] })).toThrow('Unsupported');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import * as tf from '@tensorflow/tfjs';
+import {
+  CALIBRATION_PATTERNS,
+  getCalibrationPattern,
+  getCalibrationSequence,
+  shuffleCalibrationPoints
+} from '../../core/calibrationPatterns';
+import GazePredictionModel from '../../core/prediction';
+import { CONFIG } from '../../config/config';
+import { createRandom } from '../fixtures/syntheticFace';
+
+const key = (p) => `${p.x},${p.y}`;
+
+describe('Calibration Patterns', () => {
+  it('should build every pattern with its number of points', () => {
+    [5, 9, 13, 16, 25].forEach(pattern => {
+      const points = getCalibrationPattern(pattern, { margin: 10 });
+
+      expect(points).toHaveLength(pattern);
+      expect(new Set(points.map(key)).size).toBe(pattern);
+      expect(points.map(p => p.id)).toEqual(Array.from({ length: pattern }, (_, i) => i + 1));
+    });
+    expect(CALIBRATION_PATTERNS).toContain('custom');
+  });
+
+  it('should keep points inside the configured margins', () => {
+    const points = getCalibrationPattern(25, { margin: 15 });
+
+    expect(Math.min(...points.map(p => p.x))).toBe(15);
+    expect(Math.max(...points.map(p => p.y))).toBe(85);
+    expect(getCalibrationPattern(9, { margin: 10 }).map(p => p.x).slice(0, 3)).toEqual([10, 50, 90]);
+  });
+
+  it('should add the quadrant centers in the 13-point pattern', () => {
+    const points = getCalibrationPattern(13, { margin: 10 }).map(key);
+
+    expect(points).toContain('30,30');
+    expect(points).toContain('70,70');
+    expect(points).toContain('50,50');
+  });
+
+  it('should use custom points and reject invalid ones', () => {
+    const customPoints = [{ x: 20, y: 20 }, { x: 80, y: 20 }, { x: 50, y: 50 }, { x: 20, y: 80 }, { x: 80, y: 80 }];
+
+    expect(getCalibrationPattern('custom', { customPoints }).map(key)).toEqual(customPoints.map(key));
+    expect(() => getCalibrationPattern('custom', { customPoints: [] })).toThrow('customPoints');
+    expect(() => getCalibrationPattern('custom', { customPoints: customPoints.slice(0, 2) }))
+      .toThrow(`need at least ${CONFIG.calibration.minPointsRequired}`);
+    expect(() => getCalibrationPattern('custom', { customPoints: [...customPoints, { x: 120, y: 50 }] }))
+      .toThrow('off screen');
+    expect(() => getCalibrationPattern(7)).toThrow('Unknown calibration pattern "7"');
+  });
+
+  it('should randomize the order without losing points', () => {
+    const points = getCalibrationPattern(16);
+    const shuffled = shuffleCalibrationPoints(points, createRandom(1));
+
+    expect(shuffled.map(key).sort()).toEqual(points.map(key).sort());
+    expect(shuffled.map(key)).not.toEqual(points.map(key));
+    expect(getCalibrationSequence(9, { randomize: false })).toEqual(getCalibrationPattern(9));
+  });
+
+  describe('training', () => {
+    beforeAll(async () => {
+      await tf.setBackend('cpu');
+    });
+
+    it('should accept the smallest pattern and refuse fewer points', async () => {
+      const data = getCalibrationPattern(5).map(p => ({
+        features: Array.from({ length: 8 }, () => Math.random()),
+        targetX: p.x * 10,
+        targetY: p.y * 10
+      }));
+      const model = new GazePredictionModel();
+
+      await expect(model.train(data.slice(0, 4), { verbose: 0 })).rejects.toThrow('Need at least 5');
+      await model.train(data, { screenSize: { width: 1000, height: 1000 }, epochs: 1, verbose: 0 });
+      expect(model.isReady()).toBe(true);
+      model.dispose();
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getValidationTargets,
+  computePointMetrics,
+  gradeAccuracy,
+  createValidationReport,
+  VALIDATION_GRADES
+} from '../../core/calibrationValidation';
+import CalibrationManager from '../../core/calibration';
+import { describeFeatureExtractor, getFeatureExtractor } from '../../core/featureExtractors';
+import { createRandom } from '../fixtures/syntheticFace';
+
+// 1280x960 has a 1600 px diagonal
+const SCREEN = { width: 1280, height: 960 };
+const GRADES = { excellent: 0.03, good: 0.05, fair: 0.08 };
+
+describe('Calibration Validation', () => {
+  it('should measure accuracy and precision of the samples', () => {
+    const samples = [{ x: 110, y: 200 }, { x: 113, y: 204 }, { x: 110, y: 200 }, { x: 107, y: 196 }];
+    const metrics = computePointMetrics(samples, { x: 100, y: 200 });
+
+    expect(metrics).toMatchObject({ targetX: 100, targetY: 200, meanX: 110, meanY: 200, sampleCount: 4 });
+    expect(metrics.accuracy).toBeCloseTo(10);
+    // Every step is 5 px long
+    expect(metrics.precision).toBeCloseTo(5);
+    expect(computePointMetrics([{ x: 1, y: 1 }], { x: 1, y: 1 }).precision).toBe(0);
+    expect(computePointMetrics([], { x: 1, y: 1 })).toBeNull();
+  });
+
+  it('should grade accuracy relative to the screen diagonal', () => {
+    expect(gradeAccuracy(40, SCREEN, GRADES)).toBe(VALIDATION_GRADES.EXCELLENT);
+    expect(gradeAccuracy(70, SCREEN, GRADES)).toBe(VALIDATION_GRADES.GOOD);
+    expect(gradeAccuracy(120, SCREEN, GRADES)).toBe(VALIDATION_GRADES.FAIR);
+    expect(gradeAccuracy(200, SCREEN, GRADES)).toBe(VALIDATION_GRADES.POOR);
+    // Same offset on a screen twice as large is twice as good
+    expect(gradeAccuracy(70, { width: 2560, height: 1920 }, GRADES)).toBe(VALIDATION_GRADES.EXCELLENT);
+  });
+
+  it('should spread random targets inside the margins', () => {
+    const targets = getValidationTargets(6, { margin: 15, minSpacing: 20, random: createRandom(5) });
+
+    expect(targets).toHaveLength(6);
+    expect(targets.map(t => t.id)).toEqual([1, 2, 3, 4, 5, 6]);
+    targets.forEach((target, i) => {
+      expect(target.x).toBeGreaterThanOrEqual(15);
+      expect(target.x).toBeLessThanOrEqual(85);
+      expect(target.y).toBeGreaterThanOrEqual(15);
+      expect(target.y).toBeLessThanOrEqual(85);
+      targets.slice(i + 1).forEach(other => {
+        expect(Math.hypot(target.x - other.x, target.y - other.y)).toBeGreaterThanOrEqual(20);
+      });
+    });
+  });
+
+  it('should still place every target when the spacing cannot be met', () => {
+    expect(getValidationTargets(30, { margin: 40, random: createRandom(8) })).toHaveLength(30);
+  });
+
+  it('should average the points into a graded report', () => {
+    const near = computePointMetrics([{ x: 100, y: 130 }, { x: 100, y: 130 }], { x: 100, y: 100 });
+    const far = computePointMetrics([{ x: 590, y: 500 }, { x: 590, y: 500 }], { x: 500, y: 500 });
+    const report = createValidationReport([near, null, far], SCREEN);
+
+    expect(report.points).toHaveLength(2);
+    expect(report.accuracy).toBeCloseTo(60);
+    expect(report.precision).toBe(0);
+    expect(report.grade).toBe(VALIDATION_GRADES.GOOD);
+    expect(report.screen).toEqual(SCREEN);
+    expect(createValidationReport([null], SCREEN)).toBeNull();
+  });
+
+  it('should store the report with the calibration', () => {
+    localStorage.clear();
+    const manager = new CalibrationManager();
+    manager.startCalibration();
+    manager.featureExtractor = describeFeatureExtractor(getFeatureExtractor('v1'));
+    manager.points = [{ features: [0, 0, 0, 0, 0, 0], targetX: 100, targetY: 100 }];
+    const report = createValidationReport(
+      [computePointMetrics([{ x: 120, y: 100 }], { x: 100, y: 100 })],
+      SCREEN
+    );
+    manager.setValidation(report);
+    manager.saveToStorage();
+
+    const reloaded = new CalibrationManager();
+    reloaded.loadFromStorage('v1');
+    expect(reloaded.validation).toEqual(report);
+
+    // A new calibration has not been validated yet
+    reloaded.startCalibration();
+    expect(reloaded.validation).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getViewportGeometry,
+  viewportToScreen,
+  screenToViewport,
+  viewportToNormalized,
+  normalizedToViewport,
+  percentToViewport,
+  viewportToPercent,
+  getVideoTransform,
+  ViewportTracker
+} from '../../core/coordinates';
+
+/**
+ * Minimal browser window on a 1920x1080 screen
+ */
+function fakeWindow(overrides = {}) {
+  const target = new EventTarget();
+  return Object.assign(target, {
+    screen: { width: 1920, height: 1080 },
+    screenX: 100,
+    screenY: 50,
+    innerWidth: 1200,
+    innerHeight: 700,
+    outerWidth: 1216,          // 8 px borders
+    outerHeight: 800,          // 8 px bottom border, 92 px of toolbars
+    document: new EventTarget(),
+    ...overrides
+  });
+}
+
+describe('Coordinate Spaces', () => {
+  it('should locate a windowed viewport on the screen', () => {
+    const geometry = getViewportGeometry(fakeWindow());
+
+    expect(geometry.zoom).toBe(1);
+    expect(geometry.screen).toEqual({ width: 1920, height: 1080 });
+    expect(geometry.viewport).toEqual({ left: 108, top: 142, width: 1200, height: 700 });
+  });
+
+  it('should cover the screen in fullscreen', () => {
+    const geometry = getViewportGeometry(fakeWindow({
+      screenX: 0, screenY: 0, innerWidth: 1920, innerHeight: 1080, outerWidth: 1920, outerHeight: 1080
+    }));
+
+    expect(viewportToNormalized({ x: 960, y: 270 }, geometry)).toEqual({ x: 0.5, y: 0.25 });
+    expect(normalizedToViewport({ x: 0.5, y: 0.25 }, geometry)).toEqual({ x: 960, y: 270 });
+  });
+
+  it('should keep screen positions when the page is zoomed', () => {
+    const borderless = { outerWidth: 1200, outerHeight: 800 };
+    const normal = getViewportGeometry(fakeWindow(borderless));
+    // 200% zoom: half as many CSS pixels in the same window
+    const zoomed = getViewportGeometry(fakeWindow({ ...borderless, innerWidth: 600, innerHeight: 350 }));
+
+    expect(zoomed.zoom).toBe(2);
+    expect(zoomed.viewport).toMatchObject({ left: normal.viewport.left, top: normal.viewport.top });
+    const onScreen = viewportToScreen({ x: 600, y: 350 }, normal);
+    expect(screenToViewport(onScreen, zoomed)).toEqual({ x: 300, y: 175 });
+  });
+
+  it('should move gaze positions with the window', () => {
+    const before = getViewportGeometry(fakeWindow());
+    const after = getViewportGeometry(fakeWindow({ screenX: 400 }));
+    const gaze = { x: 0.5, y: 0.5 };
+
+    expect(normalizedToViewport(gaze, after).x).toBe(normalizedToViewport(gaze, before).x - 300);
+    // Outside the viewport stays outside (not clamped)
+    expect(normalizedToViewport({ x: 0, y: 0 }, after).x).toBeLessThan(0);
+  });
+
+  it('should convert between percent and viewport pixels', () => {
+    const geometry = getViewportGeometry(fakeWindow());
+
+    expect(percentToViewport({ x: 10, y: 50 }, geometry)).toEqual({ x: 120, y: 350 });
+    expect(viewportToPercent({ x: 120, y: 350 }, geometry)).toEqual({ x: 10, y: 50 });
+  });
+
+  it('should mirror the camera image only when configured', () => {
+    expect(getVideoTransform(true)).toBe('scaleX(-1)');
+    expect(getVideoTransform(false)).toBe('none');
+  });
+
+  it('should notify listeners when the geometry changes', () => {
+    const win = fakeWindow();
+    const tracker = new ViewportTracker(win);
+    const listener = vi.fn();
+    tracker.onChange(listener);
+    tracker.start();
+
+    tracker.update();
+    expect(listener).not.toHaveBeenCalled();
+
+    win.innerWidth = 900;
+    win.outerWidth = 916;
+    win.dispatchEvent(new Event('resize'));
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].viewport.width).toBe(900);
+    expect(listener.mock.calls[0][1].viewport.width).toBe(1200);
+
+    // Window moves have no event
+    win.screenX = 300;
+    tracker.update();
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    tracker.stop();
+    win.innerWidth = 800;
+    win.dispatchEvent(new Event('resize'));
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
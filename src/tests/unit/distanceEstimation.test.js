@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { estimateViewingDistance, getDistanceGuidance } from '../../core/distanceEstimation';
+import { generateFaceLandmarks } from '../fixtures/syntheticFace';
+
+describe('Viewing Distance', () => {
+  describe('estimateViewingDistance', () => {
+    it('should return null without iris landmarks', () => {
+      expect(estimateViewingDistance(null)).toBeNull();
+      expect(estimateViewingDistance(new Array(468).fill({ x: 0.5, y: 0.5, z: 0 }))).toBeNull();
+    });
+
+    it.each([40, 60, 80])('should measure a face at %i cm', (z) => {
+      const landmarks = generateFaceLandmarks({ headPosition: { x: 0, y: 0, z } });
+      const distance = estimateViewingDistance(landmarks, { width: 640, height: 480 });
+
+      expect(Math.abs(distance - z) / z).toBeLessThan(0.05);
+    });
+
+    it('should not depend on the processed frame size', () => {
+      const landmarks = generateFaceLandmarks({ camera: { width: 1280, height: 720 } });
+      const distance = estimateViewingDistance(landmarks, { width: 1280, height: 720 });
+
+      expect(Math.abs(distance - 60)).toBeLessThan(3);
+    });
+  });
+
+  describe('getDistanceGuidance', () => {
+    it('should ask the user to move back when too close', () => {
+      expect(getDistanceGuidance(30).status).toBe('too_close');
+    });
+
+    it('should ask the user to move closer when too far', () => {
+      expect(getDistanceGuidance(90).status).toBe('too_far');
+    });
+
+    it('should warn when much further than during calibration', () => {
+      expect(getDistanceGuidance(72, 55).status).toBe('further_than_calibrated');
+      expect(getDistanceGuidance(45, 60).status).toBe('closer_than_calibrated');
+      expect(getDistanceGuidance(62, 60).status).toBe('ok');
+    });
+
+    it('should report unknown without a measurement', () => {
+      expect(getDistanceGuidance(null).status).toBe('unknown');
+    });
+  });
+});
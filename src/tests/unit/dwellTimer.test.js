@@ -138,6 +138,21 @@ describe('DwellDetector', () => {
       const result = detector.update(position);
       expect(result).toBeNull();
     });
+
+    it('should not click on a nearby position right after a reset', () => {
+      const dwell = new DwellDetector({ dwellTime: 600, threshold: 50 });
+      const onClick = vi.fn();
+      dwell.onClick(onClick);
+
+      dwell.update({ x: 100, y: 100 }, 1000);
+      dwell.update({ x: 102, y: 100 }, 1400);
+      dwell.reset();
+
+      expect(dwell.update({ x: 105, y: 101 }, 1450)).toMatchObject({ type: 'dwell_start' });
+      expect(dwell.update({ x: 104, y: 100 }, 1800)).toMatchObject({ type: 'dwell_progress' });
+      expect(onClick).not.toHaveBeenCalled();
+      expect(dwell.update({ x: 104, y: 100 }, 2050)).toMatchObject({ type: 'click' });
+    });
   });
 
   describe('Distance Calculation', () => {
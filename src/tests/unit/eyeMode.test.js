@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { areEyeFeaturesValid, extractEyeFeatures } from '../../core/featureExtraction';
+import { extractFeatures } from '../../core/featureExtractors';
+import {
+  EYE_MODES,
+  getEyeMode,
+  setEyeMode,
+  getCalibrationExtractorId,
+  getAcceptedExtractorIds,
+  chooseDominantEye,
+  v1ToSingleEyeVector
+} from '../../core/eyeMode';
+import CalibrationManager from '../../core/calibration';
+import { CONFIG } from '../../config/config';
+import { generateFaceLandmarks, createRandom, DEFAULT_SCREEN } from '../fixtures/syntheticFace';
+
+// Nine-point grid of gaze targets
+const TARGETS = [0.1, 0.5, 0.9].flatMap(py => [0.1, 0.5, 0.9].map(px => ({
+  x: px * DEFAULT_SCREEN.width,
+  y: py * DEFAULT_SCREEN.height
+})));
+
+// The user's left eye is the image-right eye, the user's right eye the image-left one
+const STRAY_TARGET = { x: 100, y: 100 };
+
+/**
+ * Calibration points where the image-side eye `strayEye` (if any) does not
+ * follow the targets, as with strabismus
+ */
+function calibrationPoints(strayEye) {
+  const random = createRandom(7);
+  return TARGETS.map(target => {
+    const landmarks = generateFaceLandmarks({
+      gaze: target,
+      eyeGaze: strayEye ? { [strayEye]: STRAY_TARGET } : undefined,
+      noise: 0.0003,
+      random
+    });
+    return { features: extractFeatures(landmarks, {}, 'v1').vector, targetX: target.x, targetY: target.y };
+  });
+}
+
+describe('Eye Mode', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('validation', () => {
+    it('should only check the tracked eye in single-eye modes', () => {
+      // User's left eye (image right) closed, e.g. ptosis
+      const features = extractEyeFeatures(generateFaceLandmarks({ eyeOpenness: { left: 1, right: 0.1 } }));
+
+      expect(areEyeFeaturesValid(features, EYE_MODES.BOTH)).toBe(false);
+      expect(areEyeFeaturesValid(features, EYE_MODES.RIGHT)).toBe(true);
+      expect(areEyeFeaturesValid(features, EYE_MODES.LEFT)).toBe(false);
+      expect(areEyeFeaturesValid(features, EYE_MODES.AUTO)).toBe(true);
+    });
+
+    it('should validate single-eye features against their own eye', () => {
+      // User's left eye (image right) nearly closed
+      const landmarks = generateFaceLandmarks({ eyeOpenness: { left: 1, right: 0.1 } });
+      const features = extractFeatures(landmarks, {}, 'v1_right_eye');
+
+      expect(areEyeFeaturesValid(extractFeatures(landmarks, {}, 'v1'))).toBe(false);
+      expect(features.eye).toBe(EYE_MODES.RIGHT);
+      expect(areEyeFeaturesValid(features)).toBe(true);
+    });
+  });
+
+  describe('single-eye extractors', () => {
+    it('should extract the iris offset and aperture of one eye', () => {
+      const landmarks = generateFaceLandmarks({ gaze: { x: 200, y: 600 } });
+      const v1 = extractFeatures(landmarks, {}, 'v1').vector;
+      const left = extractFeatures(landmarks, {}, 'v1_left_eye').vector;
+      const right = extractFeatures(landmarks, {}, 'v1_right_eye').vector;
+
+      expect(left).toHaveLength(3);
+      expect(left).toEqual(v1ToSingleEyeVector(v1, EYE_MODES.LEFT));
+      expect(right).toEqual(v1ToSingleEyeVector(v1, EYE_MODES.RIGHT));
+      expect(right).toEqual(v1.slice(0, 3));
+    });
+
+    it('should map eye modes to extractors', () => {
+      expect(getCalibrationExtractorId(EYE_MODES.BOTH)).toBe(CONFIG.features.extractor);
+      expect(getCalibrationExtractorId(EYE_MODES.LEFT)).toBe('v1_left_eye');
+      expect(getCalibrationExtractorId(EYE_MODES.AUTO)).toBe('v1');
+      expect(getAcceptedExtractorIds(EYE_MODES.AUTO)).toEqual(['v1', 'v1_left_eye', 'v1_right_eye']);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should remember the eye mode', () => {
+      expect(getEyeMode()).toBe(CONFIG.features.eyeMode);
+      setEyeMode(EYE_MODES.AUTO);
+      expect(getEyeMode()).toBe(EYE_MODES.AUTO);
+      expect(() => setEyeMode('third')).toThrow('Unknown eye mode');
+    });
+  });
+
+  describe('dominant eye', () => {
+    it('should keep both eyes when both follow the targets', () => {
+      expect(chooseDominantEye(calibrationPoints()).eye).toBe(EYE_MODES.BOTH);
+    });
+
+    it('should pick the eye that follows the targets', () => {
+      // Image-left eye strays: the user's left eye (image right) is dominant
+      expect(chooseDominantEye(calibrationPoints('left')).eye).toBe(EYE_MODES.LEFT);
+      expect(chooseDominantEye(calibrationPoints('right')).eye).toBe(EYE_MODES.RIGHT);
+    });
+
+    it('should calibrate in auto mode with the dominant eye only', () => {
+      const manager = new CalibrationManager();
+      manager.startCalibration(EYE_MODES.AUTO);
+      TARGETS.forEach(target => {
+        const landmarks = generateFaceLandmarks({ gaze: target, eyeGaze: { left: STRAY_TARGET } });
+        manager.addSample(extractFeatures(landmarks, {}, 'v1'), target.x, target.y);
+        manager.completeCurrentPoint();
+      });
+      manager.finishCalibration();
+      manager.saveToStorage();
+
+      expect(manager.trackedEye).toBe(EYE_MODES.LEFT);
+      expect(manager.featureExtractor.id).toBe('v1_left_eye');
+      expect(manager.points[0].features).toHaveLength(3);
+
+      const reloaded = new CalibrationManager();
+      expect(reloaded.loadFromStorage(getAcceptedExtractorIds(EYE_MODES.BOTH))).toBe(false);
+      expect(reloaded.loadFromStorage(getAcceptedExtractorIds(EYE_MODES.AUTO))).toBe(true);
+      expect(reloaded.trackedEye).toBe(EYE_MODES.LEFT);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import * as tf from '@tensorflow/tfjs';
+import { cropEyePatch, extractEyePatches, getFrameImageData } from '../../core/eyePatches';
+import { extractFeatures, getFeatureExtractor } from '../../core/featureExtractors';
+import { createGazePredictionModel, isModelVariantFor, EyePatchGazeModel } from '../../core/prediction';
+import { generateFaceLandmarks, renderFaceImage, DEFAULT_SCREEN } from '../fixtures/syntheticFace';
+
+const PATCH = { width: 32, height: 16, padding: 0.25 };
+
+const face = (options = {}) => {
+  const landmarks = generateFaceLandmarks(options);
+  return { landmarks, image: renderFaceImage(landmarks, options) };
+};
+
+// Column of the darkest (iris) region in a patch, weighted by darkness
+function irisColumn(patch, width = PATCH.width) {
+  let sum = 0;
+  let weight = 0;
+  patch.forEach((value, i) => {
+    const w = Math.max(0, -value);
+    sum += (i % width) * w;
+    weight += w;
+  });
+  return sum / weight;
+}
+
+function correlation(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum / a.length; // Patches have zero mean and unit variance
+}
+
+describe('Eye Patches', () => {
+  it('should crop normalized patches of the configured size', () => {
+    const { landmarks, image } = face();
+    const patches = extractEyePatches(image, landmarks, PATCH);
+
+    expect(patches.left).toHaveLength(32 * 16);
+    const mean = patches.left.reduce((sum, v) => sum + v, 0) / patches.left.length;
+    const variance = patches.left.reduce((sum, v) => sum + v * v, 0) / patches.left.length;
+    expect(Math.abs(mean)).toBeLessThan(1e-5);
+    expect(variance).toBeCloseTo(1, 3);
+  });
+
+  it('should show the iris moving with the gaze', () => {
+    const left = face({ gaze: { x: 0, y: 400 } });
+    const right = face({ gaze: { x: DEFAULT_SCREEN.width, y: 400 } });
+    const leftPatches = extractEyePatches(left.image, left.landmarks, PATCH);
+    const rightPatches = extractEyePatches(right.image, right.landmarks, PATCH);
+
+    // Same direction in both eyes, by several patch pixels
+    const shiftLeftEye = irisColumn(rightPatches.left) - irisColumn(leftPatches.left);
+    const shiftRightEye = irisColumn(rightPatches.right) - irisColumn(leftPatches.right);
+    expect(Math.abs(shiftLeftEye)).toBeGreaterThan(2);
+    expect(Math.sign(shiftLeftEye)).toBe(Math.sign(shiftRightEye));
+  });
+
+  it('should not depend on lighting', () => {
+    const landmarks = generateFaceLandmarks();
+    const bright = cropEyePatch(renderFaceImage(landmarks), landmarks[33], landmarks[133], PATCH);
+    const dim = cropEyePatch(renderFaceImage(landmarks, { brightness: 0.5 }), landmarks[33], landmarks[133], PATCH);
+
+    expect(correlation(bright, dim)).toBeGreaterThan(0.99);
+  });
+
+  it('should align patches to the eye corners when the head rolls', () => {
+    const upright = face();
+    const rolled = face({ headPose: { roll: 15 } });
+    const a = extractEyePatches(upright.image, upright.landmarks, PATCH);
+    const b = extractEyePatches(rolled.image, rolled.landmarks, PATCH);
+
+    expect(correlation(a.left, b.left)).toBeGreaterThan(0.8);
+  });
+
+  it('should only read pixels from drawable frames', () => {
+    const { image } = face();
+
+    expect(getFrameImageData(image)).toBe(image);
+    expect(getFrameImageData({ width: 640, height: 480 })).toBeNull();
+    expect(getFrameImageData(null)).toBeNull();
+  });
+
+  describe('eye_patch_v1 extractor', () => {
+    it('should need the camera image', () => {
+      const { landmarks, image } = face();
+
+      expect(extractFeatures(landmarks, {}, 'eye_patch_v1')).toBeNull();
+
+      const features = extractFeatures(landmarks, { imageData: image }, 'eye_patch_v1');
+      expect(features.vector).toHaveLength(getFeatureExtractor('eye_patch_v1').inputSize);
+      expect(features.normalized.leftAperture).toBeGreaterThan(1); // Geometry kept for validation
+    });
+  });
+
+  describe('EyePatchGazeModel', () => {
+    beforeAll(async () => {
+      await tf.setBackend('cpu');
+    });
+
+    it('should be chosen for image extractors', () => {
+      expect(createGazePredictionModel('eye_patch_v1')).toBeInstanceOf(EyePatchGazeModel);
+      expect(createGazePredictionModel('v1')).not.toBeInstanceOf(EyePatchGazeModel);
+    });
+
+    it('should tell whether a model fits the calibration extractor', () => {
+      const patchModel = createGazePredictionModel('eye_patch_v1');
+      const denseModel = createGazePredictionModel('v1');
+      expect(isModelVariantFor(patchModel, 'eye_patch_v1')).toBe(true);
+      expect(isModelVariantFor(patchModel, 'v1')).toBe(false);
+      expect(isModelVariantFor(denseModel, 'eye_patch_v1')).toBe(false);
+      expect(isModelVariantFor(denseModel, 'v1')).toBe(true);
+    });
+
+    it('should train on eye patches and predict', async () => {
+      const data = [];
+      [0.1, 0.5, 0.9].forEach(py => [0.1, 0.5, 0.9].forEach(px => {
+        const target = { x: px * DEFAULT_SCREEN.width, y: py * DEFAULT_SCREEN.height };
+        const { landmarks, image } = face({ gaze: target });
+        const features = extractFeatures(landmarks, { imageData: image }, 'eye_patch_v1');
+        data.push({ features: features.vector, targetX: target.x, targetY: target.y });
+      }));
+
+      const model = createGazePredictionModel('eye_patch_v1');
+      await model.train(data, { featureExtractor: 'eye_patch_v1', epochs: 3, batchSize: 9, validationSplit: 0, verbose: 0 });
+
+      const prediction = model.predict(data[4].features);
+      expect(Number.isFinite(prediction.x)).toBe(true);
+      expect(Number.isFinite(prediction.y)).toBe(true);
+
+      const evaluation = model.evaluate(data);
+      expect(evaluation.count).toBe(9);
+      expect(evaluation.meanError).toBeGreaterThan(0);
+      model.dispose();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PrimaryFaceTracker,
+  computeFaceGeometry,
+  compareFaceGeometry,
+  getFaceBounds
+} from '../../core/faceSelection';
+import { generateFaceLandmarks } from '../fixtures/syntheticFace';
+
+const FRAME = { width: 640, height: 480 };
+
+// Primary user centered at 60 cm, bystander leaning in closer and off to the side
+const user = (options = {}) => generateFaceLandmarks({ headPosition: { x: 0, y: 0, z: 60 }, ...options });
+const bystander = (options = {}) => generateFaceLandmarks({
+  headPosition: { x: 15, y: 0, z: 45 },
+  faceShape: { width: 1.2, height: 0.9 },
+  ...options
+});
+
+describe('Face Selection', () => {
+  describe('face geometry', () => {
+    it('should not depend on distance or position', () => {
+      const near = computeFaceGeometry(user({ headPosition: { x: -5, y: 2, z: 45 } }), FRAME);
+      const far = computeFaceGeometry(user({ headPosition: { x: 5, y: 0, z: 75 } }), FRAME);
+
+      expect(compareFaceGeometry(near, far)).toBeLessThan(0.03);
+    });
+
+    it('should tell different face proportions apart', () => {
+      const a = computeFaceGeometry(user(), FRAME);
+      const b = computeFaceGeometry(bystander(), FRAME);
+
+      expect(compareFaceGeometry(b, a)).toBeGreaterThan(0.08);
+    });
+
+    it('should return null without landmarks', () => {
+      expect(computeFaceGeometry(null)).toBeNull();
+    });
+  });
+
+  describe('PrimaryFaceTracker', () => {
+    it('should pick the largest face by default', () => {
+      const tracker = new PrimaryFaceTracker({ strategy: 'largest' });
+      const primary = tracker.select([user(), bystander()], FRAME, 0);
+
+      expect(primary.index).toBe(1);
+      expect(primary.isNewLock).toBe(true);
+    });
+
+    it('should pick the most central face with the central strategy', () => {
+      const tracker = new PrimaryFaceTracker({ strategy: 'central' });
+
+      expect(tracker.select([bystander(), user()], FRAME, 0).index).toBe(1);
+    });
+
+    it('should keep the lock when a larger face enters', () => {
+      const tracker = new PrimaryFaceTracker({ strategy: 'largest' });
+      tracker.select([user()], FRAME, 0);
+
+      const primary = tracker.select([bystander(), user({ headPosition: { x: 1, y: 0, z: 60 } })], FRAME, 33);
+
+      expect(primary.index).toBe(1);
+      expect(primary.isNewLock).toBe(false);
+    });
+
+    it('should hold the lock while the user is briefly out of view', () => {
+      const tracker = new PrimaryFaceTracker({ strategy: 'largest', lostTimeout: 1000 });
+      tracker.select([user()], FRAME, 0);
+
+      expect(tracker.select([bystander()], FRAME, 500)).toBeNull();
+
+      // The user comes back within the timeout
+      const primary = tracker.select([bystander(), user()], FRAME, 800);
+      expect(primary.index).toBe(1);
+      expect(primary.isNewLock).toBe(false);
+    });
+
+    it('should release the lock after the timeout', () => {
+      const tracker = new PrimaryFaceTracker({ strategy: 'largest', lostTimeout: 1000 });
+      tracker.select([user()], FRAME, 0);
+
+      const primary = tracker.select([bystander()], FRAME, 1200);
+      expect(primary.index).toBe(0);
+      expect(primary.isNewLock).toBe(true);
+    });
+
+    it('should only lock onto the calibrated user', () => {
+      const tracker = new PrimaryFaceTracker({ strategy: 'calibrated' });
+      tracker.setReferenceGeometry(computeFaceGeometry(user(), FRAME));
+
+      expect(tracker.select([bystander()], FRAME, 0)).toBeNull();
+
+      const primary = tracker.select([bystander(), user({ headPosition: { x: -10, y: 0, z: 70 } })], FRAME, 33);
+      expect(primary.index).toBe(1);
+    });
+
+    it('should follow the face across frames', () => {
+      const tracker = new PrimaryFaceTracker({ strategy: 'largest' });
+      let x = 0;
+      tracker.select([user()], FRAME, 0);
+
+      for (let t = 1; t <= 20; t++) {
+        x += 0.5;
+        const primary = tracker.select([bystander(), user({ headPosition: { x, y: 0, z: 60 } })], FRAME, t * 33);
+        expect(primary.index).toBe(1);
+      }
+      expect(getFaceBounds(user({ headPosition: { x, y: 0, z: 60 } })).center.x).toBeGreaterThan(0.55);
+    });
+  });
+});
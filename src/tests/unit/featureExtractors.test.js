@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import * as tf from '@tensorflow/tfjs';
+import {
+  extractFeatures,
+  getFeatureExtractor,
+  listFeatureExtractors,
+  registerFeatureExtractor,
+  describeFeatureExtractor,
+  inferLegacyFeatureExtractor,
+  FeatureExtractorMismatchError
+} from '../../core/featureExtractors';
+import CalibrationManager from '../../core/calibration';
+import GazePredictionModel from '../../core/prediction';
+import { generateFaceLandmarks } from '../fixtures/syntheticFace';
+
+const headPose = { yaw: 0, pitch: 0, roll: 0, translation: { x: 0, y: 0, z: 60 } };
+
+// Nine calibration points with random vectors of the given length
+const calibrationData = (inputSize) => Array.from({ length: 9 }, (_, i) => ({
+  features: Array.from({ length: inputSize }, () => Math.random()),
+  targetX: (i % 3) * 100,
+  targetY: Math.floor(i / 3) * 100
+}));
+
+describe('Feature Extractors', () => {
+  describe('registry', () => {
+    it('should register v1 with 8 features', () => {
+      const v1 = getFeatureExtractor('v1');
+
+      expect(v1.version).toBe(1);
+      expect(v1.inputSize).toBe(8);
+      expect(listFeatureExtractors().map(e => e.id)).toContain('v1_head_pose');
+    });
+
+    it('should tag extracted features with the extractor id', () => {
+      const landmarks = generateFaceLandmarks();
+      const v1 = extractFeatures(landmarks, { headPose }, 'v1');
+      const withPose = extractFeatures(landmarks, { headPose }, 'v1_head_pose');
+
+      expect(v1.extractor).toBe('v1');
+      expect(v1.vector).toHaveLength(8);
+      expect(withPose.vector).toHaveLength(14);
+      expect(extractFeatures(landmarks, {}, 'v1_head_pose')).toBeNull();
+    });
+
+    it('should reject unknown and duplicate extractors', () => {
+      expect(() => getFeatureExtractor('v99')).toThrow('Unknown feature extractor "v99"');
+      expect(() => registerFeatureExtractor({ ...getFeatureExtractor('v1') })).toThrow('already registered');
+      expect(() => registerFeatureExtractor({ id: 'broken' })).toThrow('Invalid feature extractor');
+    });
+
+    it('should infer the extractor of unversioned saved data', () => {
+      expect(inferLegacyFeatureExtractor(8).id).toBe('v1');
+      expect(inferLegacyFeatureExtractor(14).id).toBe('v1_head_pose');
+      expect(inferLegacyFeatureExtractor(5)).toBeNull();
+    });
+  });
+
+  describe('calibration', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should record the extractor and refuse loading with another one', () => {
+      const manager = new CalibrationManager();
+      manager.startCalibration();
+      const landmarks = generateFaceLandmarks();
+      for (let point = 0; point < 9; point++) {
+        manager.addSample(extractFeatures(landmarks, { headPose }, 'v1'), point * 10, 0);
+        // Samples from another extractor must not be mixed in
+        manager.addSample(extractFeatures(landmarks, { headPose }, 'v1_head_pose'), point * 10, 0);
+        manager.completeCurrentPoint();
+      }
+      manager.finishCalibration();
+      manager.saveToStorage();
+
+      expect(manager.featureExtractor).toEqual(describeFeatureExtractor(getFeatureExtractor('v1')));
+      expect(manager.points[0].features).toHaveLength(8);
+
+      const reloaded = new CalibrationManager();
+      expect(reloaded.loadFromStorage('v1_head_pose')).toBe(false);
+      expect(reloaded.points).toHaveLength(0);
+      expect(reloaded.loadFromStorage('v1')).toBe(true);
+      expect(reloaded.points).toHaveLength(9);
+    });
+  });
+
+  describe('model', () => {
+    beforeAll(async () => {
+      await tf.setBackend('cpu');
+    });
+
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should refuse training on features from another extractor', async () => {
+      const model = new GazePredictionModel();
+
+      await expect(model.train(calibrationData(8), { featureExtractor: 'v1_head_pose', verbose: 0 }))
+        .rejects.toThrow('feature extractor "v1_head_pose" produces 14');
+    });
+
+    it('should save the extractor with the model and refuse a mismatched load', async () => {
+      const model = new GazePredictionModel();
+      await model.train(calibrationData(8), { featureExtractor: 'v1', epochs: 1, verbose: 0 });
+      expect(await model.saveModel()).toBe(true);
+      model.dispose();
+
+      const loaded = new GazePredictionModel();
+      await expect(loaded.loadModel('v1_head_pose')).rejects.toBeInstanceOf(FeatureExtractorMismatchError);
+      await expect(loaded.loadModel('v1_head_pose')).rejects.toThrow('Please recalibrate');
+      expect(loaded.isReady()).toBe(false);
+
+      expect(await loaded.loadModel('v1')).toBe(true);
+      expect(loaded.featureExtractor.id).toBe('v1');
+      loaded.dispose();
+    });
+
+    it('should report a missing model as not loaded', async () => {
+      expect(await new GazePredictionModel().loadModel('v1')).toBe(false);
+    });
+  });
+});
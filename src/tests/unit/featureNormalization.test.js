@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import * as tf from '@tensorflow/tfjs';
+import {
+  computeNormalization,
+  normalizeFeatures,
+  normalizeTarget,
+  denormalizeOutput,
+  isValidNormalization
+} from '../../core/featureNormalization';
+import GazePredictionModel from '../../core/prediction';
+
+const SCREEN = { width: 1000, height: 500 };
+
+// Nine points on a 3x3 grid with two informative features and a constant one
+const calibrationData = () => [0.1, 0.5, 0.9].flatMap(py => [0.1, 0.5, 0.9].map(px => ({
+  features: [px * 4 - 2, py * 2 + 1, 3, 0, 0, 0, 0, 0],
+  targetX: px * SCREEN.width,
+  targetY: py * SCREEN.height
+})));
+
+describe('Feature Normalization', () => {
+  it('should standardize features and targets', () => {
+    const normalization = computeNormalization(calibrationData(), SCREEN);
+
+    expect(normalization.input.mean[0]).toBeCloseTo(0);
+    expect(normalization.input.mean[1]).toBeCloseTo(2);
+    // Constant features are centred but not scaled
+    expect(normalization.input.std[2]).toBe(1);
+    expect(normalization.output.mean).toEqual([0.5, 0.5].map(v => expect.closeTo(v)));
+
+    const standardized = calibrationData().map(d => normalizeFeatures(d.features, normalization));
+    const variance = standardized.reduce((sum, v) => sum + v[0] * v[0], 0) / standardized.length;
+    expect(variance).toBeCloseTo(1);
+  });
+
+  it('should include the frame noise of each point in the feature scale', () => {
+    const data = calibrationData().map(d => ({ ...d, featureVariance: [0, 0, 0.25, 0, 0, 0, 0, 0] }));
+    const normalization = computeNormalization(data, SCREEN);
+
+    expect(normalization.input.std[2]).toBeCloseTo(0.5);
+  });
+
+  it('should map targets to screen fractions and back', () => {
+    const normalization = computeNormalization(calibrationData(), SCREEN);
+    const output = normalizeTarget(250, 400, normalization);
+
+    expect(denormalizeOutput(output, normalization)).toEqual({
+      x: expect.closeTo(0.25),
+      y: expect.closeTo(0.8)
+    });
+  });
+
+  it('should need the screen size and validate saved statistics', () => {
+    expect(() => computeNormalization(calibrationData(), null)).toThrow('Screen size');
+
+    const normalization = computeNormalization(calibrationData(), SCREEN);
+    expect(isValidNormalization(normalization, 8)).toBe(true);
+    expect(isValidNormalization(normalization, 14)).toBe(false);
+    expect(isValidNormalization(undefined, 8)).toBe(false);
+  });
+
+  describe('GazePredictionModel', () => {
+    beforeAll(async () => {
+      await tf.setBackend('cpu');
+    });
+
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should predict screen fractions and keep them after reload', async () => {
+      const model = new GazePredictionModel();
+      await model.train(calibrationData(), { screenSize: SCREEN, epochs: 150, batchSize: 9, validationSplit: 0, verbose: 0 });
+      await model.saveModel();
+
+      const features = calibrationData()[8].features;
+      const before = model.predict(features);
+      expect(before.x).toBeGreaterThan(0.5);
+      expect(before.y).toBeGreaterThan(0.5);
+      expect(model.getInfo().calibrationScreen).toEqual(SCREEN);
+
+      const loaded = new GazePredictionModel();
+      expect(await loaded.loadModel('v1')).toBe(true);
+      const after = loaded.predict(features);
+      expect(after.x).toBeCloseTo(before.x, 5);
+      expect(after.y).toBeCloseTo(before.y, 5);
+
+      model.dispose();
+      loaded.dispose();
+    });
+
+    it('should refuse models saved without normalization statistics', async () => {
+      const legacy = tf.sequential({ layers: [tf.layers.dense({ units: 2, inputShape: [8] })] });
+      await legacy.save('localstorage://novavista-freegaze-model');
+      legacy.dispose();
+
+      const model = new GazePredictionModel();
+      expect(await model.loadModel('v1')).toBe(false);
+      expect(model.isReady()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getGazeSignal,
+  FixationDetector,
+  FixationSampler,
+  SAMPLING_PHASES
+} from '../../core/fixationDetection';
+import { extractFeatures } from '../../core/featureExtractors';
+import { generateFaceLandmarks, createRandom } from '../fixtures/syntheticFace';
+
+const FRAME = 33;
+const OPTIONS = { window: 200, minFrames: 4, maxDispersion: 0.4, maxWait: 3000, maxSamplingTime: 5000 };
+
+const random = createRandom(21);
+
+function featuresAt(gaze, extractor = 'v1') {
+  return extractFeatures(generateFaceLandmarks({ gaze, noise: 0.0002, random }), {}, extractor);
+}
+
+/**
+ * Camera frames of a saccade from the screen center to a target, then a fixation
+ * @returns {Array<{features, timestamp}>}
+ */
+function saccadeThenFixate(target, { saccadeFrames = 6, fixationFrames = 120 } = {}) {
+  const start = { x: 640, y: 400 };
+  const frames = [];
+  for (let i = 0; i < saccadeFrames; i++) {
+    const t = (i + 1) / saccadeFrames;
+    frames.push(featuresAt({ x: start.x + (target.x - start.x) * t, y: start.y + (target.y - start.y) * t }));
+  }
+  for (let i = 0; i < fixationFrames; i++) {
+    frames.push(featuresAt(target));
+  }
+  return frames.map((features, i) => ({ features, timestamp: 1000 + i * FRAME }));
+}
+
+describe('Fixation Detection', () => {
+  it('should read the gaze signal of the tracked eye(s)', () => {
+    const both = featuresAt({ x: 200, y: 400 });
+    const left = featuresAt({ x: 200, y: 400 }, 'v1_left_eye');
+
+    expect(getGazeSignal(both).x).toBeCloseTo((both.normalized.leftIrisX + both.normalized.rightIrisX) / 2);
+    expect(getGazeSignal(left)).toEqual({ x: left.normalized.rightIrisX, y: left.normalized.rightIrisY });
+    expect(getGazeSignal(null)).toBeNull();
+  });
+
+  it('should detect a fixation only after the saccade', () => {
+    const detector = new FixationDetector(OPTIONS);
+    const frames = saccadeThenFixate({ x: 1150, y: 700 });
+
+    const fixating = frames.map(({ features, timestamp }) => detector.update(features, timestamp));
+    expect(fixating.slice(0, 6)).not.toContain(true);
+    expect(fixating.slice(12)).not.toContain(false);
+
+    // After a blink, the eyes have to settle again
+    const last = frames[frames.length - 1];
+    expect(detector.update(null, last.timestamp + FRAME)).toBe(false);
+    expect(detector.update(last.features, last.timestamp + 400)).toBe(false);
+  });
+
+  it('should sample only fixated frames and skip repeated ones', () => {
+    const sampler = new FixationSampler({ ...OPTIONS, samplesPerPoint: 60 });
+    const frames = saccadeThenFixate({ x: 100, y: 100 });
+
+    const sampled = [];
+    frames.forEach(frame => {
+      // Every frame is seen twice (re-render without a new camera frame)
+      if (sampler.addFrame(frame.features, frame.timestamp)) sampled.push(frame);
+      expect(sampler.addFrame(frame.features, frame.timestamp)).toBe(false);
+    });
+
+    expect(sampled.length).toBe(60);
+    expect(sampled[0].timestamp).toBeGreaterThanOrEqual(1000 + 6 * FRAME);
+    expect(sampler.getStatus()).toMatchObject({ phase: SAMPLING_PHASES.DONE, samplingTimedOut: false, invalidCount: 0 });
+  });
+
+  it('should extend sampling over rejected frames', () => {
+    const sampler = new FixationSampler({ ...OPTIONS, samplesPerPoint: 30 });
+    const frames = saccadeThenFixate({ x: 300, y: 600 });
+
+    let count = 0;
+    frames.forEach((frame, i) => {
+      // Every third frame after the saccade is rejected by validation
+      const features = i > 20 && i % 3 === 0 ? null : frame.features;
+      if (sampler.addFrame(features, frame.timestamp)) count++;
+    });
+
+    const status = sampler.getStatus();
+    expect(count).toBe(30);
+    expect(status.phase).toBe(SAMPLING_PHASES.DONE);
+    expect(status.invalidCount).toBeGreaterThanOrEqual(10);
+  });
+
+  it('should give up waiting and sampling after the time limits', () => {
+    const sampler = new FixationSampler({ ...OPTIONS, samplesPerPoint: 60 });
+    const jitter = (i) => featuresAt({ x: i % 2 ? 200 : 1000, y: 400 });
+
+    let sampledAt = null;
+    let t = 0;
+    for (; sampler.getStatus().phase !== SAMPLING_PHASES.DONE && t < 20000; t += FRAME) {
+      if (sampler.addFrame(jitter(t / FRAME), t) && sampledAt === null) sampledAt = t;
+    }
+
+    // Eyes never settled: samples start after maxWait anyway
+    expect(sampledAt).toBeGreaterThanOrEqual(3000);
+    expect(sampler.getStatus()).toMatchObject({ fixationTimedOut: true, samplingTimedOut: false, sampleCount: 60 });
+
+    // Frames keep being rejected: give up after maxSamplingTime
+    const rejected = new FixationSampler({ ...OPTIONS, samplesPerPoint: 60 });
+    for (t = 0; t < 10000; t += FRAME) {
+      rejected.addFrame(t < 300 ? featuresAt({ x: 640, y: 400 }) : null, t);
+    }
+    expect(rejected.getStatus()).toMatchObject({ phase: SAMPLING_PHASES.DONE, samplingTimedOut: true });
+  });
+});
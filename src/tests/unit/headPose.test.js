@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { estimateHeadPose, headPoseToVector } from '../../core/headPose';
+import { extractEyeFeatures } from '../../core/featureExtraction';
+import { generateFaceLandmarks, createRandom } from '../fixtures/syntheticFace';
+
+describe('Head Pose', () => {
+  describe('estimateHeadPose', () => {
+    it('should return null for missing landmarks', () => {
+      expect(estimateHeadPose(null)).toBeNull();
+      expect(estimateHeadPose(new Array(100).fill({ x: 0.5, y: 0.5, z: 0 }))).toBeNull();
+    });
+
+    it('should report a frontal pose for a face looking at the camera', () => {
+      const pose = estimateHeadPose(generateFaceLandmarks(), { width: 640, height: 480 });
+
+      expect(Math.abs(pose.yaw)).toBeLessThan(2);
+      expect(Math.abs(pose.pitch)).toBeLessThan(2);
+      expect(Math.abs(pose.roll)).toBeLessThan(2);
+    });
+
+    it.each([
+      { yaw: 20, pitch: 0, roll: 0 },
+      { yaw: -15, pitch: 10, roll: 0 },
+      { yaw: 0, pitch: -12, roll: 8 },
+      { yaw: 10, pitch: 5, roll: -10 }
+    ])('should recover yaw/pitch/roll of $yaw/$pitch/$roll', (headPose) => {
+      const landmarks = generateFaceLandmarks({ headPose });
+      const pose = estimateHeadPose(landmarks, { width: 640, height: 480 });
+
+      expect(pose.yaw).toBeCloseTo(headPose.yaw, -0.5);
+      expect(pose.pitch).toBeCloseTo(headPose.pitch, -0.5);
+      expect(pose.roll).toBeCloseTo(headPose.roll, -0.5);
+    });
+
+    it('should estimate distance from the camera', () => {
+      [45, 60, 80].forEach(z => {
+        const landmarks = generateFaceLandmarks({ headPosition: { x: 0, y: 0, z } });
+        const pose = estimateHeadPose(landmarks, { width: 640, height: 480 });
+        expect(Math.abs(pose.translation.z - z) / z).toBeLessThan(0.1);
+      });
+    });
+
+    it('should track sideways head movement', () => {
+      const left = estimateHeadPose(generateFaceLandmarks({ headPosition: { x: -10, y: 0, z: 60 } }));
+      const right = estimateHeadPose(generateFaceLandmarks({ headPosition: { x: 10, y: 0, z: 60 } }));
+
+      expect(left.translation.x).toBeLessThan(-7);
+      expect(right.translation.x).toBeGreaterThan(7);
+    });
+
+    it('should tolerate landmark noise', () => {
+      const landmarks = generateFaceLandmarks({
+        headPose: { yaw: 15 },
+        noise: 0.001,
+        random: createRandom(11)
+      });
+      const pose = estimateHeadPose(landmarks);
+
+      expect(Math.abs(pose.yaw - 15)).toBeLessThan(5);
+    });
+  });
+
+  describe('headPoseToVector', () => {
+    it('should return 6 scaled values', () => {
+      const vector = headPoseToVector({
+        yaw: 10, pitch: -20, roll: 5, translation: { x: 1, y: 2, z: 60 }
+      });
+      expect(vector).toEqual([1, -2, 0.5, 0.1, 0.2, 6]);
+    });
+  });
+
+  describe('feature vector with head pose', () => {
+    it('should append head pose only when requested', () => {
+      const landmarks = generateFaceLandmarks({ headPose: { yaw: 10 } });
+      const headPose = estimateHeadPose(landmarks);
+
+      expect(extractEyeFeatures(landmarks, { headPose }).vector).toHaveLength(8);
+      expect(extractEyeFeatures(landmarks, { headPose, includeHeadPose: true }).vector).toHaveLength(14);
+      expect(extractEyeFeatures(landmarks, { includeHeadPose: true })).toBeNull();
+    });
+  });
+});
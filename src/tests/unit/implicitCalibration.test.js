@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ImplicitCalibrator, DISCARD_REASONS, fitAffineCorrection } from '../../core/implicitCalibration';
+
+const OPTIONS = {
+  enabled: true,
+  featureWindow: 500,
+  confirmDelay: 2000,
+  maxOffset: 0.1,
+  maxElementSize: 0.25,
+  minSamples: 8,
+  maxSamples: 50,
+  updateEvery: 3,
+  regularization: 0.05,
+  maxShift: 0.15
+};
+
+// The model drifted: everything is predicted 5% of the screen too far right
+const DRIFT = { x: 0.05, y: 0 };
+
+const TARGETS = [
+  { x: 0.2, y: 0.2 }, { x: 0.5, y: 0.2 }, { x: 0.8, y: 0.2 },
+  { x: 0.2, y: 0.5 }, { x: 0.5, y: 0.5 }, { x: 0.8, y: 0.5 },
+  { x: 0.2, y: 0.8 }, { x: 0.5, y: 0.8 }, { x: 0.8, y: 0.8 }
+];
+
+/**
+ * Look at a target for 600 ms, then dwell-click it
+ * @returns {number} Time after the click
+ */
+function lookAndClick(calibrator, target, time, element = target, offset = DRIFT) {
+  for (let t = 0; t < 600; t += 33) {
+    calibrator.recordFrame([target.x, target.y], { x: target.x + offset.x, y: target.y + offset.y }, time + t);
+  }
+  calibrator.handleClick({ target, elementSize: 0.05, element }, time + 600);
+  return time + 600;
+}
+
+describe('Implicit Recalibration', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should fit an affine correction pulled towards no change', () => {
+    const samples = TARGETS.map(target => ({ target, predicted: { x: target.x + 0.05, y: target.y } }));
+
+    const loose = fitAffineCorrection(samples, 1e-6);
+    expect(loose.x[2]).toBeCloseTo(-0.05, 3);
+    expect(loose.x[0]).toBeCloseTo(1, 3);
+
+    const strict = fitAffineCorrection(samples, 100);
+    expect(Math.abs(strict.x[2])).toBeLessThan(0.01);
+  });
+
+  it('should learn the drift from confirmed clicks', () => {
+    const calibrator = new ImplicitCalibrator(OPTIONS);
+    let time = 0;
+    TARGETS.forEach(target => {
+      time = lookAndClick(calibrator, target, time) + 2500;
+      calibrator.update(time);
+    });
+
+    expect(calibrator.getStats()).toMatchObject({ samples: 9, pending: 0, corrected: true });
+    const corrected = calibrator.correct({ x: 0.45, y: 0.3 });
+    expect(corrected.x).toBeCloseTo(0.4, 2);
+    expect(corrected.y).toBeCloseTo(0.3, 2);
+    calibrator.samples[0].features.forEach(value => expect(value).toBeCloseTo(0.2));
+  });
+
+  it('should not learn from undone clicks', () => {
+    const calibrator = new ImplicitCalibrator({ ...OPTIONS, minSamples: 1, updateEvery: 1 });
+
+    // Undo shortly after the click
+    let time = lookAndClick(calibrator, TARGETS[0], 0);
+    calibrator.undo();
+    calibrator.update(time + 2500);
+    expect(calibrator.getStats().samples).toBe(0);
+
+    // Clicking the same element again (toggled back)
+    time = lookAndClick(calibrator, TARGETS[1], time + 3000, 'checkbox');
+    lookAndClick(calibrator, TARGETS[1], time + 100, 'checkbox');
+    calibrator.update(time + 5000);
+
+    expect(calibrator.getStats()).toMatchObject({ samples: 0, corrected: false });
+    expect(calibrator.getStats().discarded[DISCARD_REASONS.UNDONE]).toBe(3);
+  });
+
+  it('should ignore clicks far from the gaze or on large elements', () => {
+    const calibrator = new ImplicitCalibrator(OPTIONS);
+    calibrator.recordFrame([0, 0], { x: 0.5, y: 0.5 }, 1000);
+
+    expect(calibrator.handleClick({ target: { x: 0.9, y: 0.5 }, elementSize: 0.05 }, 1100))
+      .toBe(DISCARD_REASONS.TOO_FAR);
+    expect(calibrator.handleClick({ target: { x: 0.5, y: 0.5 }, elementSize: 0.6 }, 1100))
+      .toBe(DISCARD_REASONS.LARGE_ELEMENT);
+    expect(calibrator.handleClick({ target: { x: 0.5, y: 0.5 }, elementSize: 0.05 }, 5000))
+      .toBe(DISCARD_REASONS.NO_FRAMES);
+    expect(calibrator.getStats().pending).toBe(0);
+  });
+
+  it('should reject corrections that move the screen too far', () => {
+    const calibrator = new ImplicitCalibrator({ ...OPTIONS, maxOffset: 1, maxShift: 0.02 });
+    let time = 0;
+    TARGETS.forEach(target => {
+      time = lookAndClick(calibrator, target, time, target, { x: 0.08, y: 0 }) + 2500;
+      calibrator.update(time);
+    });
+
+    expect(calibrator.getStats()).toMatchObject({ samples: 9, corrected: false });
+  });
+
+  it('should do nothing until enabled and persist the choice', () => {
+    const calibrator = new ImplicitCalibrator({ ...OPTIONS, enabled: false });
+    lookAndClick(calibrator, TARGETS[0], 0);
+    expect(calibrator.getStats().pending).toBe(0);
+    expect(calibrator.correct({ x: 0.3, y: 0.4 })).toEqual({ x: 0.3, y: 0.4 });
+
+    calibrator.setEnabled(true);
+    let time = 0;
+    TARGETS.forEach(target => {
+      time = lookAndClick(calibrator, target, time) + 2500;
+      calibrator.update(time);
+    });
+
+    const reloaded = new ImplicitCalibrator({ ...OPTIONS, enabled: false });
+    expect(reloaded.loadFromStorage()).toBe(true);
+    expect(reloaded.isEnabled()).toBe(true);
+    expect(reloaded.correct({ x: 0.45, y: 0.3 })).toEqual(calibrator.correct({ x: 0.45, y: 0.3 }));
+
+    reloaded.reset();
+    expect(reloaded.getStats()).toMatchObject({ samples: 0, corrected: false, enabled: true });
+  });
+});
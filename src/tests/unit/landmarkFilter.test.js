@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { LandmarkFilter, createValueFilter, FILTER_TYPES } from '../../utils/landmarkFilter';
+
+const FRAME = { width: 640, height: 480 };
+
+// 478 landmarks, all at the same position
+const mesh = (x, y = 0.5) => Array.from({ length: 478 }, () => ({ x, y, z: 0 }));
+
+describe('LandmarkFilter', () => {
+  it('should pass landmarks through when off', () => {
+    const filter = new LandmarkFilter({ contour: { type: 'off' }, iris: { type: 'off' } });
+    filter.filter(mesh(0.4), 0, FRAME);
+    const result = filter.filter(mesh(0.6), 33, FRAME);
+
+    expect(result[0].x).toBeCloseTo(0.6, 10);
+    expect(result[470].x).toBeCloseTo(0.6, 10);
+  });
+
+  it('should not modify the input landmarks', () => {
+    const filter = new LandmarkFilter({ contour: { type: 'ema', smoothing: 0.5 }, iris: { type: 'ema', smoothing: 0.5 } });
+    filter.filter(mesh(0.4), 0, FRAME);
+    const input = mesh(0.6);
+    filter.filter(input, 33, FRAME);
+
+    expect(input[0].x).toBe(0.6);
+  });
+
+  it('should filter contour and iris landmarks separately', () => {
+    const filter = new LandmarkFilter({
+      contour: { type: 'ema', smoothing: 0.6 },
+      iris: { type: 'off' }
+    });
+    filter.filter(mesh(0.4), 0, FRAME);
+    const result = filter.filter(mesh(0.5), 33, FRAME);
+
+    expect(result[33].x).toBeCloseTo(0.44, 6);   // Eye corner: smoothed
+    expect(result[468].x).toBeCloseTo(0.5, 6);   // Iris center: untouched
+  });
+
+  it('should follow a saccade with less lag than the EMA', () => {
+    const filter = new LandmarkFilter({
+      contour: { type: 'ema', smoothing: 0.6 },
+      iris: { type: 'one_euro', minCutoff: 1.0, beta: 0.05, dCutoff: 1.0 }
+    });
+    for (let t = 0; t < 10; t++) {
+      filter.filter(mesh(0.5), t * 33, FRAME);
+    }
+
+    // 20 px jump, then hold
+    let result;
+    for (let t = 10; t < 14; t++) {
+      result = filter.filter(mesh(0.5 + 20 / 640), t * 33, FRAME);
+    }
+    const irisLag = Math.abs(0.5 + 20 / 640 - result[468].x) * 640;
+    const contourLag = Math.abs(0.5 + 20 / 640 - result[33].x) * 640;
+
+    expect(irisLag).toBeLessThan(contourLag);
+  });
+
+  it('should suppress jitter with the 1€ filter', () => {
+    const filter = new LandmarkFilter({
+      contour: { type: 'off' },
+      iris: { type: 'one_euro', minCutoff: 1.0, beta: 0.05, dCutoff: 1.0 }
+    });
+    const jitter = [0, 0.5, -0.5, 0.4, -0.3, 0.5, -0.5, 0.2];
+    const outputs = [];
+    for (let t = 0; t < 40; t++) {
+      const x = 0.5 + jitter[t % jitter.length] / 640;
+      outputs.push(filter.filter(mesh(x), t * 33, FRAME)[468].x * 640);
+    }
+
+    const settled = outputs.slice(20);
+    const spread = Math.max(...settled) - Math.min(...settled);
+    expect(spread).toBeLessThan(0.5);
+  });
+
+  it('should start over after reset', () => {
+    const filter = new LandmarkFilter({ contour: { type: 'ema', smoothing: 0.9 }, iris: { type: 'ema', smoothing: 0.9 } });
+    filter.filter(mesh(0.2), 0, FRAME);
+    filter.reset();
+
+    expect(filter.filter(mesh(0.8), 33, FRAME)[0].x).toBeCloseTo(0.8, 10);
+  });
+
+  it('should reject unknown filter types', () => {
+    expect(() => new LandmarkFilter({ contour: { type: 'kalman' } })).toThrow('Unknown landmark filter type');
+    expect(() => createValueFilter({ type: FILTER_TYPES.ONE_EURO })).not.toThrow();
+  });
+});
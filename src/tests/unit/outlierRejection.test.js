@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  OutlierRejector,
+  FeatureStatistics,
+  REJECTION_REASONS,
+  STATISTIC_FEATURES,
+  chiSquareThreshold
+} from '../../core/outlierRejection';
+import { extractEyeFeatures, areEyeFeaturesValid, EYE_MODES } from '../../core/featureExtraction';
+import CalibrationManager from '../../core/calibration';
+import { generateFaceLandmarks, createRandom, DEFAULT_SCREEN } from '../fixtures/syntheticFace';
+
+const NOISE = 0.0002;
+
+/**
+ * Calibration-like frames: 20 noisy frames at each of 9 targets
+ */
+function calibrationFrames(options = {}) {
+  const random = createRandom(3);
+  const frames = [];
+  [0.1, 0.5, 0.9].forEach(py => [0.1, 0.5, 0.9].forEach(px => {
+    for (let i = 0; i < 20; i++) {
+      frames.push(extractEyeFeatures(generateFaceLandmarks({
+        gaze: { x: px * DEFAULT_SCREEN.width, y: py * DEFAULT_SCREEN.height },
+        noise: NOISE,
+        random,
+        ...options
+      })));
+    }
+  }));
+  return frames;
+}
+
+function learn(frames) {
+  const statistics = new FeatureStatistics();
+  frames.forEach(features => statistics.add(features));
+  return statistics;
+}
+
+const frame = (options = {}) => extractEyeFeatures(generateFaceLandmarks({
+  gaze: { x: 500, y: 300 },
+  noise: NOISE,
+  random: createRandom(11),
+  ...options
+}));
+
+describe('Outlier Rejection', () => {
+  let rejector;
+
+  beforeEach(() => {
+    rejector = new OutlierRejector({ rejectionSigma: 4, minSamples: 100, regularization: 0.1, statsWindow: 50 });
+  });
+
+  describe('FeatureStatistics', () => {
+    it('should compute mean and covariance incrementally', () => {
+      const statistics = new FeatureStatistics();
+      [1, 3, 5].forEach(value => {
+        statistics.add({ normalized: Object.fromEntries(STATISTIC_FEATURES.map(name => [name, value])) });
+      });
+      // Frames without normalized features are skipped
+      expect(statistics.add({ vector: [1, 2] })).toBe(false);
+
+      expect(statistics.count).toBe(3);
+      expect(statistics.mean).toEqual(new Array(8).fill(3));
+      expect(statistics.getCovariance()[0][0]).toBeCloseTo(4);
+      expect(statistics.getCovariance()[2][7]).toBeCloseTo(4);
+    });
+
+    it('should survive a save/load round trip', () => {
+      const statistics = learn(calibrationFrames());
+      const restored = FeatureStatistics.fromJSON(JSON.parse(JSON.stringify(statistics.toJSON())));
+
+      expect(restored.count).toBe(statistics.count);
+      expect(restored.mean).toEqual(statistics.mean);
+      restored.getCovariance().forEach((row, i) => row.forEach((value, j) => {
+        expect(value).toBeCloseTo(statistics.getCovariance()[i][j], 10);
+      }));
+    });
+  });
+
+  it('should use the fixed thresholds until statistics are learned', () => {
+    expect(rejector.check(frame()).valid).toBe(true);
+    expect(rejector.check(frame({ eyeOpenness: 0.02 }))).toMatchObject({
+      valid: false,
+      reason: REJECTION_REASONS.FIXED_THRESHOLD
+    });
+    expect(rejector.check(null).reason).toBe(REJECTION_REASONS.NO_FEATURES);
+
+    rejector.setStatistics(learn(calibrationFrames().slice(0, 50)));
+    expect(rejector.isAdaptive()).toBe(false);
+  });
+
+  it('should accept the calibrated user\'s normal frames', () => {
+    rejector.setStatistics(learn(calibrationFrames()));
+    const random = createRandom(99);
+    const results = Array.from({ length: 30 }, () => rejector.check(extractEyeFeatures(generateFaceLandmarks({
+      gaze: { x: random() * DEFAULT_SCREEN.width, y: random() * DEFAULT_SCREEN.height },
+      noise: NOISE,
+      random
+    }))));
+
+    expect(results.filter(r => r.valid).length).toBeGreaterThanOrEqual(29);
+  });
+
+  it('should reject blinks and glances away with a reason', () => {
+    rejector.setStatistics(learn(calibrationFrames()));
+
+    expect(rejector.check(frame({ eyeOpenness: 0.3 }))).toMatchObject({
+      valid: false,
+      reason: REJECTION_REASONS.EYE_CLOSED
+    });
+    expect(rejector.check(frame({ gaze: { x: 6000, y: -4000 } }))).toMatchObject({
+      valid: false,
+      reason: REJECTION_REASONS.IRIS_OFFSET
+    });
+  });
+
+  it('should adapt to narrow eyes the fixed thresholds reject', () => {
+    const narrow = { eyeOpenness: 0.1 };
+    const features = frame(narrow);
+    expect(areEyeFeaturesValid(features)).toBe(false);
+
+    rejector.setStatistics(learn(calibrationFrames(narrow)));
+    expect(rejector.check(features).valid).toBe(true);
+    expect(rejector.check(frame({ eyeOpenness: 0.02 })).reason).toBe(REJECTION_REASONS.EYE_CLOSED);
+  });
+
+  it('should only judge the tracked eye in single-eye mode', () => {
+    rejector.setStatistics(learn(calibrationFrames()));
+    // User's left eye (image right) closed
+    const features = frame({ eyeOpenness: { left: 1, right: 0.02 } });
+
+    expect(rejector.check(features, EYE_MODES.BOTH).valid).toBe(false);
+    expect(rejector.check(features, EYE_MODES.RIGHT).valid).toBe(true);
+  });
+
+  it('should report the reject rate and reasons over recent frames', () => {
+    rejector.setStatistics(learn(calibrationFrames()));
+    for (let i = 0; i < 6; i++) rejector.check(frame());
+    for (let i = 0; i < 3; i++) rejector.check(frame({ eyeOpenness: 0.02 }));
+    rejector.check(null);
+
+    const stats = rejector.getStats();
+    expect(stats).toMatchObject({ frames: 10, rejected: 4, adaptive: true });
+    expect(stats.rejectRate).toBeCloseTo(0.4);
+    expect(stats.reasons).toEqual({
+      [REJECTION_REASONS.EYE_CLOSED]: 3,
+      [REJECTION_REASONS.NO_FEATURES]: 1
+    });
+
+    rejector.reset();
+    expect(rejector.getStats().frames).toBe(0);
+  });
+
+  it('should grow the threshold with the number of features', () => {
+    // ~99.997% quantiles of the chi-square distribution
+    expect(Math.sqrt(chiSquareThreshold(3, 4))).toBeCloseTo(4.9, 0);
+    expect(chiSquareThreshold(8, 4)).toBeGreaterThan(chiSquareThreshold(3, 4));
+  });
+
+  it('should store the statistics with the calibration', () => {
+    localStorage.clear();
+    const manager = new CalibrationManager();
+    manager.startCalibration();
+    calibrationFrames().forEach((features, i) => {
+      manager.addSample({ ...features, extractor: 'v1' }, i, 0);
+    });
+    manager.completeCurrentPoint();
+    manager.finishCalibration();
+    manager.saveToStorage();
+
+    const reloaded = new CalibrationManager();
+    reloaded.loadFromStorage('v1');
+    expect(reloaded.featureStatistics.count).toBe(180);
+    expect(reloaded.featureStatistics.mean).toEqual(manager.featureStatistics.mean);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  SessionRecorder,
+  parseSessionRecording,
+  replaySession
+} from '../../core/sessionRecorder';
+import { extractEyeFeatures } from '../../core/featureExtraction';
+import { GazeSmoother } from '../../utils/smoothing';
+
+describe('SessionRecorder', () => {
+  let recorder;
+
+  // Mock landmarks with the iris shifted by `shift`
+  const createMockLandmarks = (shift = 0) => {
+    const landmarks = new Array(478).fill(null).map(() => ({ x: 0.5, y: 0.5, z: 0 }));
+    landmarks[133] = { x: 0.4, y: 0.5, z: 0 };  // Left eye inner
+    landmarks[33] = { x: 0.5, y: 0.5, z: 0 };   // Left eye outer
+    landmarks[362] = { x: 0.5, y: 0.5, z: 0 };  // Right eye inner
+    landmarks[263] = { x: 0.6, y: 0.5, z: 0 };  // Right eye outer
+    landmarks[159] = { x: 0.45, y: 0.48, z: 0 }; // Left eye top
+    landmarks[145] = { x: 0.45, y: 0.52, z: 0 }; // Left eye bottom
+    landmarks[386] = { x: 0.55, y: 0.48, z: 0 }; // Right eye top
+    landmarks[374] = { x: 0.55, y: 0.52, z: 0 }; // Right eye bottom
+    landmarks[468] = { x: 0.45 + shift, y: 0.5, z: 0 }; // Left iris center
+    landmarks[473] = { x: 0.55 + shift, y: 0.5, z: 0 }; // Right iris center
+    landmarks[234] = { x: 0.3, y: 0.5, z: 0 };  // Left face edge
+    landmarks[454] = { x: 0.7, y: 0.5, z: 0 };  // Right face edge
+    return landmarks;
+  };
+
+  const recordSession = () => {
+    recorder.start({ width: 640, height: 480 });
+    recorder.recordTarget(64, 48);
+    for (let i = 0; i < 10; i++) {
+      recorder.recordFrame({ multiFaceLandmarks: [createMockLandmarks(i * 0.001)] });
+    }
+    recorder.recordTargetDone();
+    recorder.recordFrame({ multiFaceLandmarks: [] });
+    recorder.stop();
+    return parseSessionRecording(recorder.toJSONL());
+  };
+
+  beforeEach(() => {
+    recorder = new SessionRecorder();
+  });
+
+  it('should ignore frames when not recording', () => {
+    recorder.recordFrame({ multiFaceLandmarks: [createMockLandmarks()] });
+    expect(recorder.events).toHaveLength(0);
+  });
+
+  it('should round-trip through JSONL', () => {
+    const recording = recordSession();
+
+    expect(recording.header.video).toEqual({ width: 640, height: 480 });
+    expect(recording.events).toHaveLength(13);
+    expect(recording.events[0]).toMatchObject({ type: 'target', x: 64, y: 48 });
+    expect(recording.events[1].faces[0]).toHaveLength(478);
+  });
+
+  it('should not be affected by in-place changes to recorded landmarks', () => {
+    recorder.start();
+    const results = { multiFaceLandmarks: [createMockLandmarks()] };
+    recorder.recordFrame(results);
+    results.multiFaceLandmarks[0][468].x = 0.9;
+
+    expect(recorder.events[0].faces[0][468][0]).toBe(0.45);
+  });
+
+  it('should reject unknown recording versions', () => {
+    expect(() => parseSessionRecording('{"type":"header","version":99}\n')).toThrow();
+    expect(() => parseSessionRecording('')).toThrow();
+  });
+
+  it('should replay frames and targets in order', async () => {
+    const recording = recordSession();
+    const order = [];
+
+    const frames = await replaySession(
+      recording,
+      (results) => order.push(results.multiFaceLandmarks.length ? 'frame' : 'empty'),
+      {
+        onTarget: (x, y) => order.push(`target ${x},${y}`),
+        onTargetDone: () => order.push('done')
+      }
+    );
+
+    expect(frames).toBe(11);
+    expect(order[0]).toBe('target 64,48');
+    expect(order.slice(1, 11).every(e => e === 'frame')).toBe(true);
+    expect(order.slice(11)).toEqual(['done', 'empty']);
+  });
+
+  it('should replay deterministically through the feature pipeline', async () => {
+    const recording = recordSession();
+
+    const runPipeline = async () => {
+      const smoother = new GazeSmoother(30);
+      const output = [];
+      await replaySession(recording, (results) => {
+        const landmarks = results.multiFaceLandmarks[0];
+        if (!landmarks) return;
+        const features = extractEyeFeatures(landmarks);
+        output.push(smoother.smooth(features.vector[0], features.vector[1], results.timestamp));
+      });
+      return output;
+    };
+
+    const first = await runPipeline();
+    const second = await runPipeline();
+
+    expect(first).toHaveLength(10);
+    expect(second).toEqual(first);
+  });
+});
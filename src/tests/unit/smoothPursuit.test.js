@@ -0,0 +1,122 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  PURSUIT_PATHS,
+  getPursuitPosition,
+  estimatePursuitLag,
+  labelPursuitSamples
+} from '../../core/smoothPursuit';
+import CalibrationManager from '../../core/calibration';
+import { extractFeatures } from '../../core/featureExtractors';
+import { CONFIG } from '../../config/config';
+import { generateFaceLandmarks, createRandom, DEFAULT_SCREEN } from '../fixtures/syntheticFace';
+
+const INTERVAL = 33;
+const DURATION = 8000;
+
+const toScreen = ({ x, y }) => ({ x: (x / 100) * DEFAULT_SCREEN.width, y: (y / 100) * DEFAULT_SCREEN.height });
+
+/**
+ * Follow a Lissajous target with eyes trailing it by `lag` ms
+ * @returns {Array} Samples as CalibrationManager records them
+ */
+function recordPursuit(lag, start = 0) {
+  const random = createRandom(13);
+  const samples = [];
+  for (let t = 0; t <= DURATION; t += INTERVAL) {
+    const target = toScreen(getPursuitPosition('lissajous', t / DURATION, { margin: 10 }));
+    const gaze = toScreen(getPursuitPosition('lissajous', (t - lag) / DURATION, { margin: 10 }));
+    const features = extractFeatures(generateFaceLandmarks({ gaze, noise: 0.0002, random }), {}, 'v1');
+    samples.push({ features: features.vector, extracted: features, targetX: target.x, targetY: target.y, timestamp: start + t });
+  }
+  return samples;
+}
+
+describe('Smooth Pursuit', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should keep every path inside the margins', () => {
+    PURSUIT_PATHS.forEach(path => {
+      for (let t = 0; t <= 1; t += 0.01) {
+        const { x, y } = getPursuitPosition(path, t, { margin: 10 });
+        expect(x).toBeGreaterThanOrEqual(10 - 1e-9);
+        expect(x).toBeLessThanOrEqual(90 + 1e-9);
+        expect(y).toBeGreaterThanOrEqual(10 - 1e-9);
+        expect(y).toBeLessThanOrEqual(90 + 1e-9);
+      }
+    });
+    expect(getPursuitPosition('spiral', 0)).toEqual({ x: 50, y: 50 });
+    expect(() => getPursuitPosition('zigzag', 0)).toThrow('Unknown pursuit path');
+  });
+
+  it('should estimate how far the eyes trail the target', () => {
+    const options = { maxLag: 300, lagStep: 20, settleTime: 500, defaultLag: 100 };
+
+    expect(estimatePursuitLag(recordPursuit(200), options)).toBeCloseTo(200, -2);
+    expect(estimatePursuitLag(recordPursuit(0), options)).toBeLessThanOrEqual(40);
+  });
+
+  it('should label samples with the target position the eyes were at', () => {
+    const samples = recordPursuit(100);
+    const { lag, points } = labelPursuitSamples(samples, {
+      lag: 99, settleTime: 1000, duration: DURATION, segmentCount: 40
+    });
+
+    expect(lag).toBe(99);
+    // Samples of the first second are dropped, the rest averaged per 200 ms of the path
+    expect(points.length).toBe(35);
+    const used = samples.filter(s => s.timestamp >= 1000);
+    const sampleCount = points.reduce((sum, p) => sum + p.sampleCount, 0);
+    expect(sampleCount).toBeLessThanOrEqual(used.length);
+    expect(sampleCount / points.length).toBeGreaterThan(3);
+    points.forEach(point => expect(point.samples.length).toBe(point.sampleCount));
+
+    // Each point's label is the mean of where the target was when its frames were seen
+    const point = points[10];
+    const times = used.filter(s => point.samples.includes(s.features)).map(s => s.timestamp - 99);
+    const expected = times
+      .map(t => toScreen(getPursuitPosition('lissajous', t / DURATION, { margin: 10 })))
+      .reduce((sum, p) => ({ x: sum.x + p.x / times.length, y: sum.y + p.y / times.length }), { x: 0, y: 0 });
+    expect(point.targetX).toBeCloseTo(expected.x, -1);
+    expect(point.targetY).toBeCloseTo(expected.y, -1);
+  });
+
+  it('should collect a pursuit through CalibrationManager', () => {
+    vi.useFakeTimers();
+    localStorage.clear();
+    const manager = new CalibrationManager();
+    manager.startCalibration();
+    manager.setPattern('lissajous');
+
+    recordPursuit(120, Date.now()).forEach(sample => {
+      vi.setSystemTime(sample.timestamp);
+      manager.addSample(sample.extracted, sample.targetX, sample.targetY);
+    });
+
+    expect(manager.completePursuit({ lag: 'auto', settleTime: 1000, lagStep: 10, duration: DURATION })).toBe(true);
+    // Every stretch of the path after the first second
+    expect(manager.points.length).toBe(Math.ceil((DURATION - 1000) / (DURATION / CONFIG.pursuit.segmentCount)));
+    expect(manager.points.filter(point => point.sampleCount > 1).length).toBeGreaterThan(50);
+    expect(Math.abs(manager.pursuitLag - 120)).toBeLessThanOrEqual(20);
+    manager.finishCalibration();
+    manager.saveToStorage();
+
+    const reloaded = new CalibrationManager();
+    reloaded.loadFromStorage('v1');
+    expect(reloaded.pursuitLag).toBe(manager.pursuitLag);
+    expect(reloaded.pattern).toBe('lissajous');
+
+    expect(manager.completePursuit()).toBe(false);
+
+    // Following only the first part of the path is not enough
+    manager.startCalibration();
+    manager.setPattern('lissajous');
+    recordPursuit(120, Date.now()).slice(0, 90).forEach(sample => {
+      vi.setSystemTime(sample.timestamp);
+      manager.addSample(sample.extracted, sample.targetX, sample.targetY);
+    });
+    expect(manager.completePursuit({ lag: 120, settleTime: 1000, duration: DURATION })).toBe(false);
+    expect(manager.points).toHaveLength(0);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  TrackingQualityMonitor,
+  TRACKING_STATES,
+  DEGRADED_REASONS,
+  computeLandmarkConfidence
+} from '../../core/trackingQuality';
+import { extractEyeFeatures } from '../../core/featureExtraction';
+import { generateFaceLandmarks } from '../fixtures/syntheticFace';
+
+const faceFrame = (options = {}, headPose = { yaw: 0, pitch: 0, roll: 0 }) => {
+  const landmarks = generateFaceLandmarks(options);
+  return { landmarks, features: extractEyeFeatures(landmarks), headPose };
+};
+
+describe('TrackingQualityMonitor', () => {
+  let monitor;
+  let time;
+  let events;
+
+  // Feed `duration` ms of frames at 30 FPS
+  const feed = (frame, duration) => {
+    const frames = Math.max(1, Math.round(duration / 33));
+    for (let i = 0; i < frames; i++) {
+      monitor.update(frame, time);
+      time += 33;
+    }
+    return monitor.state;
+  };
+
+  beforeEach(() => {
+    monitor = new TrackingQualityMonitor({ reacquireDuration: 300, faceLostDelay: 200 });
+    time = 0;
+    events = [];
+    monitor.onStateChange(event => events.push(event.state));
+  });
+
+  it('should settle on good after the face is acquired', () => {
+    expect(feed(faceFrame(), 100)).toBe(TRACKING_STATES.REACQUIRED);
+    expect(monitor.isFrozen()).toBe(true);
+
+    expect(feed(faceFrame(), 400)).toBe(TRACKING_STATES.GOOD);
+    expect(monitor.isFrozen()).toBe(false);
+    expect(events).toEqual([TRACKING_STATES.REACQUIRED, TRACKING_STATES.GOOD]);
+  });
+
+  it('should ignore short face dropouts', () => {
+    feed(faceFrame(), 500);
+
+    expect(feed({ landmarks: null }, 100)).toBe(TRACKING_STATES.GOOD);
+    expect(feed(faceFrame(), 100)).toBe(TRACKING_STATES.GOOD);
+  });
+
+  it('should report face lost and reacquired', () => {
+    feed(faceFrame(), 500);
+
+    expect(feed({ landmarks: null }, 300)).toBe(TRACKING_STATES.FACE_LOST);
+    expect(feed(faceFrame(), 33)).toBe(TRACKING_STATES.REACQUIRED);
+    expect(feed(faceFrame(), 400)).toBe(TRACKING_STATES.GOOD);
+  });
+
+  it('should report closed eyes and return to good', () => {
+    feed(faceFrame(), 500);
+
+    expect(feed({ ...faceFrame({ eyeOpenness: 0.1 }), eyesClosed: true }, 150)).toBe(TRACKING_STATES.EYES_CLOSED);
+    expect(monitor.isFrozen()).toBe(true);
+    expect(feed(faceFrame(), 33)).toBe(TRACKING_STATES.GOOD);
+  });
+
+  it('should degrade on an extreme head pose', () => {
+    feed(faceFrame(), 500);
+
+    expect(feed(faceFrame({}, { yaw: 40, pitch: 0, roll: 0 }), 33)).toBe(TRACKING_STATES.DEGRADED);
+    expect(monitor.reasons).toEqual([DEGRADED_REASONS.HEAD_POSE]);
+    expect(monitor.isFrozen()).toBe(false);
+  });
+
+  it('should degrade when most features are invalid', () => {
+    feed(faceFrame(), 500);
+
+    // One eye hidden (e.g. glasses glare): features fail validation without a blink
+    feed(faceFrame({ eyeOpenness: { left: 1, right: 0.1 } }), 700);
+    expect(monitor.state).toBe(TRACKING_STATES.DEGRADED);
+    expect(monitor.reasons).toContain(DEGRADED_REASONS.INVALID_FEATURES);
+    expect(monitor.getValidRate()).toBeLessThan(0.6);
+  });
+
+  it('should degrade when the frame rate drops', () => {
+    feed(faceFrame(), 500);
+
+    for (let i = 0; i < 30; i++) {
+      monitor.update(faceFrame(), time);
+      time += 100; // 10 FPS
+    }
+    expect(monitor.reasons).toContain(DEGRADED_REASONS.LOW_FPS);
+  });
+
+  it('should report reason changes while degraded', () => {
+    feed(faceFrame(), 500);
+    feed(faceFrame({}, { yaw: 40, pitch: 0, roll: 0 }), 33);
+    events = [];
+
+    feed(faceFrame({}, { yaw: 0, pitch: 35, roll: 0 }), 33);
+    feed(faceFrame({ headPosition: { x: 35, y: 0, z: 60 } }, { yaw: 0, pitch: 35, roll: 0 }), 33);
+
+    expect(events).toEqual([TRACKING_STATES.DEGRADED]);
+    expect(monitor.reasons).toEqual([DEGRADED_REASONS.LOW_CONFIDENCE, DEGRADED_REASONS.HEAD_POSE]);
+  });
+
+  it('should measure landmark confidence from the share of landmarks in frame', () => {
+    expect(computeLandmarkConfidence(generateFaceLandmarks())).toBe(1);
+    expect(computeLandmarkConfidence(generateFaceLandmarks({ headPosition: { x: 35, y: 0, z: 60 } }))).toBeLessThan(0.9);
+    expect(computeLandmarkConfidence(null)).toBe(0);
+  });
+});
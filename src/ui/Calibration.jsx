@@ -1,117 +1,438 @@
 /**
  * Calibration Component for NovaVista FreeGaze
- * 9-point calibration system for gaze prediction
+ * Point calibration for gaze prediction (pattern from CONFIG.calibration,
+ * selectable before starting). Afterwards, a review screen shows each point's
+ * sample count and spread so bad points can be collected again.
+ * Alternatively, smooth pursuit: the user follows a moving target (CONFIG.pursuit).
+ *
+ * Samples come from camera frames (the `frame` prop, one per processed frame),
+ * timestamped when the frame was captured (see FrameLoop in faceDetection.js).
+ * Point samples are only taken once the eyes rest on the target (see
+ * fixationDetection.js).
+ *
+ * Works without a mouse: it starts on its own once a face is visible, or on a
+ * blink or switch press (CONFIG.calibration.handsFree), and speaks and beeps
+ * its cues (audioCues.js).
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { sessionRecorder } from '../core/sessionRecorder';
+import {
+  CALIBRATION_PATTERNS,
+  getCalibrationPattern,
+  getCalibrationSequence
+} from '../core/calibrationPatterns';
+import { PURSUIT_PATHS, getPursuitPosition } from '../core/smoothPursuit';
+import { FixationSampler, SAMPLING_PHASES } from '../core/fixationDetection';
+import {
+  viewportTracker,
+  percentToViewport,
+  viewportToScreen,
+  screenToViewport,
+  viewportToPercent
+} from '../core/coordinates';
+import { audioCues, AUDIO_CUES } from '../utils/audioCues';
+import { useHandsFreeConfirm, getHandsFreeHint } from './handsFree';
+import { CONFIG } from '../config/config';
 import './Calibration.css';
 
-function Calibration({ onCalibrationComplete, onCancel, eyeFeatures, calibrationManager }) {
+const { countdownTime, samplesPerPoint } = CONFIG.calibration;
+const { autoStartDelay, faceLostDelay } = CONFIG.calibration.handsFree;
+
+// Custom patterns are only offered when configured
+const selectablePatterns = CALIBRATION_PATTERNS.filter(
+  pattern => pattern !== 'custom' || CONFIG.calibration.customPoints.length > 0
+);
+
+const isPursuitPath = (pattern) => PURSUIT_PATHS.includes(pattern);
+
+function Calibration({ onCalibrationComplete, onCancel, frame, blinkEvent, calibrationManager }) {
   const [currentPoint, setCurrentPoint] = useState(0);
   const [isCollecting, setIsCollecting] = useState(false);
-  const [countdown, setCountdown] = useState(3);
+  const [samplingPhase, setSamplingPhase] = useState(null);
+  const [countdown, setCountdown] = useState(countdownTime);
   const [calibrationData, setCalibrationData] = useState([]);
+  const [pattern, setPattern] = useState(CONFIG.calibration.pattern);
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [pointQuality, setPointQuality] = useState([]);
+  const [selectedPoints, setSelectedPoints] = useState([]);
+  // Indexes (in calibrationManager.points) still to be collected again
+  const [redoQueue, setRedoQueue] = useState([]);
+  const [reviewCount, setReviewCount] = useState(0);
+  // Seconds until calibration starts by itself (counts while a face is visible)
+  const [autoStartIn, setAutoStartIn] = useState(autoStartDelay);
+  const [faceVisible, setFaceVisible] = useState(false);
+  const faceSeenAtRef = useRef(null);
+
+  // Points in display order (percentage positions), shuffled when starting
+  const [calibrationPoints, setCalibrationPoints] = useState(() => getCalibrationPattern(pattern));
+  // Moving target (percent of the viewport) and how far along its path it is
+  const [pursuitPosition, setPursuitPosition] = useState(null);
+  const [pursuitProgress, setPursuitProgress] = useState(0);
+  const pursuitIntervalRef = useRef(null);
+
+  // Don't keep sampling if the overlay is closed mid-pursuit
+  useEffect(() => () => clearInterval(pursuitIntervalRef.current), []);
 
-  // 9-point grid (percentage positions)
-  const calibrationPoints = [
-    { x: 10, y: 10, id: 1 },   // Top-left
-    { x: 50, y: 10, id: 2 },   // Top-center
-    { x: 90, y: 10, id: 3 },   // Top-right
-    { x: 10, y: 50, id: 4 },   // Middle-left
-    { x: 50, y: 50, id: 5 },   // Center
-    { x: 90, y: 50, id: 6 },   // Middle-right
-    { x: 10, y: 90, id: 7 },   // Bottom-left
-    { x: 50, y: 90, id: 8 },   // Bottom-center
-    { x: 90, y: 90, id: 9 }    // Bottom-right
-  ];
+  // Handles each new camera frame {features (null if rejected), timestamp} while collecting
+  const frameHandlerRef = useRef(null);
+  useEffect(() => {
+    if (frame) frameHandlerRef.current?.(frame);
+  }, [frame]);
+
+  // The face only counts as gone after faceLostDelay without a usable frame,
+  // so blinks and single rejected frames don't pause the auto start
+  useEffect(() => {
+    if (!frame) return;
+    if (frame.features) {
+      faceSeenAtRef.current = frame.timestamp;
+      setFaceVisible(true);
+    } else if (faceSeenAtRef.current === null || frame.timestamp - faceSeenAtRef.current > faceLostDelay) {
+      setFaceVisible(false);
+    }
+  }, [frame]);
 
   const totalPoints = calibrationPoints.length;
-  const progress = ((currentPoint) / totalPoints) * 100;
+  const isRedoing = redoQueue.length > 0;
+  const isPursuit = isPursuitPath(pattern);
+  const progress = isPursuit ? pursuitProgress * 100 : ((currentPoint) / totalPoints) * 100;
+  const isStartScreen = !isCollecting && currentPoint === 0 && !isRedoing && !isReviewing;
+  // First review: the switch redoes the flagged points; afterwards it continues
+  const redoOnConfirm = selectedPoints.length > 0 && reviewCount === 1;
+
+  useHandsFreeConfirm({
+    blinkEvent,
+    enabled: isStartScreen || isReviewing,
+    onConfirm: () => {
+      if (isStartScreen) {
+        startCalibration();
+      } else if (redoOnConfirm) {
+        redoSelectedPoints();
+      } else {
+        finishCalibration();
+      }
+    },
+    onCancel
+  });
+
+  // Start by itself after autoStartDelay seconds with the user in view
+  // (the countdown pauses while the face is out of view, it doesn't start over)
+  useEffect(() => {
+    if (!isStartScreen || autoStartIn === null || !faceVisible) return undefined;
+    if (autoStartIn <= 0) {
+      startCalibration();
+      return undefined;
+    }
+    const timer = setTimeout(() => setAutoStartIn(autoStartIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [isStartScreen, autoStartIn, faceVisible]);
 
   // Start collection countdown
   useEffect(() => {
     if (isCollecting && countdown > 0) {
+      audioCues.play(countdown === countdownTime ? AUDIO_CUES.LOOK : AUDIO_CUES.TICK);
       const timer = setTimeout(() => setCountdown(countdown - 1), 1000);
       return () => clearTimeout(timer);
     } else if (isCollecting && countdown === 0) {
       // Start collecting data
-      collectDataForPoint();
+      if (isPursuit) {
+        collectPursuit();
+      } else {
+        collectDataForPoint();
+      }
     }
   }, [isCollecting, countdown]);
 
   function collectDataForPoint() {
-    // Collect 60 samples (2 seconds at 30 FPS)
-    const point = calibrationPoints[currentPoint];
-    const screenX = (point.x / 100) * window.innerWidth;
-    const screenY = (point.y / 100) * window.innerHeight;
+    // Collect CONFIG.calibration.samplesPerPoint samples while the eyes rest on the target.
+    // Targets are labeled in screen pixels (see coordinates.js), so the
+    // calibration survives window resizes and moves
+    const geometry = viewportTracker.update();
+    let screenX, screenY;
+    if (isRedoing) {
+      ({ targetX: screenX, targetY: screenY } = calibrationManager.points[redoQueue[0]]);
+      calibrationManager.redoPoint(redoQueue[0]);
+    } else {
+      const position = percentToViewport(calibrationPoints[currentPoint], geometry);
+      ({ x: screenX, y: screenY } = viewportToScreen(position, geometry));
+    }
+    
+    sessionRecorder.recordTarget(screenX, screenY);
     
-    let sampleCount = 0;
-    const maxSamples = 60;
+    const sampler = new FixationSampler();
+    setSamplingPhase(SAMPLING_PHASES.WAITING);
+    let holdCued = false;
     
-    const collectInterval = setInterval(() => {
-      if (eyeFeatures) {
-        calibrationManager.addSample(eyeFeatures, screenX, screenY);
-        sampleCount++;
+    frameHandlerRef.current = ({ features, timestamp }) => {
+      if (sampler.addFrame(features, timestamp)) {
+        calibrationManager.addSample(features, screenX, screenY, timestamp);
       }
       
-      if (sampleCount >= maxSamples) {
-        clearInterval(collectInterval);
+      const status = sampler.getStatus();
+      setSamplingPhase(status.phase);
+      if (!holdCued && status.phase !== SAMPLING_PHASES.WAITING) {
+        holdCued = true;
+        audioCues.play(AUDIO_CUES.HOLD);
+      }
+      if (status.phase === SAMPLING_PHASES.DONE) {
+        frameHandlerRef.current = null;
+        if (status.samplingTimedOut) {
+          console.warn(`⚠️ Point kept with ${status.sampleCount}/${samplesPerPoint} samples (${status.invalidCount} frames rejected)`);
+        }
         
         // Complete this point
         const success = calibrationManager.completeCurrentPoint();
+        sessionRecorder.recordTargetDone();
+        if (success) audioCues.play(AUDIO_CUES.DONE);
         
-        if (success) {
+        if (success && isRedoing) {
+          const remaining = redoQueue.slice(1);
+          setRedoQueue(remaining);
+          setIsCollecting(false);
+          if (remaining.length > 0) {
+            setCountdown(countdownTime);
+            setTimeout(() => setIsCollecting(true), 500);
+          } else {
+            showReview();
+          }
+        } else if (success) {
           // Move to next point
           if (currentPoint < totalPoints - 1) {
             setCurrentPoint(currentPoint + 1);
             setIsCollecting(false);
-            setCountdown(3);
+            setCountdown(countdownTime);
             setTimeout(() => setIsCollecting(true), 500);
+          } else if (CONFIG.calibration.reviewPoints) {
+            setIsCollecting(false);
+            showReview();
           } else {
-            // Calibration complete
-            const data = calibrationManager.finishCalibration();
-            onCalibrationComplete(data);
+            finishCalibration();
           }
         } else {
           // Failed to collect, retry
           setIsCollecting(false);
-          setCountdown(3);
+          setCountdown(countdownTime);
           setTimeout(() => setIsCollecting(true), 500);
         }
       }
-    }, 33); // ~30 Hz
+    };
+  }
+
+  function collectPursuit() {
+    // Sample continuously while the target moves; labels are corrected for
+    // the eyes' lag when the recording is complete (see smoothPursuit.js)
+    const { duration, sampleInterval: pursuitInterval } = CONFIG.pursuit;
+    const start = Date.now();
+    const progressAt = (time) => Math.min(1, (time - start) / duration);
+    audioCues.play(AUDIO_CUES.FOLLOW);
+
+    // Every valid frame is a sample, labeled with where the target was when
+    // the frame was captured (not when it finished processing)
+    frameHandlerRef.current = ({ features, timestamp }) => {
+      if (!features || timestamp < start) return;
+      const geometry = viewportTracker.update();
+      const position = getPursuitPosition(pattern, progressAt(timestamp));
+      const target = viewportToScreen(percentToViewport(position, geometry), geometry);
+      calibrationManager.addSample(features, target.x, target.y, timestamp);
+    };
+
+    // Move the target
+    pursuitIntervalRef.current = setInterval(() => {
+      const elapsed = progressAt(Date.now());
+      setPursuitPosition(getPursuitPosition(pattern, elapsed));
+      setPursuitProgress(elapsed);
+
+      if (elapsed >= 1) {
+        clearInterval(pursuitIntervalRef.current);
+        frameHandlerRef.current = null;
+        setIsCollecting(false);
+        if (calibrationManager.completePursuit()) {
+          finishCalibration();
+        } else {
+          // Back to the start screen to try again
+          setPursuitProgress(0);
+          setCountdown(countdownTime);
+          setAutoStartIn(autoStartDelay);
+        }
+      }
+    }, pursuitInterval);
+  }
+
+  function finishCalibration() {
+    // Calibration complete
+    const data = calibrationManager.finishCalibration();
+    audioCues.play(AUDIO_CUES.COMPLETE);
+    onCalibrationComplete(data);
+  }
+
+  function showReview() {
+    const quality = calibrationManager.getPointQuality();
+    setPointQuality(quality);
+    // Bad points are selected for redoing by default
+    setSelectedPoints(quality.filter(q => q.isBad).map(q => q.index));
+    setReviewCount(count => count + 1);
+    setIsReviewing(true);
+    audioCues.play(AUDIO_CUES.REVIEW);
+  }
+
+  function togglePoint(index) {
+    setSelectedPoints(selected => selected.includes(index)
+      ? selected.filter(i => i !== index)
+      : [...selected, index]);
+  }
+
+  function redoSelectedPoints() {
+    setIsReviewing(false);
+    setRedoQueue([...selectedPoints]);
+    setCountdown(countdownTime);
+    setIsCollecting(true);
+  }
+
+  function handlePatternChange(event) {
+    const { value } = event.target;
+    const selected = value === 'custom' || isPursuitPath(value) ? value : Number(value);
+    setPattern(selected);
+    if (!isPursuitPath(selected)) {
+      setCalibrationPoints(getCalibrationPattern(selected));
+    }
+    // Someone is choosing - give them the full delay again
+    setAutoStartIn(autoStartDelay);
   }
 
   function startCalibration() {
+    if (isPursuit) {
+      setPursuitPosition(getPursuitPosition(pattern, 0));
+      setPursuitProgress(0);
+    } else {
+      // Random order, so the next target can't be anticipated
+      setCalibrationPoints(getCalibrationSequence(pattern));
+    }
+    calibrationManager.setPattern(pattern);
     setCurrentPoint(0);
     setIsCollecting(true);
-    setCountdown(3);
+    setCountdown(countdownTime);
     setCalibrationData([]);
+    setRedoQueue([]);
+    setReviewCount(0);
+    setIsReviewing(false);
+    setAutoStartIn(autoStartDelay);
+  }
+
+  // Stored points (screen pixels) in percent of the viewport
+  function toPercent({ targetX, targetY }) {
+    const geometry = viewportTracker.getGeometry();
+    return viewportToPercent(screenToViewport({ x: targetX, y: targetY }, geometry), geometry);
+  }
+
+  // Point being collected, in percent of the viewport
+  let point = calibrationPoints[currentPoint];
+  if (isPursuit) {
+    point = pursuitPosition;
+  } else if (isRedoing) {
+    point = toPercent(calibrationManager.points[redoQueue[0]]);
   }
 
-  const point = calibrationPoints[currentPoint];
+  if (isReviewing) {
+    const badCount = pointQuality.filter(q => q.isBad).length;
+    return (
+      <div className="calibration-overlay">
+        <div className="calibration-header">
+          <h2>Review Calibration</h2>
+          <p>
+            {badCount > 0
+              ? `${badCount} point${badCount > 1 ? 's look' : ' looks'} unsteady - select points to collect again`
+              : 'All points look steady - select points to collect again if needed'}
+          </p>
+        </div>
+
+        {pointQuality.map(q => ({ ...q, position: toPercent(q) })).map(q => (
+          <button
+            key={q.index}
+            className={`review-point ${q.isBad ? 'bad' : ''} ${selectedPoints.includes(q.index) ? 'selected' : ''}`}
+            style={{
+              left: `${q.position.x}%`,
+              top: `${q.position.y}%`
+            }}
+            onClick={() => togglePoint(q.index)}
+          >
+            <span className="review-point-label">{q.index + 1}</span>
+            <span className="review-point-stats">
+              {q.sampleCount} samples
+              {q.relativeSpread !== null && `, spread ${q.relativeSpread.toFixed(1)}×`}
+            </span>
+          </button>
+        ))}
+
+        <div className="calibration-start review-buttons">
+          <button className="start-button" onClick={finishCalibration}>
+            Continue
+          </button>
+          <button className="cancel-button" onClick={redoSelectedPoints} disabled={selectedPoints.length === 0}>
+            Redo {selectedPoints.length} point{selectedPoints.length === 1 ? '' : 's'}
+          </button>
+          <button className="cancel-button" onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+        <p className="hands-free-hint">
+          {getHandsFreeHint(redoOnConfirm
+            ? `redo ${selectedPoints.length} point${selectedPoints.length === 1 ? '' : 's'}`
+            : 'continue')}
+        </p>
+      </div>
+    );
+  }
 
   return (
     <div className="calibration-overlay">
       <div className="calibration-header">
         <h2>Calibration</h2>
-        <p>Look at each point and keep your gaze steady</p>
+        <p>{isPursuit ? 'Follow the point with your eyes, keep your head still' : 'Look at each point and keep your gaze steady'}</p>
         <div className="progress-bar">
           <div className="progress-fill" style={{ width: `${progress}%` }}></div>
         </div>
         <p className="progress-text">
-          Point {currentPoint + 1} of {totalPoints}
+          {isPursuit && `Follow the moving point - ${Math.round(pursuitProgress * 100)}%`}
+          {!isPursuit && (isRedoing
+            ? `Redoing point ${redoQueue[0] + 1} (${redoQueue.length} left)`
+            : `Point ${currentPoint + 1} of ${totalPoints}`)}
         </p>
       </div>
 
-      {!isCollecting && currentPoint === 0 && (
+      {isStartScreen && (
         <div className="calibration-start">
+          <label className="pattern-label" htmlFor="calibration-pattern">
+            Calibration:
+            <select
+              id="calibration-pattern"
+              className="pattern-select"
+              value={pattern}
+              onChange={handlePatternChange}
+            >
+              {selectablePatterns.map(name => (
+                <option key={name} value={name}>
+                  {name === 'custom' ? `Custom (${CONFIG.calibration.customPoints.length})` : name}
+                </option>
+              ))}
+              {PURSUIT_PATHS.map(path => (
+                <option key={path} value={path}>
+                  Moving target ({path})
+                </option>
+              ))}
+            </select>
+          </label>
           <button className="start-button" onClick={startCalibration}>
             Start Calibration
           </button>
           <button className="cancel-button" onClick={onCancel}>
             Cancel
           </button>
+          <p className="hands-free-hint">
+            {autoStartIn !== null && (faceVisible
+              ? `Starting in ${autoStartIn} s - `
+              : 'Waiting for your face to start - ')}
+            {getHandsFreeHint('start now')}
+          </p>
         </div>
       )}
 
@@ -135,7 +456,12 @@ function Calibration({ onCalibrationComplete, onCancel, eyeFeatures, calibration
             {countdown > 0 ? (
               <p>Get ready... {countdown}</p>
             ) : (
-              <p>Keep looking at the point...</p>
+              <p>
+                {isPursuit && 'Follow the point with your eyes...'}
+                {!isPursuit && (samplingPhase === SAMPLING_PHASES.WAITING
+                  ? 'Look at the point...'
+                  : 'Keep looking at the point...')}
+              </p>
             )}
           </div>
         </>
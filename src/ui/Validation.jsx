@@ -0,0 +1,175 @@
+/**
+ * Validation Component for NovaVista FreeGaze
+ * Shows a few fresh targets after training, measures accuracy and precision
+ * of the predicted gaze on them and lets the user accept or recalibrate
+ * (also with a blink or switch press, see handsFree.js)
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  getValidationTargets,
+  computePointMetrics,
+  createValidationReport,
+  VALIDATION_GRADES
+} from '../core/calibrationValidation';
+import { viewportTracker, percentToViewport, normalizedToViewport } from '../core/coordinates';
+import { audioCues, AUDIO_CUES } from '../utils/audioCues';
+import { useHandsFreeConfirm, getHandsFreeHint } from './handsFree';
+import { CONFIG } from '../config/config';
+import './Calibration.css';
+import './Validation.css';
+
+const { settleTime, samplesPerPoint, maxSamplingTime } = CONFIG.validation;
+
+const GRADE_LABELS = {
+  [VALIDATION_GRADES.EXCELLENT]: '🟢 Excellent',
+  [VALIDATION_GRADES.GOOD]: '🟢 Good',
+  [VALIDATION_GRADES.FAIR]: '🟡 Fair',
+  [VALIDATION_GRADES.POOR]: '🔴 Poor'
+};
+
+function Validation({ frame, model, blinkEvent, calibrationManager, onAccept, onRecalibrate }) {
+  const [targets] = useState(() => getValidationTargets());
+  const [currentTarget, setCurrentTarget] = useState(0);
+  const [isSampling, setIsSampling] = useState(false);
+  const [report, setReport] = useState(null);
+  const metricsRef = useRef([]);
+
+  useHandsFreeConfirm({ blinkEvent, enabled: !!report, onConfirm: onAccept });
+
+  // Handles each new camera frame {features (null if rejected), timestamp} while sampling
+  const frameHandlerRef = useRef(null);
+  useEffect(() => {
+    if (frame) frameHandlerRef.current?.(frame);
+  }, [frame]);
+
+  // Per target: let the gaze settle, then predict once per camera frame
+  useEffect(() => {
+    if (report || currentTarget >= targets.length) return undefined;
+
+    const shownAt = Date.now();
+    const samples = [];
+    let finished = false;
+
+    const finishTarget = () => {
+      if (finished) return;
+      finished = true;
+      frameHandlerRef.current = null;
+      // Measured in the viewport the target is shown in
+      const target = percentToViewport(targets[currentTarget], viewportTracker.getGeometry());
+      metricsRef.current.push(computePointMetrics(samples, target));
+      setCurrentTarget(index => index + 1);
+    };
+
+    setIsSampling(false);
+    audioCues.play(AUDIO_CUES.LOOK);
+    const settleTimer = setTimeout(() => setIsSampling(true), settleTime);
+    // Give up on a target that gets too few frames (eyes closed, face lost, camera stalled)
+    const giveUpTimer = setTimeout(finishTarget, settleTime + maxSamplingTime);
+
+    frameHandlerRef.current = ({ features, timestamp }) => {
+      // Frames captured before the eyes could land on the target don't count
+      if (timestamp < shownAt + settleTime) return;
+      const prediction = features && model.predict(features.vector);
+      if (prediction) {
+        samples.push(normalizedToViewport(prediction, viewportTracker.update()));
+      }
+      if (samples.length >= samplesPerPoint) finishTarget();
+    };
+
+    return () => {
+      clearTimeout(settleTimer);
+      clearTimeout(giveUpTimer);
+      frameHandlerRef.current = null;
+    };
+  }, [currentTarget, targets, model, report]);
+
+  // All targets done: build and store the report
+  useEffect(() => {
+    if (report || currentTarget < targets.length) return;
+
+    const { width, height } = viewportTracker.getGeometry().viewport;
+    const result = createValidationReport(metricsRef.current, { width, height });
+    if (!result) {
+      console.warn('⚠️ Validation got no gaze samples - is the face visible?');
+      onRecalibrate();
+      return;
+    }
+
+    calibrationManager.setValidation(result);
+    calibrationManager.saveToStorage();
+    console.log(`✅ Validation: ${result.grade} (accuracy ${result.accuracy.toFixed(0)} px, precision ${result.precision.toFixed(0)} px)`);
+    setReport(result);
+  }, [currentTarget, targets, report, calibrationManager, onRecalibrate]);
+
+  if (report) {
+    return (
+      <div className="calibration-overlay">
+        <div className="validation-report">
+          <h2>Calibration Accuracy</h2>
+          <p className={`validation-grade grade-${report.grade}`}>{GRADE_LABELS[report.grade]}</p>
+          <div className="validation-summary">
+            <span>Accuracy: {report.accuracy.toFixed(0)} px</span>
+            <span>Precision: {report.precision.toFixed(0)} px</span>
+          </div>
+          <ul className="validation-points">
+            {report.points.map((point, i) => (
+              <li key={i}>
+                Target {i + 1}: {point.accuracy.toFixed(0)} px off, {point.precision.toFixed(0)} px jitter
+              </li>
+            ))}
+          </ul>
+          {report.grade === VALIDATION_GRADES.POOR && (
+            <p className="validation-hint">
+              Tracking will be unreliable. Try better lighting and keep your head still.
+            </p>
+          )}
+          <div className="validation-buttons">
+            <button className="start-button" onClick={onAccept}>
+              Accept
+            </button>
+            <button className="cancel-button" onClick={onRecalibrate}>
+              Recalibrate
+            </button>
+          </div>
+          <p className="hands-free-hint">{getHandsFreeHint('accept')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const target = targets[Math.min(currentTarget, targets.length - 1)];
+
+  return (
+    <div className="calibration-overlay">
+      <div className="calibration-header">
+        <h2>Validation</h2>
+        <p>Look at each point to check the tracking accuracy</p>
+        <p className="progress-text">
+          Point {Math.min(currentTarget + 1, targets.length)} of {targets.length}
+        </p>
+      </div>
+
+      <div
+        className="calibration-point"
+        style={{
+          left: `${target.x}%`,
+          top: `${target.y}%`
+        }}
+      >
+        <div className="point-outer validation-point"></div>
+        <div className="point-inner validation-point"></div>
+      </div>
+
+      <div className="calibration-instructions">
+        <p>{isSampling ? 'Keep looking at the point...' : 'Look at the point'}</p>
+      </div>
+
+      <button className="cancel-button validation-skip" onClick={onAccept}>
+        Skip
+      </button>
+    </div>
+  );
+}
+
+export default Validation;
@@ -0,0 +1,81 @@
+/**
+ * Hands-free Input for NovaVista FreeGaze overlays
+ * Lets calibration and validation screens be confirmed with a blink or a
+ * switch (switch devices send key presses) instead of a mouse click
+ */
+
+import { useEffect, useRef } from 'react';
+import { BLINK_EVENTS } from '../utils/blinkDetector';
+import { CONFIG } from '../config/config';
+
+const FOCUSABLE_CONTROLS = 'button, a, input, select, textarea';
+
+const BLINK_INSTRUCTIONS = {
+  [BLINK_EVENTS.BLINK]: 'Blink',
+  [BLINK_EVENTS.DOUBLE_BLINK]: 'Blink twice',
+  [BLINK_EVENTS.LONG_CLOSE]: 'Close your eyes for a second',
+  [BLINK_EVENTS.LEFT_WINK]: 'Wink',
+  [BLINK_EVENTS.RIGHT_WINK]: 'Wink'
+};
+
+/**
+ * On-screen instruction for confirming hands-free
+ * @param {string} action - What confirming does, e.g. 'continue'
+ * @returns {string} e.g. 'Blink twice or press your switch to continue'
+ */
+export function getHandsFreeHint(action) {
+  const { confirmBlink } = CONFIG.calibration.handsFree;
+  const blink = confirmBlink && BLINK_INSTRUCTIONS[confirmBlink];
+  return blink ? `${blink} or press your switch to ${action}` : `Press your switch to ${action}`;
+}
+
+/**
+ * Call onConfirm on the configured blink or switch key, onCancel on Escape
+ * @param {Object} options
+ * @param {Object|null} options.blinkEvent - Latest blink event {type, duration, timestamp}
+ * @param {Function} options.onConfirm - Primary action of the current screen
+ * @param {Function} options.onCancel - Optional cancel action (always active)
+ * @param {boolean} options.enabled - Whether the screen currently has a primary action
+ */
+export function useHandsFreeConfirm({ blinkEvent, onConfirm, onCancel, enabled = true }) {
+  const { confirmBlink, switchKeys } = CONFIG.calibration.handsFree;
+
+  // Latest callbacks without re-binding listeners every render
+  const onConfirmRef = useRef(onConfirm);
+  const onCancelRef = useRef(onCancel);
+  const enabledRef = useRef(enabled);
+  useEffect(() => {
+    onConfirmRef.current = onConfirm;
+    onCancelRef.current = onCancel;
+    enabledRef.current = enabled;
+  });
+
+  useEffect(() => {
+    function handleKeyDown(event) {
+      if (event.repeat) return;
+      if (switchKeys.includes(event.key) && enabledRef.current) {
+        // Keyboard users who focused a control get that control instead
+        if (event.target.closest?.(FOCUSABLE_CONTROLS)) return;
+        event.preventDefault();
+        onConfirmRef.current();
+      } else if (event.key === 'Escape' && onCancelRef.current) {
+        onCancelRef.current();
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [switchKeys]);
+
+  // Blinks from before the screen was shown must not confirm it
+  const handledBlinkRef = useRef(blinkEvent);
+  useEffect(() => {
+    if (!blinkEvent || blinkEvent === handledBlinkRef.current) return;
+    handledBlinkRef.current = blinkEvent;
+    if (enabled && confirmBlink && blinkEvent.type === confirmBlink) {
+      onConfirmRef.current();
+    }
+  }, [blinkEvent, enabled, confirmBlink]);
+}
+
+export default useHandsFreeConfirm;
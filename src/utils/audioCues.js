@@ -0,0 +1,136 @@
+/**
+ * Audio Cues Module for NovaVista FreeGaze
+ * Spoken prompts (Web Speech API) and tones (Web Audio API) that pace
+ * calibration for users who can't watch the screen for instructions or use a
+ * mouse: "look here" when a target appears, "hold" while sampling, "done"
+ * when a point is finished.
+ *
+ * Browsers may keep audio muted until the page got a first user interaction;
+ * cues are best-effort and never throw.
+ */
+
+import { CONFIG } from '../config/config';
+
+/**
+ * Available cues (phrases and tones in CONFIG.audioCues.cues)
+ */
+export const AUDIO_CUES = {
+  LOOK: 'look',             // A new target appeared
+  TICK: 'tick',             // Countdown second
+  HOLD: 'hold',             // Sampling started - keep looking
+  FOLLOW: 'follow',         // Moving target started
+  DONE: 'done',             // Point finished
+  REVIEW: 'review',         // Review screen shown
+  COMPLETE: 'complete'      // Calibration finished
+};
+
+/**
+ * Plays cues through speech synthesis and an oscillator
+ */
+export class AudioCuePlayer {
+  /**
+   * @param {Object} options - Overrides for CONFIG.audioCues
+   * @param {Window} win - Window providing speechSynthesis and AudioContext
+   */
+  constructor(options = {}, win = typeof window !== 'undefined' ? window : undefined) {
+    const config = { ...CONFIG.audioCues, ...options };
+    this.enabled = config.enabled;
+    this.speech = config.speech;
+    this.tones = config.tones;
+    this.volume = config.volume;
+    this.speechRate = config.speechRate;
+    this.lang = config.lang;
+    this.toneDuration = config.toneDuration;
+    this.cues = config.cues;
+    this.win = win;
+    this.audioContext = null;
+  }
+
+  /**
+   * Turn all cues on or off
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.win?.speechSynthesis?.cancel();
+  }
+
+  /**
+   * Play a cue: its tones, then its phrase
+   * @param {string} cue - One of AUDIO_CUES
+   */
+  play(cue) {
+    if (!this.enabled) return;
+    const { tones = [], text = null } = this.cues[cue] || {};
+    if (this.tones && tones.length > 0) this.playTones(tones);
+    if (this.speech && text) this.speak(text);
+  }
+
+  /**
+   * Speak a phrase, interrupting anything still being said
+   * @param {string} text
+   */
+  speak(text) {
+    const synth = this.win?.speechSynthesis;
+    const Utterance = this.win?.SpeechSynthesisUtterance;
+    if (!synth || !Utterance) return;
+
+    try {
+      // Stale prompts (a point already done) must not queue up
+      synth.cancel();
+      const utterance = new Utterance(text);
+      utterance.rate = this.speechRate;
+      utterance.volume = this.volume;
+      if (this.lang) utterance.lang = this.lang;
+      synth.speak(utterance);
+    } catch (error) {
+      console.warn('⚠️ Speech cue failed:', error);
+    }
+  }
+
+  /**
+   * Play short sine tones one after another
+   * @param {Array<number>} frequencies - Hz
+   */
+  playTones(frequencies) {
+    const context = this.getAudioContext();
+    if (!context) return;
+
+    try {
+      // Autoplay policies start contexts suspended until a user interaction
+      if (context.state === 'suspended') context.resume();
+
+      const duration = this.toneDuration / 1000;
+      frequencies.forEach((frequency, i) => {
+        const start = context.currentTime + i * duration;
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        // Short fade out, so tones don't click
+        gain.gain.setValueAtTime(this.volume, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+      });
+    } catch (error) {
+      console.warn('⚠️ Tone cue failed:', error);
+    }
+  }
+
+  getAudioContext() {
+    if (!this.audioContext) {
+      const AudioContextClass = this.win?.AudioContext || this.win?.webkitAudioContext;
+      if (!AudioContextClass) return null;
+      this.audioContext = new AudioContextClass();
+    }
+    return this.audioContext;
+  }
+}
+
+// Export singleton instance
+export const audioCues = new AudioCuePlayer();
+
+export default AudioCuePlayer;
@@ -0,0 +1,231 @@
+/**
+ * Blink Detector Module for NovaVista FreeGaze
+ * Turns per-eye aperture ratios into blink, double blink, long close and wink events
+ *
+ * Thresholds adapt to each user: a slow running average of the open-eye
+ * aperture is kept per eye, and an eye counts as closed when it drops below a
+ * fraction of that baseline (with hysteresis before it counts as open again).
+ */
+
+import { CONFIG } from '../config/config';
+
+const BLINK_ACTIONS_STORAGE_KEY = 'novavista_freegaze_blink_actions';
+
+export const BLINK_EVENTS = {
+  BLINK: 'blink',
+  DOUBLE_BLINK: 'double_blink',
+  LONG_CLOSE: 'long_close',
+  LEFT_WINK: 'left_wink',
+  RIGHT_WINK: 'right_wink'
+};
+
+/**
+ * Per-eye open/closed tracker with an adaptive baseline
+ */
+class EyeState {
+  constructor(closeRatio, openRatio, adaptRate) {
+    this.closeRatio = closeRatio;
+    this.openRatio = openRatio;
+    this.adaptRate = adaptRate;
+    this.baseline = null;
+    this.closed = false;
+  }
+
+  /**
+   * @param {number} aperture - Aperture ratio from extractEyeFeatures
+   */
+  update(aperture) {
+    if (this.baseline === null) {
+      this.baseline = aperture;
+      return;
+    }
+
+    if (!this.closed && aperture < this.baseline * this.closeRatio) {
+      this.closed = true;
+    } else if (this.closed && aperture > this.baseline * this.openRatio) {
+      this.closed = false;
+    } else if (!this.closed) {
+      // Learn the user's open-eye aperture only while the eye is open
+      this.baseline += (aperture - this.baseline) * this.adaptRate;
+    }
+  }
+
+  reset() {
+    this.baseline = null;
+    this.closed = false;
+  }
+}
+
+/**
+ * BlinkDetector class
+ * Feed it every frame's features (including the ones areEyeFeaturesValid rejects)
+ */
+export class BlinkDetector {
+  constructor(options = {}) {
+    this.minBlinkDuration = options.minBlinkDuration || 50;      // Shorter = tracking noise (ms)
+    this.maxBlinkDuration = options.maxBlinkDuration || 400;     // Longer = not a blink (ms)
+    this.doubleBlinkWindow = options.doubleBlinkWindow || 600;   // Max gap between blinks (ms)
+    this.longCloseDuration = options.longCloseDuration || 1000;  // Deliberate eye closure (ms)
+    this.minWinkDuration = options.minWinkDuration || 150;       // Shorter = asymmetric blink (ms)
+    this.maxWinkDuration = options.maxWinkDuration || 1500;      // Longer = squint/occlusion (ms)
+
+    const closeRatio = options.closeRatio || 0.55;   // Closed below 55% of the open baseline
+    const openRatio = options.openRatio || 0.75;     // Open again above 75% (hysteresis)
+    const adaptRate = options.adaptRate || 0.02;     // Baseline learning rate per frame
+
+    // Features are named by image side: "left" in extractEyeFeatures is the
+    // user's right eye (the camera image is not mirrored).
+    this.userRightEye = new EyeState(closeRatio, openRatio, adaptRate);
+    this.userLeftEye = new EyeState(closeRatio, openRatio, adaptRate);
+
+    this.bothClosedAt = null;
+    this.longCloseFired = false;
+    this.lastBlinkAt = null;
+    this.wink = null;               // {type, since} while exactly one eye is closed
+    this.eventCallback = null;
+  }
+
+  /**
+   * Update with new eye features
+   * @param {Object} features - Features from extractEyeFeatures
+   * @param {number} timestamp - Frame time (ms)
+   * @returns {Object|null} Most significant event for this frame, or null
+   */
+  update(features, timestamp = Date.now()) {
+    if (!features || !features.normalized) {
+      return null;
+    }
+
+    const { leftAperture, rightAperture } = features.normalized;
+    this.userRightEye.update(leftAperture);
+    this.userLeftEye.update(rightAperture);
+    const leftClosed = this.userLeftEye.closed;
+    const rightClosed = this.userRightEye.closed;
+
+    const events = [];
+
+    if (leftClosed && rightClosed) {
+      this.wink = null;
+      if (this.bothClosedAt === null) {
+        this.bothClosedAt = timestamp;
+        this.longCloseFired = false;
+      }
+
+      // Fire long close while still closed, so the user gets feedback without opening
+      const duration = timestamp - this.bothClosedAt;
+      if (!this.longCloseFired && duration >= this.longCloseDuration) {
+        this.longCloseFired = true;
+        events.push({ type: BLINK_EVENTS.LONG_CLOSE, duration, timestamp });
+      }
+    } else if (this.bothClosedAt !== null) {
+      // At least one eye reopened - classify the closure. An eye that lags
+      // behind starts a wink candidate, which is too short to fire.
+      this.startWink(leftClosed, rightClosed, timestamp);
+      const duration = timestamp - this.bothClosedAt;
+      this.bothClosedAt = null;
+
+      if (!this.longCloseFired &&
+          duration >= this.minBlinkDuration &&
+          duration <= this.maxBlinkDuration) {
+        events.push({ type: BLINK_EVENTS.BLINK, duration, timestamp });
+
+        if (this.lastBlinkAt !== null && timestamp - this.lastBlinkAt <= this.doubleBlinkWindow) {
+          events.push({ type: BLINK_EVENTS.DOUBLE_BLINK, duration, timestamp });
+          this.lastBlinkAt = null;
+        } else {
+          this.lastBlinkAt = timestamp;
+        }
+      }
+    } else if (leftClosed || rightClosed) {
+      this.startWink(leftClosed, rightClosed, timestamp);
+    } else if (this.wink) {
+      // Both eyes open again after one was closed alone
+      const duration = timestamp - this.wink.since;
+      if (duration >= this.minWinkDuration && duration <= this.maxWinkDuration) {
+        events.push({ type: this.wink.type, duration, timestamp });
+      }
+      this.wink = null;
+    }
+
+    events.forEach(event => {
+      if (this.eventCallback) {
+        this.eventCallback(event);
+      }
+    });
+
+    return events.length > 0 ? events[events.length - 1] : null;
+  }
+
+  /**
+   * Track the start of a period where exactly one eye is closed
+   */
+  startWink(leftClosed, rightClosed, timestamp) {
+    if (leftClosed === rightClosed) {
+      this.wink = null;
+      return;
+    }
+
+    const type = leftClosed ? BLINK_EVENTS.LEFT_WINK : BLINK_EVENTS.RIGHT_WINK;
+    if (!this.wink || this.wink.type !== type) {
+      this.wink = { type, since: timestamp };
+    }
+  }
+
+  /**
+   * Check if both eyes are currently closed
+   * @returns {boolean}
+   */
+  areEyesClosed() {
+    return this.userLeftEye.closed && this.userRightEye.closed;
+  }
+
+  /**
+   * Set event callback
+   * @param {Function} callback - Called with every event {type, duration, timestamp}
+   */
+  onEvent(callback) {
+    this.eventCallback = callback;
+  }
+
+  /**
+   * Reset state and learned baselines (e.g. after the face was lost)
+   */
+  reset() {
+    this.userLeftEye.reset();
+    this.userRightEye.reset();
+    this.bothClosedAt = null;
+    this.longCloseFired = false;
+    this.lastBlinkAt = null;
+    this.wink = null;
+  }
+}
+
+/**
+ * Whether blink events trigger their actions (CONFIG.blink.actions)
+ * @returns {boolean} Saved choice, or CONFIG.blink.actionsEnabled
+ */
+export function getBlinkActionsEnabled() {
+  try {
+    const saved = localStorage.getItem(BLINK_ACTIONS_STORAGE_KEY);
+    return saved === null ? CONFIG.blink.actionsEnabled : saved === 'true';
+  } catch (error) {
+    return CONFIG.blink.actionsEnabled;
+  }
+}
+
+/**
+ * Remember whether the user opted in to blink actions
+ * @param {boolean} enabled
+ */
+export function setBlinkActionsEnabled(enabled) {
+  try {
+    localStorage.setItem(BLINK_ACTIONS_STORAGE_KEY, String(enabled));
+  } catch (error) {
+    console.error('❌ Failed to save blink actions setting:', error);
+  }
+}
+
+// Export singleton instance
+export const blinkDetector = new BlinkDetector(CONFIG.blink);
+
+export default BlinkDetector;
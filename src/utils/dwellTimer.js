@@ -32,14 +32,15 @@ export class DwellDetector {
   /**
    * Update with new gaze position
    * @param {Object} position - {x, y} screen coordinates
+   * @param {number} timestamp - Frame time in ms (recorded time when replaying)
    * @returns {Object|null} Event object or null
    */
-  update(position) {
+  update(position, timestamp = Date.now()) {
     if (!this.enabled || !position) {
       return null;
     }
 
-    const now = Date.now();
+    const now = timestamp;
 
     // Initialize on first position
     if (!this.lastPosition) {
@@ -69,7 +70,8 @@ export class DwellDetector {
         const event = {
           type: 'click',
           position: { ...this.lastPosition },
-          dwellTime: elapsed
+          dwellTime: elapsed,
+          timestamp: now
         };
 
         // Call click callback
@@ -112,9 +114,12 @@ export class DwellDetector {
 
   /**
    * Reset dwell state
+   * The last position is forgotten too, so the next update starts a new dwell
+   * instead of counting from a cleared start time.
    */
   reset() {
     this.dwellStart = null;
+    this.lastPosition = null;
     this.isDwelling = false;
   }
 
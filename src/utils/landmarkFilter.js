@@ -0,0 +1,129 @@
+/**
+ * Landmark Filter Module for NovaVista FreeGaze
+ * Per-landmark jitter filtering, configured separately for the face contour
+ * and the iris (CONFIG.landmarkFilter)
+ *
+ * The iris points carry the gaze signal and need a filter that adds little
+ * lag during saccades, while the rest of the mesh barely moves and can be
+ * smoothed harder. Filtering runs in pixels, so 1€ parameters do not depend
+ * on the camera resolution.
+ */
+
+import { CONFIG } from '../config/config';
+import { OneEuroFilter } from './smoothing';
+
+export const FILTER_TYPES = {
+  OFF: 'off',
+  EMA: 'ema',
+  ONE_EURO: 'one_euro'
+};
+
+// Refined iris landmarks (468-472 first iris, 473-477 second iris)
+const IRIS_START = 468;
+
+/**
+ * Exponential moving average for one value
+ */
+class EmaFilter {
+  constructor(smoothing = 0.5) {
+    this.smoothing = smoothing;   // 0 = no smoothing, higher = more smoothing
+    this.value = null;
+  }
+
+  filter(value) {
+    this.value = this.value === null
+      ? value
+      : this.value * this.smoothing + value * (1 - this.smoothing);
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+  }
+}
+
+/**
+ * Pass-through for disabled filtering
+ */
+class NoFilter {
+  filter(value) {
+    return value;
+  }
+
+  reset() {}
+}
+
+/**
+ * Create a single-value filter from a group config
+ * @param {Object} options - {type, smoothing} for EMA or {type, minCutoff, beta, dCutoff} for 1€
+ * @returns {Object} Filter with filter(value, timestamp) and reset()
+ */
+export function createValueFilter(options = {}) {
+  switch (options.type) {
+    case FILTER_TYPES.OFF:
+      return new NoFilter();
+    case FILTER_TYPES.EMA:
+      return new EmaFilter(options.smoothing);
+    case FILTER_TYPES.ONE_EURO:
+      return new OneEuroFilter(options.minCutoff, options.beta, options.dCutoff);
+    default:
+      throw new Error(`Unknown landmark filter type: ${options.type}`);
+  }
+}
+
+/**
+ * LandmarkFilter class
+ * One instance per landmark stream; reset it whenever the stream is
+ * interrupted (face lost, new session, camera switch) so landmarks of
+ * different moments are never blended.
+ */
+export class LandmarkFilter {
+  constructor(options = CONFIG.landmarkFilter) {
+    this.contour = { type: FILTER_TYPES.OFF, ...options.contour };
+    this.iris = { type: FILTER_TYPES.OFF, ...options.iris };
+
+    // Validate the configuration up front instead of on the first frame
+    createValueFilter(this.contour);
+    createValueFilter(this.iris);
+
+    this.filters = null;
+  }
+
+  /**
+   * Filter one frame of landmarks
+   * @param {Array} landmarks - Face landmarks (normalized image coordinates)
+   * @param {number} timestamp - Frame time (ms)
+   * @param {Object} frame - {width, height} of the processed image in pixels
+   * @returns {Array} Filtered landmarks (new objects; the input is not modified)
+   */
+  filter(landmarks, timestamp = Date.now(), frame = {}) {
+    if (!this.filters || this.filters.length !== landmarks.length) {
+      this.filters = landmarks.map((_, i) => {
+        const options = i >= IRIS_START ? this.iris : this.contour;
+        return [createValueFilter(options), createValueFilter(options), createValueFilter(options)];
+      });
+    }
+
+    const width = frame.width || 640;
+    const height = frame.height || 480;
+
+    return landmarks.map((point, i) => {
+      const [fx, fy, fz] = this.filters[i];
+      return {
+        x: fx.filter(point.x * width, timestamp) / width,
+        y: fy.filter(point.y * height, timestamp) / height,
+        // MediaPipe z is on roughly the same scale as x
+        z: fz.filter((point.z || 0) * width, timestamp) / width
+      };
+    });
+  }
+
+  /**
+   * Forget the filter history (the next frame passes through unchanged)
+   */
+  reset() {
+    this.filters = null;
+  }
+}
+
+export default LandmarkFilter;
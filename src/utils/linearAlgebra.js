@@ -0,0 +1,34 @@
+/**
+ * Linear Algebra Utilities for NovaVista FreeGaze
+ * Small dense-matrix helpers for per-user statistics and fits (a handful of
+ * dimensions, so plain arrays are fast enough)
+ */
+
+/**
+ * Solve a linear system A x = b (Gaussian elimination with partial pivoting)
+ * @param {Array<Array<number>>} a - Square matrix (not modified)
+ * @param {Array<number>} b - Right-hand side
+ * @returns {Array<number>} Solution x
+ */
+export function solveLinearSystem(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+    x[r] = sum / m[r][r];
+  }
+  return x;
+}
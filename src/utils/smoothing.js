@@ -7,27 +7,26 @@
 /**
  * 1€ Filter implementation
  * Reduces jitter while maintaining responsiveness
+ * The sample rate is taken from the timestamps; `freq` is only used when
+ * two samples share a timestamp.
  */
-class OneEuroFilter {
-  constructor(freq, mincutoff = 1.0, beta = 0.007, dcutoff = 1.0) {
-    this.freq = freq;          // Sample frequency (Hz)
-    this.mincutoff = mincutoff; // Minimum cutoff frequency
+export class OneEuroFilter {
+  constructor(minCutoff = 1.0, beta = 0.007, dCutoff = 1.0, freq = 30) {
+    this.minCutoff = minCutoff; // Minimum cutoff frequency (Hz)
     this.beta = beta;           // Speed coefficient
-    this.dcutoff = dcutoff;     // Derivative cutoff frequency
+    this.dCutoff = dCutoff;     // Derivative cutoff frequency (Hz)
+    this.freq = freq;           // Sample frequency (Hz)
     
     this.x = null;              // Previous filtered value
-    this.dx = 0;                // Previous derivative
+    this.dx = 0;                // Previous filtered derivative
     this.lasttime = null;       // Last sample time
   }
 
   /**
    * Apply low-pass filter
    */
-  lowpass(value, alpha) {
-    if (this.x === null) {
-      return value;
-    }
-    return alpha * value + (1 - alpha) * this.x;
+  lowpass(value, previous, alpha) {
+    return alpha * value + (1 - alpha) * previous;
   }
 
   /**
@@ -63,18 +62,15 @@ class OneEuroFilter {
       this.freq = 1.0 / dt;
     }
 
-    // Calculate derivative
-    const dvalue = (value - this.x) / dt;
-
-    // Smooth derivative
-    const edvalue = this.lowpass(dvalue, this.alpha(this.dcutoff));
-    this.dx = edvalue;
+    // Calculate and smooth derivative
+    const dvalue = (value - this.x) * this.freq;
+    this.dx = this.lowpass(dvalue, this.dx, this.alpha(this.dCutoff));
 
     // Calculate adaptive cutoff
-    const cutoff = this.mincutoff + this.beta * Math.abs(edvalue);
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.dx);
 
     // Filter the value
-    this.x = this.lowpass(value, this.alpha(cutoff));
+    this.x = this.lowpass(value, this.x, this.alpha(cutoff));
 
     return this.x;
   }
@@ -94,8 +90,8 @@ class OneEuroFilter {
  */
 export class GazeSmoother {
   constructor(freq = 30) {
-    this.xFilter = new OneEuroFilter(freq, 1.0, 0.007, 1.0);
-    this.yFilter = new OneEuroFilter(freq, 1.0, 0.007, 1.0);
+    this.xFilter = new OneEuroFilter(1.0, 0.007, 1.0, freq);
+    this.yFilter = new OneEuroFilter(1.0, 0.007, 1.0, freq);
   }
 
   /**
@@ -126,16 +122,16 @@ export class GazeSmoother {
    */
   setParameters(params) {
     if (params.mincutoff !== undefined) {
-      this.xFilter.mincutoff = params.mincutoff;
-      this.yFilter.mincutoff = params.mincutoff;
+      this.xFilter.minCutoff = params.mincutoff;
+      this.yFilter.minCutoff = params.mincutoff;
     }
     if (params.beta !== undefined) {
       this.xFilter.beta = params.beta;
       this.yFilter.beta = params.beta;
     }
     if (params.dcutoff !== undefined) {
-      this.xFilter.dcutoff = params.dcutoff;
-      this.yFilter.dcutoff = params.dcutoff;
+      this.xFilter.dCutoff = params.dcutoff;
+      this.yFilter.dCutoff = params.dcutoff;
     }
   }
 }